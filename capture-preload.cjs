@@ -0,0 +1,13 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+// 快速记录窗口只需要这几个通道，不暴露主窗口的完整 todoApi
+contextBridge.exposeInMainWorld("captureApi", {
+  preview: (text) => ipcRenderer.invoke("capture:preview", text),
+  submit: (text) => ipcRenderer.invoke("capture:submit", text),
+  cancel: () => ipcRenderer.invoke("capture:cancel"),
+  onReset: (callback) => {
+    const wrapped = () => callback();
+    ipcRenderer.on("capture:reset", wrapped);
+    return () => ipcRenderer.off("capture:reset", wrapped);
+  }
+});
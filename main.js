@@ -1,20 +1,38 @@
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { existsSync } from "node:fs";
-import { app, BrowserWindow, ipcMain, Menu, Tray, nativeImage, screen } from "electron";
+import { writeFile } from "node:fs/promises";
+import {
+  app,
+  BrowserWindow,
+  clipboard,
+  dialog,
+  globalShortcut,
+  ipcMain,
+  Menu,
+  Tray,
+  nativeImage,
+  powerMonitor,
+  screen,
+  shell
+} from "electron";
 import { AppController } from "./src/main/app-controller.js";
+import { applyHotkeys, planHotkeys, readHotkeyConfig } from "./src/main/hotkeys.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 let controller = null;
 let mainWindow = null;
+let captureWindow = null;
 let tray = null;
 let isQuitting = false;
 let isDragging = false;
 let dockEdge = null;
 let suppressDockEvent = false;
 let normalWidth = 360;
+// 全局快捷键的生效情况：{ bindings, problems, error }
+let hotkeyStatus = { bindings: [], problems: [], error: null };
 
 const WINDOW_DEFAULTS = {
   width: 360,
@@ -22,10 +40,14 @@ const WINDOW_DEFAULTS = {
   minWidth: 220,
   minHeight: 280
 };
+const CAPTURE_SIZE = { width: 440, height: 96 };
 const WINDOW_MAX_WIDTH = 520;
 const DOCKED_WIDTH = 168;
 const SNAP_THRESHOLD = 20;
 const UNDOCK_THRESHOLD = 80;
+// Pause time tracking after this many seconds without keyboard/mouse input
+const IDLE_THRESHOLD_SECONDS = 5 * 60;
+const IDLE_POLL_MS = 30 * 1000;
 
 // Load icon from icon.png in project root.
 // Put your own icon.png there — falls back to empty if missing.
@@ -36,6 +58,8 @@ const APP_ICON = existsSync(ICON_PATH)
 
 async function createController() {
   controller = await AppController.create(app.getPath("userData"));
+  // 写盘失败时提示用户；控制器会在下一次操作时重写完整检查点
+  controller.onPersistError = (error) => sendToRenderer("ui:persist-error", error?.message ?? String(error));
 }
 
 function createWindow() {
@@ -76,6 +100,91 @@ function createWindow() {
   mainWindow.on("move", () => {
     handleWindowSnap();
   });
+
+  mainWindow.on("hide", () => controller?.pauseTracking("hidden"));
+  mainWindow.on("show", () => controller?.resumeTracking("hidden"));
+  mainWindow.on("minimize", () => controller?.pauseTracking("minimized"));
+  mainWindow.on("restore", () => controller?.resumeTracking("minimized"));
+}
+
+// 快速记录窗口：按需创建，之后隐藏复用；失去焦点即隐藏，不打扰当前使用的程序
+function createCaptureWindow() {
+  captureWindow = new BrowserWindow({
+    width: CAPTURE_SIZE.width,
+    height: CAPTURE_SIZE.height,
+    frame: false,
+    transparent: true,
+    hasShadow: false,
+    backgroundColor: "#00000000",
+    alwaysOnTop: true,
+    resizable: false,
+    skipTaskbar: true,
+    show: false,
+    fullscreenable: false,
+    maximizable: false,
+    minimizable: false,
+    title: "I'm back — 快速记录",
+    icon: APP_ICON,
+    webPreferences: {
+      preload: path.join(__dirname, "capture-preload.cjs"),
+      contextIsolation: true,
+      nodeIntegration: false
+    }
+  });
+
+  captureWindow.loadFile(path.join(__dirname, "src/renderer/capture.html"));
+
+  captureWindow.on("blur", () => hideCapture());
+  captureWindow.on("close", (event) => {
+    if (!isQuitting) {
+      event.preventDefault();
+      hideCapture();
+    }
+  });
+}
+
+function openCapture() {
+  if (!captureWindow || captureWindow.isDestroyed()) {
+    createCaptureWindow();
+  }
+  // 出现在鼠标所在屏幕的上方居中
+  const { workArea } = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+  captureWindow.setPosition(
+    Math.round(workArea.x + (workArea.width - CAPTURE_SIZE.width) / 2),
+    Math.round(workArea.y + workArea.height / 4)
+  );
+  captureWindow.webContents.send("capture:reset");
+  captureWindow.show();
+  captureWindow.focus();
+}
+
+function hideCapture() {
+  if (captureWindow && !captureWindow.isDestroyed() && captureWindow.isVisible()) {
+    captureWindow.hide();
+  }
+}
+
+function setupIdleTracking() {
+  let idle = false;
+  setInterval(() => {
+    if (!controller) {
+      return;
+    }
+    const idleSeconds = powerMonitor.getSystemIdleTime();
+    if (!idle && idleSeconds >= IDLE_THRESHOLD_SECONDS) {
+      idle = true;
+      // Count time only up to the last input, not up to the poll
+      void controller.pauseTracking("idle", Date.now() - idleSeconds * 1000);
+    } else if (idle && idleSeconds < IDLE_THRESHOLD_SECONDS) {
+      idle = false;
+      void controller.resumeTracking("idle");
+    }
+  }, IDLE_POLL_MS);
+
+  powerMonitor.on("lock-screen", () => controller?.pauseTracking("locked"));
+  powerMonitor.on("unlock-screen", () => controller?.resumeTracking("locked"));
+  powerMonitor.on("suspend", () => controller?.pauseTracking("suspended"));
+  powerMonitor.on("resume", () => controller?.resumeTracking("suspended"));
 }
 
 function emitDockState() {
@@ -166,22 +275,147 @@ function createTray() {
   }
   tray = new Tray(APP_ICON); // Use the same icon for tray
   tray.setToolTip("I'm back");
+  void refreshTrayMenu();
+
+  tray.on("double-click", () => {
+    if (!mainWindow) {
+      return;
+    }
+    mainWindow.setIgnoreMouseEvents(false);
+    mainWindow.show();
+    mainWindow.focus();
+  });
+}
+
+function showMainWindow() {
+  if (!mainWindow) {
+    return;
+  }
+  mainWindow.setIgnoreMouseEvents(false);
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+function toggleMainWindow() {
+  if (!mainWindow) {
+    return;
+  }
+  if (mainWindow.isVisible()) {
+    mainWindow.hide();
+  } else {
+    showMainWindow();
+  }
+}
+
+function sendToRenderer(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+// 需要输入的动作先把窗口带到前台；完成任务在后台进行，不打断当前窗口
+const HOTKEY_HANDLERS = {
+  quickAdd: () => {
+    showMainWindow();
+    sendToRenderer("ui:hotkey", "quickAdd");
+  },
+  completeFocused: () => sendToRenderer("ui:hotkey", "completeFocused"),
+  toggleWindow: () => toggleMainWindow(),
+  toggleHistory: () => {
+    showMainWindow();
+    sendToRenderer("ui:toggle-history");
+  },
+  quickCapture: () => openCapture()
+};
+
+function hotkeyConfigPath() {
+  return path.join(app.getPath("userData"), "hotkeys.json");
+}
+
+// 重新读取 hotkeys.json 并注册全局快捷键；被占用的快捷键换用备选，结果显示在托盘菜单和渲染层
+async function registerHotkeys() {
+  globalShortcut.unregisterAll();
+  const { config, error } = await readHotkeyConfig(hotkeyConfigPath());
+  const result = applyHotkeys(planHotkeys(config), (accelerator, action) =>
+    globalShortcut.register(accelerator, HOTKEY_HANDLERS[action])
+  );
+  hotkeyStatus = { ...result, error };
+  if (error) {
+    console.warn("Hotkey settings ignored:", error);
+  }
+  for (const problem of result.problems) {
+    console.warn(`Hotkey ${problem.accelerator} for ${problem.action} skipped: ${problem.reason}`);
+  }
+  void refreshTrayMenu();
+  sendToRenderer("ui:hotkeys-changed", hotkeyStatus);
+  return hotkeyStatus;
+}
+
+async function switchWorkspace(name) {
+  const result = await controller.switchWorkspace(name);
+  void refreshTrayMenu();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send("ui:workspace-changed", result);
+  }
+  return result;
+}
+
+// 托盘菜单的点击没有调用方接住 Promise：失败时记录日志并弹窗告知用户，避免未处理的 rejection
+function runTrayAction(title, task) {
+  Promise.resolve()
+    .then(task)
+    .catch((error) => {
+      console.error(`${title}:`, error);
+      dialog.showErrorBox(title, error?.message ?? `${error}`);
+    });
+}
+
+async function copyExport(snapshotId, format) {
+  const { content } = await controller.exportTree(snapshotId, format);
+  clipboard.writeText(content);
+  return { copied: true };
+}
+
+async function saveExport(snapshotId, format) {
+  const { content, extension, suggestedName } = await controller.exportTree(snapshotId, format);
+  const options = {
+    title: "导出任务树",
+    defaultPath: path.join(app.getPath("documents"), suggestedName),
+    filters: [{ name: extension.toUpperCase(), extensions: [extension] }]
+  };
+  const result =
+    mainWindow && !mainWindow.isDestroyed()
+      ? await dialog.showSaveDialog(mainWindow, options)
+      : await dialog.showSaveDialog(options);
+  if (result.canceled || !result.filePath) {
+    return { saved: false };
+  }
+  await writeFile(result.filePath, content, "utf8");
+  return { saved: true, filePath: result.filePath };
+}
+
+// text 为 null 时从剪贴板读取，供 Ctrl+Shift+V 粘贴导入
+async function parseImport(text, format) {
+  const source = text ?? clipboard.readText();
+  return { ...(await controller.parseImport(source, format)), text: source };
+}
+
+// Rebuilt whenever the workspace list or the current workspace changes
+async function refreshTrayMenu() {
+  if (!tray || !controller) {
+    return;
+  }
+  const { current, workspaces } = await controller.listWorkspaces();
+  tray.setToolTip(`I'm back — ${current}`);
 
   const template = [
     {
       label: "显示 / 隐藏主窗口",
-      click: () => {
-        if (!mainWindow) {
-          return;
-        }
-        if (mainWindow.isVisible()) {
-          mainWindow.hide();
-        } else {
-          mainWindow.setIgnoreMouseEvents(false);
-          mainWindow.show();
-          mainWindow.focus();
-        }
-      }
+      click: () => toggleMainWindow()
+    },
+    {
+      label: "⚡ 快速记录…",
+      click: () => openCapture()
     },
     {
       label: "置顶 / 取消置顶",
@@ -219,6 +453,55 @@ function createTray() {
         mainWindow.webContents.send("ui:toggle-history");
       }
     },
+    {
+      label: "工作区",
+      submenu: workspaces.map((name) => ({
+        label: name,
+        type: "radio",
+        checked: name === current,
+        click: () => {
+          if (name !== current) {
+            runTrayAction("切换工作区失败", () => switchWorkspace(name));
+          }
+        }
+      }))
+    },
+    {
+      label: "导出当前任务树",
+      submenu: [
+        { label: "复制为 Markdown", click: () => runTrayAction("导出失败", () => copyExport(null, "markdown")) },
+        { label: "复制为纯文本", click: () => runTrayAction("导出失败", () => copyExport(null, "text")) },
+        { type: "separator" },
+        { label: "保存为 Markdown…", click: () => runTrayAction("导出失败", () => saveExport(null, "markdown")) },
+        { label: "保存为 OPML…", click: () => runTrayAction("导出失败", () => saveExport(null, "opml")) },
+        { label: "保存为纯文本…", click: () => runTrayAction("导出失败", () => saveExport(null, "text")) }
+      ]
+    },
+    {
+      label: "📍 创建检查点…",
+      click: () => {
+        if (!mainWindow) {
+          return;
+        }
+        mainWindow.setIgnoreMouseEvents(false);
+        mainWindow.show();
+        mainWindow.webContents.send("ui:create-checkpoint");
+      }
+    },
+    {
+      label: "全局快捷键",
+      submenu: [
+        ...hotkeyStatus.bindings.map((binding) => ({
+          label: `${binding.label}：${
+            binding.accelerator ?? (hotkeyStatus.problems.some((problem) => problem.action === binding.action) ? "不可用" : "未启用")
+          }`,
+          enabled: false
+        })),
+        { type: "separator" },
+        { label: "编辑快捷键设置…", click: () => void shell.openPath(hotkeyConfigPath()) },
+        { label: "重新加载快捷键设置", click: () => runTrayAction("重新加载快捷键失败", () => registerHotkeys()) }
+      ]
+    },
     {
       label: "💾 保存当前内容（下次继续）",
       click: async () => {
@@ -242,15 +525,6 @@ function createTray() {
   ];
 
   tray.setContextMenu(Menu.buildFromTemplate(template));
-
-  tray.on("double-click", () => {
-    if (!mainWindow) {
-      return;
-    }
-    mainWindow.setIgnoreMouseEvents(false);
-    mainWindow.show();
-    mainWindow.focus();
-  });
 }
 
 function setupIpc() {
@@ -258,17 +532,58 @@ function setupIpc() {
   ipcMain.handle("tree:addChild", async (_event, parentId, title) => controller.addChild(parentId, title));
   ipcMain.handle("tree:addSibling", async (_event, nodeId, title) => controller.addSibling(nodeId, title));
   ipcMain.handle("tree:renameNode", async (_event, nodeId, title) => controller.renameNode(nodeId, title));
+  ipcMain.handle("tree:updateNodeDetails", async (_event, nodeId, details) =>
+    controller.updateNodeDetails(nodeId, details)
+  );
   ipcMain.handle("tree:focusNode", async (_event, nodeId) => controller.focusNode(nodeId));
   ipcMain.handle("tree:completeNode", async (_event, nodeId) => controller.completeNode(nodeId));
   ipcMain.handle("tree:deleteNode", async (_event, nodeId) => controller.deleteNode(nodeId));
+  ipcMain.handle("tree:moveNode", async (_event, nodeId, newParentId, index) =>
+    controller.moveNode(nodeId, newParentId, index)
+  );
+  ipcMain.handle("tree:importSubtree", async (_event, parentId, items) =>
+    controller.importSubtree(parentId, items)
+  );
+  ipcMain.handle("tree:importFromSnapshot", async (_event, snapshotId, nodeId, parentId) =>
+    controller.importFromSnapshot(snapshotId, nodeId, parentId)
+  );
+  ipcMain.handle("tree:reopenNode", async (_event, nodeId) => controller.reopenNode(nodeId));
   ipcMain.handle("tree:undo", async () => controller.undo());
   ipcMain.handle("tree:redo", async () => controller.redo());
   ipcMain.handle("archive:listSessions", async () => controller.listSessions());
   ipcMain.handle("archive:readEvents", async (_event, sessionId) => controller.readEvents(sessionId));
   ipcMain.handle("archive:listSnapshots", async () => controller.listSnapshots());
   ipcMain.handle("archive:readSnapshot", async (_event, snapshotId) => controller.readSnapshot(snapshotId));
+  ipcMain.handle("archive:listSummaries", async (_event, offset, limit) =>
+    controller.listSnapshotSummaries(offset, limit)
+  );
+  ipcMain.handle("archive:getSettings", async () => controller.getArchiveSettings());
+  ipcMain.handle("archive:setRetention", async (_event, retention) => controller.setRetention(retention));
+  ipcMain.handle("archive:pin", async (_event, snapshotId, pinned) => controller.pinSnapshot(snapshotId, pinned));
+  ipcMain.handle("archive:delete", async (_event, snapshotId) => controller.deleteSnapshot(snapshotId));
+  ipcMain.handle("archive:repair", async (_event, snapshotId) => controller.repairSnapshot(snapshotId));
+  ipcMain.handle("archive:annotate", async (_event, snapshotId, annotation) =>
+    controller.annotateSnapshot(snapshotId, annotation)
+  );
+  ipcMain.handle("archive:compare", async (_event, snapshotId, otherSnapshotId) =>
+    controller.compareSnapshot(snapshotId, otherSnapshotId)
+  );
+  ipcMain.handle("archive:search", async (_event, query, filters) => controller.searchArchive(query, filters));
+  ipcMain.handle("time:getReport", async (_event, sessionId) => controller.getTimeReport(sessionId));
+  ipcMain.handle("stats:get", async (_event, days) => controller.getStats(days));
+  ipcMain.handle("export:copy", async (_event, snapshotId, format) => copyExport(snapshotId, format));
+  ipcMain.handle("export:save", async (_event, snapshotId, format) => saveExport(snapshotId, format));
+  ipcMain.handle("import:parse", async (_event, text, format) => parseImport(text, format));
+  ipcMain.handle("workspace:list", async () => controller.listWorkspaces());
+  ipcMain.handle("workspace:switch", async (_event, name) => switchWorkspace(name));
   ipcMain.handle("session:save", async () => controller.saveSession());
+  ipcMain.handle("session:checkpoint", async (_event, annotation) => controller.createCheckpoint(annotation));
+  ipcMain.handle("session:recoveryReport", async () => controller.takeRecoveryReport());
   ipcMain.handle("session:restore", async (_event, snapshotId) => controller.restoreSession(snapshotId));
+  ipcMain.handle("replay:open", async (_event, sessionId) => controller.openReplay(sessionId));
+  ipcMain.handle("replay:seek", async (_event, index) => controller.seekReplay(index));
+  ipcMain.handle("replay:branch", async (_event, index) => controller.branchFromReplay(index));
+  ipcMain.handle("replay:close", async () => controller.closeReplay());
   ipcMain.handle("ui:start-drag", async () => {
     if (!mainWindow || mainWindow.isDestroyed()) {
       return [0, 0];
@@ -301,6 +616,18 @@ function setupIpc() {
     mainWindow.setIgnoreMouseEvents(Boolean(ignore), { forward: true });
   });
 
+  ipcMain.handle("hotkeys:status", async () => hotkeyStatus);
+
+  ipcMain.handle("capture:preview", async (_event, text) => controller.previewCapture(text));
+  // 添加成功后立即隐藏，再把新状态推给主窗口重绘（主窗口的焦点和面板保持不变）
+  ipcMain.handle("capture:submit", async (_event, text) => {
+    const { state, nodeId, title, path: parentPath } = await controller.captureTask(text);
+    hideCapture();
+    sendToRenderer("ui:state-changed", state);
+    return { nodeId, title, path: parentPath };
+  });
+  ipcMain.handle("capture:cancel", async () => hideCapture());
+
   ipcMain.handle("translate:lookup", async (_event, word) => {
     const trimmed = (word ?? "").trim();
     if (!trimmed) {
@@ -330,6 +657,8 @@ app.whenReady().then(async () => {
   createWindow();
   createTray();
   setupIpc();
+  setupIdleTracking();
+  await registerHotkeys();
 
   app.on("activate", () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -349,6 +678,10 @@ app.on("before-quit", async () => {
   }
 });
 
+app.on("will-quit", () => {
+  globalShortcut.unregisterAll();
+});
+
 app.on("window-all-closed", () => {
   if (process.platform !== "darwin") {
     app.quit();
@@ -6,9 +6,15 @@ contextBridge.exposeInMainWorld("todoApi", {
     addChild: (parentId, title) => ipcRenderer.invoke("tree:addChild", parentId, title),
     addSibling: (nodeId, title) => ipcRenderer.invoke("tree:addSibling", nodeId, title),
     renameNode: (nodeId, title) => ipcRenderer.invoke("tree:renameNode", nodeId, title),
+    updateNodeDetails: (nodeId, details) => ipcRenderer.invoke("tree:updateNodeDetails", nodeId, details),
     focusNode: (nodeId) => ipcRenderer.invoke("tree:focusNode", nodeId),
     completeNode: (nodeId) => ipcRenderer.invoke("tree:completeNode", nodeId),
     deleteNode: (nodeId) => ipcRenderer.invoke("tree:deleteNode", nodeId),
+    moveNode: (nodeId, newParentId, index) => ipcRenderer.invoke("tree:moveNode", nodeId, newParentId, index),
+    importSubtree: (parentId, items) => ipcRenderer.invoke("tree:importSubtree", parentId, items),
+    importFromSnapshot: (snapshotId, nodeId, parentId) =>
+      ipcRenderer.invoke("tree:importFromSnapshot", snapshotId, nodeId, parentId),
+    reopenNode: (nodeId) => ipcRenderer.invoke("tree:reopenNode", nodeId),
     undo: () => ipcRenderer.invoke("tree:undo"),
     redo: () => ipcRenderer.invoke("tree:redo")
   },
@@ -16,26 +22,93 @@ contextBridge.exposeInMainWorld("todoApi", {
     listSessions: () => ipcRenderer.invoke("archive:listSessions"),
     readEvents: (sessionId) => ipcRenderer.invoke("archive:readEvents", sessionId),
     listSnapshots: () => ipcRenderer.invoke("archive:listSnapshots"),
-    readSnapshot: (snapshotId) => ipcRenderer.invoke("archive:readSnapshot", snapshotId)
+    readSnapshot: (snapshotId) => ipcRenderer.invoke("archive:readSnapshot", snapshotId),
+    search: (query, filters) => ipcRenderer.invoke("archive:search", query, filters),
+    listSummaries: (offset, limit) => ipcRenderer.invoke("archive:listSummaries", offset, limit),
+    getSettings: () => ipcRenderer.invoke("archive:getSettings"),
+    setRetention: (retention) => ipcRenderer.invoke("archive:setRetention", retention),
+    pin: (snapshotId, pinned) => ipcRenderer.invoke("archive:pin", snapshotId, pinned),
+    delete: (snapshotId) => ipcRenderer.invoke("archive:delete", snapshotId),
+    repair: (snapshotId) => ipcRenderer.invoke("archive:repair", snapshotId),
+    annotate: (snapshotId, annotation) => ipcRenderer.invoke("archive:annotate", snapshotId, annotation),
+    compare: (snapshotId, otherSnapshotId) => ipcRenderer.invoke("archive:compare", snapshotId, otherSnapshotId)
   },
   ui: {
     setIgnoreMouseEvents: (ignore) => ipcRenderer.send("ui:set-ignore-mouse-events", ignore),
     dragMove: (dx, dy) => ipcRenderer.send("ui:drag-move", dx, dy),
     dragEnd: () => ipcRenderer.send("ui:drag-end")
   },
+  time: {
+    getReport: (sessionId) => ipcRenderer.invoke("time:getReport", sessionId)
+  },
+  stats: {
+    get: (days) => ipcRenderer.invoke("stats:get", days)
+  },
   translate: {
     lookup: (word) => ipcRenderer.invoke("translate:lookup", word)
   },
+  export: {
+    copy: (snapshotId, format) => ipcRenderer.invoke("export:copy", snapshotId, format),
+    save: (snapshotId, format) => ipcRenderer.invoke("export:save", snapshotId, format)
+  },
+  import: {
+    parse: (text, format) => ipcRenderer.invoke("import:parse", text, format)
+  },
+  workspace: {
+    list: () => ipcRenderer.invoke("workspace:list"),
+    switch: (name) => ipcRenderer.invoke("workspace:switch", name)
+  },
   session: {
     save: () => ipcRenderer.invoke("session:save"),
+    checkpoint: (annotation) => ipcRenderer.invoke("session:checkpoint", annotation),
+    recoveryReport: () => ipcRenderer.invoke("session:recoveryReport"),
     restore: (snapshotId) => ipcRenderer.invoke("session:restore", snapshotId)
   },
+  hotkeys: {
+    status: () => ipcRenderer.invoke("hotkeys:status")
+  },
+  replay: {
+    open: (sessionId) => ipcRenderer.invoke("replay:open", sessionId),
+    seek: (index) => ipcRenderer.invoke("replay:seek", index),
+    branch: (index) => ipcRenderer.invoke("replay:branch", index),
+    close: () => ipcRenderer.invoke("replay:close")
+  },
 
   onOpenHistory: (callback) => {
     const wrapped = () => callback();
     ipcRenderer.on("ui:toggle-history", wrapped);
     return () => ipcRenderer.off("ui:toggle-history", wrapped);
   },
+  onCreateCheckpoint: (callback) => {
+    const wrapped = () => callback();
+    ipcRenderer.on("ui:create-checkpoint", wrapped);
+    return () => ipcRenderer.off("ui:create-checkpoint", wrapped);
+  },
+  onHotkey: (callback) => {
+    const wrapped = (_event, action) => callback(action);
+    ipcRenderer.on("ui:hotkey", wrapped);
+    return () => ipcRenderer.off("ui:hotkey", wrapped);
+  },
+  onHotkeysChanged: (callback) => {
+    const wrapped = (_event, payload) => callback(payload);
+    ipcRenderer.on("ui:hotkeys-changed", wrapped);
+    return () => ipcRenderer.off("ui:hotkeys-changed", wrapped);
+  },
+  onWorkspaceChanged: (callback) => {
+    const wrapped = (_event, payload) => callback(payload);
+    ipcRenderer.on("ui:workspace-changed", wrapped);
+    return () => ipcRenderer.off("ui:workspace-changed", wrapped);
+  },
+  onStateChanged: (callback) => {
+    const wrapped = (_event, payload) => callback(payload);
+    ipcRenderer.on("ui:state-changed", wrapped);
+    return () => ipcRenderer.off("ui:state-changed", wrapped);
+  },
+  onPersistError: (callback) => {
+    const wrapped = (_event, message) => callback(message);
+    ipcRenderer.on("ui:persist-error", wrapped);
+    return () => ipcRenderer.off("ui:persist-error", wrapped);
+  },
   onDockChanged: (callback) => {
     const wrapped = (_event, payload) => callback(payload);
     ipcRenderer.on("ui:dock-state", wrapped);
@@ -1,20 +1,59 @@
 import path from "node:path";
 import { SessionStore } from "./session-store.js";
-import { TreeStateMachine } from "./tree-state.js";
+import { TreeStateMachine, extractSubtree } from "./tree-state.js";
+import { TimeTracker, buildTimeReport, sumIntervals } from "./time-tracker.js";
+import { DEFAULT_WORKSPACE, WorkspaceRegistry } from "./workspaces.js";
+import { EXPORT_FORMATS, exportTree } from "./exporter.js";
+import { parseOutline } from "./importer.js";
+import { buildDiffRows, diffStates } from "./tree-diff.js";
+import { EventReplayer } from "./event-log.js";
+import { DEFAULT_STATS_DAYS, computeStats } from "./stats.js";
+import { resolveCapture } from "./capture.js";
+
+/** 节点在父节点 childrenIds 中的位置；根节点或已摘除的节点返回 null */
+function indexInParent(state, nodeId) {
+  const parentId = state.nodes[nodeId]?.parentId;
+  const index = parentId ? state.nodes[parentId]?.childrenIds.indexOf(nodeId) : -1;
+  return index >= 0 ? index : null;
+}
 
 export class AppController {
-  constructor(store, machine) {
+  constructor(store, machine, registry = null, workspace = DEFAULT_WORKSPACE) {
     this.store = store;
     this.machine = machine;
+    this.registry = registry;
+    this.workspace = workspace;
     this.queue = Promise.resolve();
+    this.tracker = new TimeTracker();
+    // 当前会话各节点已记录的自身计时（毫秒），不含正在进行的区间
+    this.selfTimes = {};
+    // 回放模式下打开的事件回放器（EventReplayer），同一时间只回放一个会话
+    this.replay = null;
+    // 上次写 journal 或检查点失败：磁盘上缺了操作，下一次操作改写完整检查点
+    this.persistFailed = false;
+    // 写入失败时的通知回调 (error) => void，由主进程设置，用来提示渲染层
+    this.onPersistError = null;
   }
 
   static async create(userDataDir) {
-    const sessionsDir = path.join(userDataDir, "sessions");
-    const store = new SessionStore(sessionsDir);
+    const registry = new WorkspaceRegistry(path.join(userDataDir, "sessions"));
+    await registry.init();
+    const controller = new AppController(null, null, registry);
+    await controller.loadWorkspace(await registry.getCurrent());
+    return controller;
+  }
+
+  /** 打开工作区目录下的会话（有 continue 标志则继续），并重置计时数据 */
+  async loadWorkspace(name) {
+    const store = new SessionStore(this.registry.dirFor(name));
     const initialState = await store.initSession();
-    const machine = new TreeStateMachine(initialState);
-    return new AppController(store, machine);
+    this.store = store;
+    this.machine = new TreeStateMachine(initialState);
+    this.workspace = WorkspaceRegistry.sanitizeName(name);
+    this.replay = null;
+    this.persistFailed = false;
+    this.selfTimes = sumIntervals(await store.readTimeIntervals());
+    this.tracker.setFocus(initialState.focusedNodeId);
   }
 
   enqueue(task) {
@@ -22,8 +61,51 @@ export class AppController {
     return this.queue;
   }
 
-  schedulePersist() {
-    this.store.scheduleStateWrite(this.machine.getState());
+  /**
+   * 把刚执行的状态机操作追加到 journal；累计到一定数量后压缩为检查点。
+   * 上一次写入失败时 journal 已不完整，改为直接写完整检查点。
+   * 只在队列任务内调用，保证 journal 与内存状态顺序一致。
+   */
+  async persist(op, ...args) {
+    try {
+      if (this.persistFailed) {
+        await this.checkpoint();
+      } else {
+        await this.store.appendOperation(op, args);
+        if (this.store.shouldCompact()) {
+          await this.checkpoint();
+        }
+      }
+    } catch (error) {
+      this.persistFailed = true;
+      console.error("State persist failed:", error);
+      this.onPersistError?.(error);
+    }
+    await this.trackFocus();
+  }
+
+  /** 焦点变化时结束上一段计时并写入计时日志 */
+  async trackFocus() {
+    await this.recordInterval(this.tracker.setFocus(this.machine.state.focusedNodeId));
+  }
+
+  async recordInterval(interval) {
+    if (!interval || interval.ms <= 0) {
+      return;
+    }
+    this.selfTimes[interval.nodeId] = (this.selfTimes[interval.nodeId] ?? 0) + interval.ms;
+    await this.store.appendTimeInterval({
+      nodeId: interval.nodeId,
+      title: this.machine.state.nodes[interval.nodeId]?.title ?? "",
+      start: new Date(interval.start).toISOString(),
+      end: new Date(interval.end).toISOString(),
+      ms: interval.ms
+    });
+  }
+
+  async checkpoint() {
+    await this.store.writeCheckpoint(this.machine.getPersistedState());
+    this.persistFailed = false;
   }
 
   async getState() {
@@ -31,18 +113,48 @@ export class AppController {
   }
 
   async addChild(parentId, title) {
+    return this.enqueue(async () => this.insertChild(parentId, title));
+  }
+
+  /**
+   * 快速记录：按 capture.js 的语法解析输入，添加到目标任务下，焦点保持不变。
+   * 返回 { state, nodeId, title, path }，path 为目标任务的标题路径（顶层为空数组）。
+   */
+  async captureTask(text) {
     return this.enqueue(async () => {
-      const result = this.machine.addChild(parentId, title);
-      const state = result.state;
-      const node = state.nodes[result.nodeId];
-      await this.store.appendEvent("ADD_CHILD", {
-        nodeId: node.id,
-        parentId: node.parentId,
-        title: node.title
-      });
-      this.schedulePersist();
-      return state;
+      const target = resolveCapture(this.machine.state, text);
+      const state = await this.insertChild(target.parentId, target.title, { keepFocus: true });
+      const nodeId = state.nodes[target.parentId].childrenIds.at(-1);
+      return { state, nodeId, title: state.nodes[nodeId].title, path: target.path };
+    });
+  }
+
+  /** 预览快速记录的目标，不修改任务树；无法解析时返回 { error } */
+  async previewCapture(text) {
+    return this.enqueue(async () => {
+      try {
+        const { path: targetPath, title } = resolveCapture(this.machine.state, text);
+        return { path: targetPath, title, error: null };
+      } catch (error) {
+        return { path: null, title: null, error: error.message };
+      }
+    });
+  }
+
+  /** 在队列任务内部调用：添加子任务并写入事件和日志 */
+  async insertChild(parentId, title, { keepFocus = false } = {}) {
+    const result = this.machine.addChild(parentId, title, { keepFocus });
+    const state = result.state;
+    const node = state.nodes[result.nodeId];
+    await this.store.appendEvent("ADD_CHILD", {
+      nodeId: node.id,
+      parentId: node.parentId,
+      title: node.title,
+      index: indexInParent(state, node.id),
+      ...(keepFocus ? { keepFocus } : {})
     });
+    await this.persist("addChild", parentId, title, { id: node.id, ...(keepFocus ? { keepFocus } : {}) });
+    return state;
   }
 
   async addSibling(nodeId, title) {
@@ -54,37 +166,103 @@ export class AppController {
         nodeId: node.id,
         parentId: node.parentId,
         title: node.title,
-        extra: `from=${nodeId}`
+        index: indexInParent(state, node.id),
+        fromId: nodeId
       });
-      this.schedulePersist();
+      await this.persist("addSibling", nodeId, title, { id: node.id });
       return state;
     });
   }
 
+  /** 解析导入文本供渲染层预览，不改动状态 */
+  async parseImport(text, format = "auto") {
+    return parseOutline(text, format);
+  }
+
+  /** 把一棵任务树作为单个可撤销操作挂到 parentId 下 */
+  async importSubtree(parentId, items) {
+    return this.enqueue(async () => this.graftItems(parentId, items, { source: "import" }));
+  }
+
+  /**
+   * 把历史快照中 nodeId 所在的子树复制到 parentId 下（新 id，不含已删除节点）。
+   * 与文本导入一样记为一次 IMPORT_SUBTREE，可整体撤销。
+   */
+  async importFromSnapshot(snapshotId, nodeId, parentId) {
+    return this.enqueue(async () => {
+      const snapshot = await this.store.readSnapshot(snapshotId);
+      const items = extractSubtree(snapshot, nodeId);
+      return this.graftItems(parentId, items, { source: "snapshot", snapshotId, sourceNodeId: nodeId });
+    });
+  }
+
+  // 需在队列内调用；origin 会写入事件，说明这批节点的来源
+  async graftItems(parentId, items, origin) {
+    const result = this.machine.importSubtree(parentId, items);
+    if (result.createdIds.length === 0) {
+      return result;
+    }
+    const parent = result.state.nodes[result.parentId];
+    await this.store.appendEvent("IMPORT_SUBTREE", {
+      nodeId: parent.id,
+      parentId: parent.id,
+      title: parent.title,
+      ...origin,
+      count: result.createdIds.length,
+      items: result.items
+    });
+    await this.persist("importSubtree", result.parentId, result.items);
+    return result;
+  }
+
   async renameNode(nodeId, title) {
     return this.enqueue(async () => {
+      const oldTitle = this.machine.state.nodes[nodeId]?.title ?? null;
       const state = this.machine.renameNode(nodeId, title);
       const node = state.nodes[nodeId];
       await this.store.appendEvent("RENAME_NODE", {
         nodeId: node.id,
         parentId: node.parentId,
+        oldTitle,
         title: node.title
       });
-      this.schedulePersist();
+      await this.persist("renameNode", nodeId, title);
       return state;
     });
   }
 
+  async updateNodeDetails(nodeId, details) {
+    return this.enqueue(async () => {
+      const result = this.machine.updateNodeDetails(nodeId, details);
+      if (result.changed.length === 0) {
+        return result.state;
+      }
+      const node = result.state.nodes[nodeId];
+      const changedDetails = Object.fromEntries(result.changed.map((key) => [key, node[key]]));
+      await this.store.appendEvent("UPDATE_NODE_DETAILS", {
+        nodeId: node.id,
+        parentId: node.parentId,
+        title: node.title,
+        details: changedDetails,
+        previous: result.previous
+      });
+      await this.persist("updateNodeDetails", nodeId, changedDetails);
+      return result.state;
+    });
+  }
+
   async focusNode(nodeId) {
     return this.enqueue(async () => {
+      const previousFocusId = this.machine.state.focusedNodeId;
       const state = this.machine.focusNode(nodeId);
       const node = state.nodes[nodeId];
       await this.store.appendEvent("FOCUS_NODE", {
         nodeId: node.id,
         parentId: node.parentId,
-        title: node.title
+        title: node.title,
+        previousFocusId
       });
-      this.schedulePersist();
+      await this.persist("focusNode", nodeId);
       return state;
     });
   }
@@ -96,11 +274,13 @@ export class AppController {
       const result = this.machine.completeNode(nodeId);
       await this.store.appendEvent("COMPLETE_NODE", {
         nodeId,
-        parentId: node?.parentId ?? "none",
+        parentId: node?.parentId ?? null,
         title: node?.title ?? "",
-        extra: `nextFocus=${result.nextFocusId}`
+        index: indexInParent(before, nodeId),
+        closedIds: result.closedIds,
+        nextFocusId: result.nextFocusId
       });
-      this.schedulePersist();
+      await this.persist("completeNode", nodeId);
       return result;
     });
   }
@@ -112,11 +292,46 @@ export class AppController {
       const result = this.machine.deleteNode(nodeId);
       await this.store.appendEvent("DELETE_NODE", {
         nodeId,
-        parentId: node?.parentId ?? "none",
+        parentId: node?.parentId ?? null,
         title: node?.title ?? "",
-        extra: `nextFocus=${result.nextFocusId}`
+        index: indexInParent(before, nodeId),
+        closedIds: result.closedIds,
+        nextFocusId: result.nextFocusId
+      });
+      await this.persist("deleteNode", nodeId);
+      return result;
+    });
+  }
+
+  async reopenNode(nodeId) {
+    return this.enqueue(async () => {
+      const result = this.machine.reopenNode(nodeId);
+      const node = result.state.nodes[result.nodeId];
+      await this.store.appendEvent("REOPEN_NODE", {
+        nodeId: node.id,
+        parentId: node.parentId,
+        title: node.title,
+        index: indexInParent(result.state, node.id),
+        reopenedIds: result.reopenedIds
+      });
+      await this.persist("reopenNode", nodeId);
+      return result;
+    });
+  }
+
+  async moveNode(nodeId, newParentId, index = null) {
+    return this.enqueue(async () => {
+      const result = this.machine.moveNode(nodeId, newParentId, index);
+      const node = result.state.nodes[result.nodeId];
+      await this.store.appendEvent("MOVE_NODE", {
+        nodeId: node.id,
+        parentId: result.parentId,
+        title: node.title,
+        index: result.index,
+        fromParentId: result.fromParentId,
+        fromIndex: result.fromIndex
       });
-      this.schedulePersist();
+      await this.persist("moveNode", nodeId, result.parentId, result.index);
       return result;
     });
   }
@@ -127,10 +342,10 @@ export class AppController {
       const focused = state.nodes[state.focusedNodeId];
       await this.store.appendEvent("UNDO", {
         nodeId: state.focusedNodeId,
-        parentId: focused?.parentId ?? "none",
+        parentId: focused?.parentId ?? null,
         title: focused?.title ?? ""
       });
-      this.schedulePersist();
+      await this.persist("undo");
       return state;
     });
   }
@@ -141,14 +356,114 @@ export class AppController {
       const focused = state.nodes[state.focusedNodeId];
       await this.store.appendEvent("REDO", {
         nodeId: state.focusedNodeId,
-        parentId: focused?.parentId ?? "none",
+        parentId: focused?.parentId ?? null,
         title: focused?.title ?? ""
       });
-      this.schedulePersist();
+      await this.persist("redo");
       return state;
     });
   }
 
+  /** 暂停计时（窗口隐藏、空闲、锁屏等）；at 可回溯到空闲开始的时刻 */
+  async pauseTracking(reason, at = Date.now()) {
+    return this.enqueue(async () => this.recordInterval(this.tracker.pause(reason, at)));
+  }
+
+  async resumeTracking(reason, at = Date.now()) {
+    return this.enqueue(async () => this.tracker.resume(reason, at));
+  }
+
+  /**
+   * 计时报表。默认是当前会话（含正在进行的区间）；
+   * 其他会话的树结构由事件日志回放得到，回放失败时仅按区间里的标题列出。
+   */
+  async getTimeReport(sessionId = null) {
+    return this.enqueue(async () => {
+      const currentId = this.machine.state.sessionId;
+      if (!sessionId || sessionId === currentId) {
+        const selfTimes = { ...this.selfTimes };
+        const runningId = this.tracker.current?.nodeId;
+        if (runningId) {
+          selfTimes[runningId] = (selfTimes[runningId] ?? 0) + this.tracker.runningMs();
+        }
+        return { sessionId: currentId, running: runningId ?? null, ...buildTimeReport(this.machine.state, selfTimes) };
+      }
+
+      const intervals = await this.store.readTimeIntervals(sessionId);
+      const titles = Object.fromEntries(intervals.map((interval) => [interval.nodeId, interval.title]));
+      let state;
+      try {
+        state = await this.store.replayEvents(sessionId);
+      } catch {
+        state = { rootId: null, nodes: {} };
+      }
+      return { sessionId, running: null, ...buildTimeReport(state, sumIntervals(intervals), titles) };
+    });
+  }
+
+  /** 最近 days 天的效率统计，数据来自本工作区所有快照、活跃树和事件日志 */
+  async getStats(days = DEFAULT_STATS_DAYS) {
+    return this.enqueue(async () => {
+      const { states, eventLogs } = await this.store.readStatsSources();
+      return computeStats({ states: [...states, this.machine.state], eventLogs }, { days });
+    });
+  }
+
+  async listWorkspaces() {
+    return this.enqueue(async () => ({
+      current: this.workspace,
+      workspaces: await this.registry.list()
+    }));
+  }
+
+  /**
+   * 切换到指定工作区（不存在则新建）。
+   * 离开前结束计时、把 journal 压缩进检查点并打上 continue 标志，
+   * 这样切回来时会继续同一棵树，而不是归档后开新会话。
+   */
+  async switchWorkspace(name) {
+    return this.enqueue(async () => {
+      const target = WorkspaceRegistry.sanitizeName(name);
+      if (target !== this.workspace) {
+        await this.recordInterval(this.tracker.stop());
+        await this.checkpoint();
+        await this.store.markContinue();
+        await this.store.appendEvent("WORKSPACE_SWITCH", {
+          nodeId: this.machine.state.rootId,
+          parentId: null,
+          title: `Switched to ${target}`,
+          workspace: target
+        });
+        const previous = {
+          store: this.store,
+          machine: this.machine,
+          workspace: this.workspace,
+          replay: this.replay,
+          persistFailed: this.persistFailed,
+          selfTimes: this.selfTimes
+        };
+        try {
+          await this.loadWorkspace(target);
+          await this.registry.setCurrent(target);
+        } catch (error) {
+          // 目标工作区打不开：留在原工作区，内存中的状态和撤销历史都不变，计时从原焦点继续
+          Object.assign(this, previous);
+          this.tracker.stop();
+          await this.store.clearContinue();
+          await this.trackFocus();
+          throw error;
+        }
+        await this.trackFocus();
+      }
+      return { workspace: this.workspace, state: this.machine.getState(), recovery: this.store.takeRecoveryReport() };
+    });
+  }
+
+  /** 载入会话时的文件修复结果 [{ file, outcome, source, problem, skipped }]，取走后清空 */
+  async takeRecoveryReport() {
+    return this.enqueue(async () => this.store.takeRecoveryReport());
+  }
+
   async listSessions() {
     return this.enqueue(async () => this.store.listSessions());
   }
@@ -157,19 +472,42 @@ export class AppController {
     return this.enqueue(async () => this.store.readEvents(sessionId));
   }
 
+  async replayEvents(sessionId) {
+    return this.enqueue(async () => this.store.replayEvents(sessionId));
+  }
+
   async saveSession() {
     return this.enqueue(async () => {
-      // Flush pending writes first so active.json is up-to-date
-      await this.store.flushPendingState();
+      // Compact the journal first so active.json is up-to-date
+      await this.checkpoint();
       await this.store.markContinue();
       await this.store.appendEvent("SESSION_SAVE", {
-        nodeId: this.machine.getState().rootId,
-        parentId: "none",
+        nodeId: this.machine.state.rootId,
+        parentId: null,
         title: "User saved session"
       });
     });
   }
 
+  /** 手动检查点：把活跃树存为带标签的快照，会话继续进行。返回快照摘要 */
+  async createCheckpoint(annotation = {}) {
+    return this.enqueue(async () => {
+      await this.checkpoint();
+      const summary = await this.store.createCheckpoint(this.machine.state, annotation);
+      await this.store.appendEvent("CHECKPOINT", {
+        nodeId: this.machine.state.rootId,
+        parentId: null,
+        title: summary.label ?? "Checkpoint",
+        snapshotId: summary.id
+      });
+      return summary;
+    });
+  }
+
+  async annotateSnapshot(snapshotId, annotation) {
+    return this.enqueue(async () => this.store.annotateSnapshot(snapshotId, annotation));
+  }
+
   async listSnapshots() {
     return this.enqueue(async () => this.store.listSnapshots());
   }
@@ -178,21 +516,156 @@ export class AppController {
     return this.enqueue(async () => this.store.readSnapshot(snapshotId));
   }
 
+  /** 用事件日志重建损坏的快照，返回 { entry, skipped } */
+  async repairSnapshot(snapshotId) {
+    return this.enqueue(async () => this.store.repairSnapshot(snapshotId));
+  }
+
+  /** 历史面板分页读取快照摘要，不解析完整快照 */
+  async listSnapshotSummaries(offset = 0, limit = 20) {
+    return this.enqueue(async () => this.store.listSnapshotSummaries({ offset, limit }));
+  }
+
+  /** 返回 { retention, retentionEnabled, pinned } */
+  async getArchiveSettings() {
+    return this.enqueue(async () => this.store.readArchiveConfig());
+  }
+
+  async setRetention(retention) {
+    return this.enqueue(async () => this.store.setRetention(retention));
+  }
+
+  async pinSnapshot(snapshotId, pinned = true) {
+    return this.enqueue(async () => this.store.pinSnapshot(snapshotId, pinned));
+  }
+
+  async deleteSnapshot(snapshotId) {
+    return this.enqueue(async () => {
+      await this.store.deleteSnapshot(snapshotId);
+      return this.store.listSnapshots();
+    });
+  }
+
+  /**
+   * 比较快照 snapshotId（旧）与 otherSnapshotId（新）；otherSnapshotId 为空时与活跃树比较。
+   * 返回 { summary, rows }，rows 为按新树排列的合并视图。
+   */
+  async compareSnapshot(snapshotId, otherSnapshotId = null) {
+    return this.enqueue(async () => {
+      const before = await this.store.readSnapshot(snapshotId);
+      const after = otherSnapshotId ? await this.store.readSnapshot(otherSnapshotId) : this.machine.state;
+      const diff = diffStates(before, after);
+      return { summary: diff.summary, rows: buildDiffRows(before, after, diff) };
+    });
+  }
+
+  async searchArchive(query, filters = {}) {
+    return this.enqueue(async () => this.store.searchArchive(query, filters));
+  }
+
+  /**
+   * 导出活跃树（snapshotId 为空）或指定快照。
+   * 返回 { content, extension, suggestedName }，复制/保存由主进程负责。
+   */
+  async exportTree(snapshotId, format) {
+    return this.enqueue(async () => {
+      const state = snapshotId ? await this.store.readSnapshot(snapshotId) : this.machine.state;
+      const label = snapshotId ?? this.machine.state.sessionId;
+      const content = exportTree(state, format, { title: `${this.workspace} · ${label}` });
+      const { extension } = EXPORT_FORMATS[format];
+      return { content, extension, suggestedName: `${this.workspace}-${label}.${extension}` };
+    });
+  }
+
+  /**
+   * 开始回放会话 sessionId：读取事件日志（当前会话读取到此刻为止的部分）。
+   * 返回 { sessionId, total }，之后用 seekReplay 移动到任意位置。
+   */
+  async openReplay(sessionId) {
+    return this.enqueue(async () => {
+      const events = await this.store.readEvents(sessionId);
+      this.replay = new EventReplayer(events, sessionId);
+      return { sessionId, total: this.replay.total };
+    });
+  }
+
+  /**
+   * 回放到应用了前 index 条事件之后。
+   * 返回 { sessionId, index, total, event, state, skipped }，event 为最后应用的一条；
+   * state 在遇到会话开头之前为 null。
+   */
+  async seekReplay(index) {
+    return this.enqueue(async () => {
+      const replay = this.requireReplay();
+      const position = replay.seek(index);
+      return {
+        sessionId: replay.sessionId,
+        index: position,
+        total: replay.total,
+        event: replay.events[position - 1] ?? null,
+        state: replay.getState(),
+        skipped: replay.skipped
+      };
+    });
+  }
+
+  async closeReplay() {
+    return this.enqueue(async () => {
+      this.replay = null;
+    });
+  }
+
+  requireReplay() {
+    if (!this.replay) {
+      throw new Error("No session is being replayed");
+    }
+    return this.replay;
+  }
+
   /**
-   * 从历史快照恢复：flush 当前状态 → 调用 store 恢复 → 重新初始化状态机。
+   * 从历史快照恢复：写入当前检查点 → 调用 store 恢复 → 重新初始化状态机。
    * 返回新的完整 state 供渲染层直接使用。
    */
   async restoreSession(snapshotId) {
+    return this.enqueue(async () => this.startSession(() => this.store.restoreToSnapshot(snapshotId)));
+  }
+
+  /**
+   * 从回放到的第 index 条事件之后的状态开始新的活跃会话，当前会话照常归档。
+   * 返回新的完整 state。
+   */
+  async branchFromReplay(index) {
     return this.enqueue(async () => {
-      await this.store.flushPendingState();
-      const restoredState = await this.store.restoreToSnapshot(snapshotId);
-      this.machine = new TreeStateMachine(restoredState);
-      return restoredState;
+      const replay = this.requireReplay();
+      const eventIndex = replay.seek(index);
+      const state = replay.getState();
+      if (!state) {
+        throw new Error(`Session ${replay.sessionId} has not started at event ${eventIndex}`);
+      }
+      const branchedState = await this.startSession(() =>
+        this.store.branchFromState(state, { sessionId: replay.sessionId, eventIndex })
+      );
+      this.replay = null;
+      return branchedState;
     });
   }
 
+  /** 结束当前会话的计时并写入检查点，再由 open 创建新会话；只在队列任务内调用 */
+  async startSession(open) {
+    await this.recordInterval(this.tracker.stop());
+    await this.checkpoint();
+    const state = await open();
+    this.machine = new TreeStateMachine(state);
+    this.selfTimes = {};
+    await this.trackFocus();
+    return this.machine.getState();
+  }
+
   async shutdown() {
-    await this.enqueue(async () => this.store.flushPendingState());
+    await this.enqueue(async () => {
+      await this.recordInterval(this.tracker.pause("quit"));
+      await this.checkpoint();
+    });
   }
 }
 
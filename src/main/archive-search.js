@@ -0,0 +1,148 @@
+import { dayKey } from "./dates.js";
+
+/**
+ * 在归档的快照（.snapshot.json）和事件日志（.events.log）里按标题搜索。
+ * 快照给出会话结束时的树；事件日志补上后来被改名或删除、快照里已经看不到的标题。
+ * 每条结果带有从顶层任务到命中节点的标题路径，便于在历史面板里定位。
+ */
+
+// 这些事件的 parentId 是节点自己的父节点，可用来还原路径
+const NODE_EVENTS = new Set([
+  "ADD_CHILD",
+  "ADD_SIBLING",
+  "RENAME_NODE",
+  "UPDATE_NODE_DETAILS",
+  "FOCUS_NODE",
+  "COMPLETE_NODE",
+  "DELETE_NODE",
+  "REOPEN_NODE",
+  "MOVE_NODE"
+]);
+
+/** 把查询拆成小写关键词；所有关键词都出现在标题里才算命中 */
+export function queryTerms(query) {
+  return `${query ?? ""}`
+    .toLowerCase()
+    .split(/\s+/u)
+    .filter((term) => term.length > 0);
+}
+
+export function matchesTerms(title, terms) {
+  const text = `${title ?? ""}`.toLowerCase();
+  return terms.length > 0 && terms.every((term) => text.includes(term));
+}
+
+/** 会话 id 形如 2026-01-31_09-30-00，取出日期部分用于按日期过滤 */
+export function sessionDate(sessionId) {
+  return /^(\d{4}-\d{2}-\d{2})/u.exec(sessionId ?? "")?.[1] ?? null;
+}
+
+/** from / to 为 YYYY-MM-DD（含两端），任一为空表示不限 */
+export function inDateRange(date, { from = null, to = null } = {}) {
+  if (!date) {
+    return !from && !to;
+  }
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+/** 沿 parentId 收集祖先标题（不含根节点和节点自身） */
+function pathTo(nodeId, lookup) {
+  const titles = [];
+  const seen = new Set([nodeId]);
+  let current = lookup(nodeId);
+  for (let id = current?.parentId; id && !seen.has(id); id = current?.parentId) {
+    seen.add(id);
+    current = lookup(id);
+    if (!current || !current.parentId) {
+      break;
+    }
+    titles.unshift(current.title);
+  }
+  return titles;
+}
+
+/** 搜索只用到的节点字段；缓存快照时只保留这些，不占用整棵树（和旧文件里的撤销栈）的内存 */
+export function searchableState(state) {
+  const nodes = {};
+  for (const { id, parentId, title, status, createdAt, updatedAt } of Object.values(state.nodes ?? {})) {
+    nodes[id] = { id, parentId, title, status, createdAt, updatedAt };
+  }
+  return { sessionId: state.sessionId ?? null, rootId: state.rootId, nodes };
+}
+
+/** 在单个快照 state 中搜索，根节点不参与匹配 */
+export function searchSnapshotState(state, terms) {
+  const hits = [];
+  const lookup = (id) => state.nodes?.[id];
+  for (const node of Object.values(state.nodes ?? {})) {
+    if (node.id === state.rootId || !matchesTerms(node.title, terms)) {
+      continue;
+    }
+    hits.push({
+      nodeId: node.id,
+      title: node.title,
+      status: node.status,
+      path: pathTo(node.id, lookup),
+      timestamp: node.updatedAt ?? node.createdAt ?? null
+    });
+  }
+  return hits;
+}
+
+/**
+ * 在一份已解析的事件日志中搜索曾经出现过的标题（新建、导入、改名前后）。
+ * 同一节点的同一标题只报告最后一次出现。
+ */
+export function searchEvents(events, terms, range = {}) {
+  const nodes = {};
+  const remember = (id, parentId, title) => {
+    const node = (nodes[id] ??= { id, parentId: null, title: "" });
+    if (parentId !== undefined) {
+      node.parentId = parentId;
+    }
+    if (title !== undefined) {
+      node.title = title;
+    }
+  };
+
+  const found = new Map();
+  const consider = (event, nodeId, title) => {
+    // ts 是 UTC 时间，按本地日期过滤，与快照 id 和日期输入框一致
+    const date = event.ts ? dayKey(event.ts) : null;
+    if (matchesTerms(title, terms) && inDateRange(date, range)) {
+      found.set(`${nodeId}\u0000${title}`, { nodeId, title, action: event.action, timestamp: event.ts ?? null });
+    }
+  };
+
+  for (const event of events) {
+    if (event.action === "SESSION_START") {
+      remember(event.nodeId, null, event.title);
+    } else if (event.action === "SESSION_RESTORED_FROM") {
+      for (const node of Object.values(event.nodes ?? {})) {
+        remember(node.id, node.parentId, node.title);
+      }
+    } else if (event.action === "IMPORT_SUBTREE") {
+      const graft = (items, parentId) => {
+        for (const item of items ?? []) {
+          remember(item.id, parentId, item.title);
+          consider(event, item.id, item.title);
+          graft(item.children, item.id);
+        }
+      };
+      graft(event.items, event.parentId);
+    } else if (NODE_EVENTS.has(event.action) && event.nodeId) {
+      remember(event.nodeId, event.parentId ?? null, event.title);
+      if (event.action === "ADD_CHILD" || event.action === "ADD_SIBLING") {
+        consider(event, event.nodeId, event.title);
+      } else if (event.action === "RENAME_NODE") {
+        consider(event, event.nodeId, event.oldTitle);
+        consider(event, event.nodeId, event.title);
+      }
+    }
+  }
+
+  return [...found.values()].map((hit) => ({
+    ...hit,
+    path: pathTo(hit.nodeId, (id) => nodes[id])
+  }));
+}
@@ -0,0 +1,79 @@
+/**
+ * 快速记录窗口的输入语法：
+ *   "标题"            添加到当前聚焦的任务下
+ *   "A > B > 标题"    从顶层起逐级找到 A 下的 B，添加到 B 下
+ *   "> 标题"          添加为顶层任务
+ * 每一级先找标题相同（不区分大小写）的活跃任务，找不到时再找唯一以它开头的任务。
+ * 标题里的 ">" 写作 "\>"。
+ */
+export const CAPTURE_SEPARATOR = ">";
+
+/**
+ * 拆分输入，返回 { path, title }。
+ * path 为 null 表示添加到聚焦的任务下；空数组表示顶层；否则为从顶层起的各级标题。
+ */
+export function parseCapture(text) {
+  const parts = `${text ?? ""}`
+    .split(/(?<!\\)>/u)
+    .map((part) => part.replace(/\\>/gu, CAPTURE_SEPARATOR).trim());
+  const title = parts.pop();
+  if (!title) {
+    throw new Error("Task title is empty");
+  }
+  if (parts.length === 0) {
+    return { path: null, title };
+  }
+  // 开头的 ">" 表示从顶层开始，其余位置的空段是多打了一个 ">"
+  const path = parts[0] === "" ? parts.slice(1) : parts;
+  if (path.some((segment) => segment === "")) {
+    throw new Error("Parent path has an empty segment");
+  }
+  return { path, title };
+}
+
+function activeChildren(state, node) {
+  return node.childrenIds.map((id) => state.nodes[id]).filter((child) => child?.status === "active");
+}
+
+function findChild(state, parent, segment) {
+  const children = activeChildren(state, parent);
+  const needle = segment.toLowerCase();
+  const exact = children.filter((child) => child.title.toLowerCase() === needle);
+  const matches = exact.length > 0 ? exact : children.filter((child) => child.title.toLowerCase().startsWith(needle));
+  if (matches.length === 1) {
+    return matches[0];
+  }
+  const under = parent.id === state.rootId ? "top level" : `"${parent.title}"`;
+  if (matches.length === 0) {
+    throw new Error(`No task matching "${segment}" under ${under}`);
+  }
+  throw new Error(`"${segment}" matches ${matches.length} tasks under ${under}: ${matches.map((child) => child.title).join(", ")}`);
+}
+
+/** 从顶层到 nodeId 的标题路径（不含根节点） */
+function titlePath(state, nodeId) {
+  const path = [];
+  for (let node = state.nodes[nodeId]; node && node.id !== state.rootId; node = state.nodes[node.parentId]) {
+    path.unshift(node.title);
+  }
+  return path;
+}
+
+/**
+ * 在 state 中找到输入指向的父任务，返回 { parentId, path, title }，path 为父任务的标题路径。
+ * 路径无法唯一确定时抛出 Error，message 说明是哪一级出了问题。
+ */
+export function resolveCapture(state, text) {
+  const { path, title } = parseCapture(text);
+  let parent;
+  if (path === null) {
+    const focused = state.nodes[state.focusedNodeId];
+    parent = focused?.status === "active" ? focused : state.nodes[state.rootId];
+  } else {
+    parent = state.nodes[state.rootId];
+    for (const segment of path) {
+      parent = findChild(state, parent, segment);
+    }
+  }
+  return { parentId: parent.id, path: titlePath(state, parent.id), title };
+}
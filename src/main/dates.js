@@ -0,0 +1,17 @@
+/**
+ * 日期工具：按本地时间把时间戳归到某一天，统计和历史搜索共用。
+ * 日期键形如 2026-01-31，与快照 id 的日期部分和日期输入框一致。
+ */
+
+function pad(number) {
+  return `${number}`.padStart(2, "0");
+}
+
+/** ISO 字符串、毫秒数或 Date 转为本地日期键；无法解析时返回 null */
+export function dayKey(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
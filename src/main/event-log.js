@@ -0,0 +1,229 @@
+import { TreeStateMachine, createInitialState } from "./tree-state.js";
+
+/**
+ * 事件日志格式版本。
+ * v1：每行一个 JSON 对象 `{ v, ts, action, ...payload }`。
+ * v0：旧版纯文本行 `[ts] ACTION nodeId=.. parentId=.. title=".." key=value`，只读不写。
+ */
+export const EVENT_LOG_VERSION = 1;
+
+const LEGACY_LINE = /^\[([^\]]+)\] (\S+) nodeId=(\S+) parentId=(\S+) title="((?:[^"\\]|\\.)*)"(.*)$/u;
+
+function legacyValue(value) {
+  return value === "none" ? null : value;
+}
+
+export function serializeEvent(action, payload = {}, timestamp = new Date().toISOString()) {
+  return JSON.stringify({ v: EVENT_LOG_VERSION, ts: timestamp, action, ...payload });
+}
+
+function parseLegacyLine(line) {
+  const match = LEGACY_LINE.exec(line);
+  if (!match) {
+    return null;
+  }
+  const [, ts, action, nodeId, parentId, title, rest] = match;
+  const event = {
+    v: 0,
+    ts,
+    action,
+    nodeId: legacyValue(nodeId),
+    parentId: legacyValue(parentId),
+    title: title.replaceAll('\\"', '"')
+  };
+  for (const pair of rest.trim().split(/\s+/u)) {
+    const separator = pair.indexOf("=");
+    if (separator > 0) {
+      event[pair.slice(0, separator)] = legacyValue(pair.slice(separator + 1));
+    }
+  }
+  return event;
+}
+
+/** 解析单行事件，兼容 v0 文本格式；无法识别时返回 null */
+export function parseEventLine(line) {
+  const trimmed = `${line ?? ""}`.trim();
+  if (trimmed.length === 0) {
+    return null;
+  }
+  if (trimmed.startsWith("{")) {
+    try {
+      const event = JSON.parse(trimmed);
+      return event && typeof event.action === "string" ? event : null;
+    } catch {
+      return null;
+    }
+  }
+  return parseLegacyLine(trimmed);
+}
+
+export function parseEventLog(raw) {
+  return `${raw ?? ""}`
+    .split(/\r?\n/u)
+    .map(parseEventLine)
+    .filter((event) => event !== null);
+}
+
+function applyEvent(machine, event) {
+  switch (event.action) {
+    case "ADD_CHILD":
+    case "ADD_SIBLING":
+      machine.addChild(event.parentId ?? machine.state.rootId, event.title, {
+        id: event.nodeId,
+        keepFocus: Boolean(event.keepFocus)
+      });
+      break;
+    case "IMPORT_SUBTREE":
+      machine.importSubtree(event.parentId, event.items ?? []);
+      break;
+    case "RENAME_NODE":
+      machine.renameNode(event.nodeId, event.title);
+      break;
+    case "UPDATE_NODE_DETAILS":
+      machine.updateNodeDetails(event.nodeId, event.details ?? {});
+      break;
+    case "FOCUS_NODE":
+      machine.focusNode(event.nodeId);
+      break;
+    case "COMPLETE_NODE":
+      machine.completeNode(event.nodeId);
+      break;
+    case "DELETE_NODE":
+      machine.deleteNode(event.nodeId);
+      break;
+    case "REOPEN_NODE":
+      machine.reopenNode(event.nodeId);
+      break;
+    case "MOVE_NODE":
+      machine.moveNode(event.nodeId, event.parentId, event.index);
+      break;
+    case "UNDO":
+      machine.undo();
+      break;
+    case "REDO":
+      machine.redo();
+      break;
+    default:
+      // SESSION_RESUME / SESSION_SAVE 等不改变树结构
+      break;
+  }
+}
+
+// 回放时每隔这么多条事件保存一份状态，向后拖动时从最近的一份继续，而不是从头重放
+export const REPLAY_KEYFRAME_INTERVAL = 250;
+
+/**
+ * 逐条回放事件序列，可以停在任意位置：position 为已应用的事件数（0 … total）。
+ * 会话以 SESSION_START（根节点 id）或 SESSION_RESTORED_FROM（携带完整 nodes）开头；
+ * 与当前树不一致、无法应用的事件会被跳过并计入 skipped。
+ */
+export class EventReplayer {
+  constructor(events, sessionId = null) {
+    this.events = events;
+    this.sessionId = sessionId;
+    this.keyframes = [];
+    this.reset();
+  }
+
+  get total() {
+    return this.events.length;
+  }
+
+  reset() {
+    this.position = 0;
+    this.machine = null;
+    this.skipped = 0;
+    this.clock = new Date().toISOString();
+  }
+
+  startMachine(state) {
+    this.machine = new TreeStateMachine(state, { now: () => this.clock });
+  }
+
+  /** 应用下一条事件；已到末尾时返回 false */
+  step() {
+    const event = this.events[this.position];
+    if (!event) {
+      return false;
+    }
+    this.position += 1;
+    this.clock = event.ts ?? this.clock;
+    if (event.action === "SESSION_START") {
+      this.startMachine(
+        createInitialState(event.sessionId ?? this.sessionId, { rootId: event.nodeId ?? undefined, timestamp: this.clock })
+      );
+    } else if (event.action === "SESSION_RESTORED_FROM" && event.nodes) {
+      this.startMachine({
+        sessionId: event.sessionId ?? this.sessionId,
+        rootId: event.nodeId,
+        focusedNodeId: event.nodeId,
+        nodes: event.nodes,
+        undoStack: [],
+        redoStack: []
+      });
+    } else if (!this.machine) {
+      this.skipped += 1;
+    } else {
+      try {
+        applyEvent(this.machine, event);
+      } catch {
+        this.skipped += 1;
+      }
+    }
+    if (this.machine && this.position % REPLAY_KEYFRAME_INTERVAL === 0 && this.position > (this.keyframes.at(-1)?.position ?? 0)) {
+      // 树状态复制一份；撤销栈只复制数组，条目与回放中的状态共享
+      this.keyframes.push({
+        position: this.position,
+        skipped: this.skipped,
+        clock: this.clock,
+        state: this.machine.getState(),
+        history: this.machine.getHistory()
+      });
+    }
+    return true;
+  }
+
+  /** 移动到应用了前 count 条事件之后的位置（超出范围时取边界） */
+  seek(count) {
+    const target = Math.max(0, Math.min(Math.floor(count), this.total));
+    if (target < this.position) {
+      const keyframe = this.keyframes.findLast((frame) => frame.position <= target);
+      if (keyframe) {
+        this.position = keyframe.position;
+        this.skipped = keyframe.skipped;
+        this.clock = keyframe.clock;
+        this.startMachine(keyframe.state);
+        this.machine.setHistory(keyframe.history);
+      } else {
+        this.reset();
+      }
+    }
+    while (this.position < target) {
+      this.step();
+    }
+    return this.position;
+  }
+
+  /** 当前位置的树状态（副本）；还没有遇到会话开头时为 null */
+  getState() {
+    if (!this.machine) {
+      return null;
+    }
+    const state = this.machine.getState();
+    if (this.sessionId) {
+      state.sessionId = this.sessionId;
+    }
+    return state;
+  }
+}
+
+/** 仅凭事件序列重建树状态（回放全部事件） */
+export function replayEvents(events, sessionId = null) {
+  const replayer = new EventReplayer(events, sessionId);
+  replayer.seek(replayer.total);
+  const state = replayer.getState();
+  if (!state) {
+    throw new Error("Event log has no session start");
+  }
+  return { state, skipped: replayer.skipped };
+}
@@ -0,0 +1,98 @@
+/**
+ * 把任意状态（活跃树或 .snapshot.json）导出为文本格式。
+ * 只导出仍挂在树上的节点：活跃与已完成；已删除节点已从父节点摘除，不会出现。
+ * 根节点本身不输出，顶层任务从第 0 层开始。
+ */
+export const EXPORT_FORMATS = {
+  markdown: { label: "Markdown", extension: "md" },
+  opml: { label: "OPML", extension: "opml" },
+  text: { label: "Text", extension: "txt" }
+};
+
+function singleLine(text) {
+  return `${text ?? ""}`.replace(/\s*\r?\n\s*/gu, " ").trim();
+}
+
+function escapeXml(text) {
+  return `${text ?? ""}`
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/** 深度优先列出要导出的节点：[{ node, depth }] */
+export function collectExportRows(state, { includeCompleted = true } = {}) {
+  const rows = [];
+  const visit = (nodeId, depth) => {
+    const node = state.nodes[nodeId];
+    if (!node || node.status === "deleted" || (node.status === "completed" && !includeCompleted)) {
+      return;
+    }
+    if (depth >= 0) {
+      rows.push({ node, depth });
+    }
+    for (const childId of node.childrenIds) {
+      visit(childId, depth + 1);
+    }
+  };
+  visit(state.rootId, -1);
+  return rows;
+}
+
+function toMarkdown(rows) {
+  return rows
+    .map(({ node, depth }) => `${"  ".repeat(depth)}- [${node.status === "completed" ? "x" : " "}] ${singleLine(node.title)}`)
+    .join("\n");
+}
+
+function toText(rows) {
+  return rows
+    .map(({ node, depth }) => `${"\t".repeat(depth)}${node.status === "completed" ? "✓ " : ""}${singleLine(node.title)}`)
+    .join("\n");
+}
+
+function toOpml(rows, title) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    `  <head><title>${escapeXml(title)}</title></head>`,
+    "  <body>"
+  ];
+  // 用栈把扁平的 rows 还原成嵌套的 <outline>
+  const open = [];
+  rows.forEach(({ node, depth }, index) => {
+    while (open.length > depth) {
+      open.pop();
+      lines.push(`${"  ".repeat(open.length + 2)}</outline>`);
+    }
+    const indent = "  ".repeat(depth + 2);
+    const complete = node.status === "completed" ? ' _complete="true"' : "";
+    const attributes = `text="${escapeXml(singleLine(node.title))}"${complete}`;
+    const hasChildren = rows[index + 1]?.depth > depth;
+    if (hasChildren) {
+      lines.push(`${indent}<outline ${attributes}>`);
+      open.push(node.id);
+    } else {
+      lines.push(`${indent}<outline ${attributes}/>`);
+    }
+  });
+  while (open.length > 0) {
+    open.pop();
+    lines.push(`${"  ".repeat(open.length + 2)}</outline>`);
+  }
+  lines.push("  </body>", "</opml>");
+  return lines.join("\n");
+}
+
+export function exportTree(state, format, { title = "I'm back", includeCompleted = true } = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const rows = collectExportRows(state, { includeCompleted });
+  if (format === "opml") {
+    return `${toOpml(rows, title)}\n`;
+  }
+  const body = format === "markdown" ? toMarkdown(rows) : toText(rows);
+  return body.length > 0 ? `${body}\n` : "";
+}
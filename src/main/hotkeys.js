@@ -0,0 +1,237 @@
+import path from "node:path";
+import { promises as fs } from "node:fs";
+
+/**
+ * 全局快捷键设置（userData/hotkeys.json）。窗口没有焦点时也能操作任务栈。
+ * bindings 中每个动作可以是一个快捷键、按优先顺序排列的数组，或 null（禁用）；
+ * 没有写的动作使用默认值。配置的快捷键都不可用时，依次尝试该动作的默认快捷键。
+ * 快捷键格式同 Electron accelerator，如 "CommandOrControl+Alt+N"。
+ */
+export const HOTKEY_CONFIG_VERSION = 1;
+
+export const HOTKEY_ACTIONS = {
+  quickAdd: { label: "快速添加子任务", defaults: ["CommandOrControl+Alt+N", "CommandOrControl+Alt+Shift+N"] },
+  completeFocused: { label: "完成当前任务", defaults: ["CommandOrControl+Alt+Enter", "CommandOrControl+Alt+Shift+Enter"] },
+  toggleWindow: { label: "显示 / 隐藏窗口", defaults: ["CommandOrControl+Alt+B", "CommandOrControl+Alt+Shift+B"] },
+  toggleHistory: { label: "显示 / 隐藏历史记录", defaults: ["CommandOrControl+Alt+H", "CommandOrControl+Alt+Shift+H"] },
+  quickCapture: { label: "快速记录", defaults: ["CommandOrControl+Alt+Space", "CommandOrControl+Alt+Shift+Space"] }
+};
+
+// 窗口内的快捷键（见渲染层 setupKeyboard）：注册成全局快捷键会让它们在窗口里失效
+const WINDOW_SHORTCUTS = [
+  "CommandOrControl+N",
+  "CommandOrControl+Shift+N",
+  "CommandOrControl+Enter",
+  "CommandOrControl+Z",
+  "CommandOrControl+Y",
+  "CommandOrControl+S",
+  "CommandOrControl+Shift+S",
+  "CommandOrControl+F",
+  "CommandOrControl+Shift+V",
+  "CommandOrControl+E",
+  "CommandOrControl+I",
+  "CommandOrControl+H"
+];
+
+const MODIFIERS = {
+  commandorcontrol: "CommandOrControl",
+  cmdorctrl: "CommandOrControl",
+  command: "Command",
+  cmd: "Command",
+  control: "Control",
+  ctrl: "Control",
+  alt: "Alt",
+  option: "Alt",
+  altgr: "AltGr",
+  shift: "Shift",
+  super: "Super",
+  meta: "Super"
+};
+const MODIFIER_ORDER = ["CommandOrControl", "Command", "Control", "Alt", "AltGr", "Shift", "Super"];
+const NAMED_KEYS = new Map(
+  [
+    "Plus",
+    "Space",
+    "Tab",
+    "Backspace",
+    "Delete",
+    "Insert",
+    "Enter",
+    "Up",
+    "Down",
+    "Left",
+    "Right",
+    "Home",
+    "End",
+    "PageUp",
+    "PageDown",
+    "Escape",
+    "PrintScreen",
+    "MediaPlayPause",
+    "MediaNextTrack",
+    "MediaPreviousTrack",
+    "MediaStop",
+    "VolumeUp",
+    "VolumeDown",
+    "VolumeMute"
+  ].map((key) => [key.toLowerCase(), key])
+);
+NAMED_KEYS.set("return", "Enter");
+NAMED_KEYS.set("esc", "Escape");
+
+function normalizeKey(raw) {
+  if (/^f([1-9]|1\d|2[0-4])$/iu.test(raw)) {
+    return raw.toUpperCase();
+  }
+  if (NAMED_KEYS.has(raw.toLowerCase())) {
+    return NAMED_KEYS.get(raw.toLowerCase());
+  }
+  if (/^[\x21-\x7e]$/u.test(raw)) {
+    return raw.toUpperCase();
+  }
+  return null;
+}
+
+/**
+ * 把快捷键规范化为统一写法（修饰键按固定顺序、别名换成全称）；无效时返回 null。
+ * 除 F 键外至少要有一个 Shift 以外的修饰键，否则全局快捷键会吞掉普通输入。
+ */
+export function normalizeAccelerator(accelerator) {
+  if (typeof accelerator !== "string") {
+    return null;
+  }
+  // "Ctrl++" 中的第二个 + 是按键本身
+  const parts = accelerator.trim().replace(/\+\+$/u, "+Plus").split("+").map((part) => part.trim());
+  if (parts.length === 0 || parts.some((part) => part.length === 0)) {
+    return null;
+  }
+  const key = normalizeKey(parts.at(-1));
+  const modifiers = new Set();
+  for (const part of parts.slice(0, -1)) {
+    const modifier = MODIFIERS[part.toLowerCase()];
+    if (!modifier || modifiers.has(modifier)) {
+      return null;
+    }
+    modifiers.add(modifier);
+  }
+  const hasModifier = [...modifiers].some((modifier) => modifier !== "Shift");
+  if (!key || (!hasModifier && !/^F\d+$/u.test(key))) {
+    return null;
+  }
+  return [...MODIFIER_ORDER.filter((modifier) => modifiers.has(modifier)), key].join("+");
+}
+
+/** 用于判断冲突的键：CommandOrControl 在任一平台上都等同于 Command 或 Control */
+function conflictKey(accelerator) {
+  return accelerator
+    .split("+")
+    .map((part) => (part === "Command" || part === "Control" ? "CommandOrControl" : part))
+    .join("+");
+}
+
+const RESERVED = new Set(WINDOW_SHORTCUTS.map(conflictKey));
+
+export function defaultHotkeyConfig() {
+  return {
+    version: HOTKEY_CONFIG_VERSION,
+    bindings: Object.fromEntries(Object.entries(HOTKEY_ACTIONS).map(([action, { defaults }]) => [action, defaults[0]]))
+  };
+}
+
+/**
+ * 按配置为每个动作列出候选快捷键（配置的在前，默认值在后，已去重）。
+ * 返回 { actions: [{ action, label, candidates }], problems: [{ action, accelerator, reason }] }；
+ * reason 为 "invalid"（无法识别）或 "reserved"（与窗口内快捷键相同），这些候选不会注册。
+ */
+export function planHotkeys(config = {}) {
+  const bindings = config?.bindings && typeof config.bindings === "object" ? config.bindings : {};
+  const actions = [];
+  const problems = [];
+  for (const [action, { label, defaults }] of Object.entries(HOTKEY_ACTIONS)) {
+    const configured = bindings[action];
+    if (configured === null || configured === "" || (Array.isArray(configured) && configured.length === 0)) {
+      actions.push({ action, label, candidates: [] });
+      continue;
+    }
+    const requested = configured === undefined ? [] : [configured].flat();
+    const candidates = [];
+    for (const accelerator of [...requested, ...defaults]) {
+      const normalized = normalizeAccelerator(accelerator);
+      if (!normalized) {
+        problems.push({ action, accelerator: `${accelerator}`, reason: "invalid" });
+      } else if (RESERVED.has(conflictKey(normalized))) {
+        problems.push({ action, accelerator: normalized, reason: "reserved" });
+      } else if (!candidates.includes(normalized)) {
+        candidates.push(normalized);
+      }
+    }
+    actions.push({ action, label, candidates });
+  }
+  return { actions, problems };
+}
+
+/**
+ * 依次注册每个动作的候选快捷键，第一个成功的生效。
+ * tryRegister(accelerator, action) 返回是否注册成功（被系统或其他程序占用时为 false）。
+ * 已被前面的动作使用的快捷键记为 "conflict"，注册失败记为 "unavailable"。
+ * 返回 { bindings: [{ action, label, accelerator, fallback }], problems }，
+ * accelerator 为 null 表示该动作没有可用的全局快捷键（仍可通过托盘菜单使用）。
+ */
+export function applyHotkeys(plan, tryRegister) {
+  const problems = [...plan.problems];
+  const taken = new Map();
+  const bindings = [];
+  for (const { action, label, candidates } of plan.actions) {
+    let accelerator = null;
+    for (const candidate of candidates) {
+      const owner = taken.get(conflictKey(candidate));
+      if (owner) {
+        problems.push({ action, accelerator: candidate, reason: "conflict", with: owner });
+        continue;
+      }
+      let registered = false;
+      try {
+        registered = Boolean(tryRegister(candidate, action));
+      } catch {
+        registered = false;
+      }
+      if (registered) {
+        accelerator = candidate;
+        taken.set(conflictKey(candidate), action);
+        break;
+      }
+      problems.push({ action, accelerator: candidate, reason: "unavailable" });
+    }
+    bindings.push({ action, label, accelerator, fallback: Boolean(accelerator) && accelerator !== candidates[0] });
+  }
+  return { bindings, problems };
+}
+
+/**
+ * 读取快捷键设置；文件不存在时写入默认设置，方便用户直接编辑。
+ * 文件无法解析或默认设置写不进去（如 userData 只读）时使用默认设置，返回 { config, error }；不会抛出错误。
+ */
+export async function readHotkeyConfig(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, "utf8");
+  } catch {
+    const config = defaultHotkeyConfig();
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, `${JSON.stringify(config, null, 2)}\n`, "utf8");
+    } catch (error) {
+      return { config, error: `${path.basename(filePath)}: ${error.message}` };
+    }
+    return { config, error: null };
+  }
+  try {
+    const config = JSON.parse(raw);
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+      throw new Error("Settings must be a JSON object");
+    }
+    return { config, error: null };
+  } catch (error) {
+    return { config: defaultHotkeyConfig(), error: `${path.basename(filePath)}: ${error.message}` };
+  }
+}
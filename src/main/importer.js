@@ -0,0 +1,144 @@
+/**
+ * 把 Markdown 清单、OPML 或缩进文本解析成待导入的任务树。
+ * 结果是 [{ title, completed, children }]，交给 TreeStateMachine.importSubtree 一次性挂到目标节点下。
+ */
+export const IMPORT_FORMATS = ["markdown", "opml", "text"];
+
+const MAX_IMPORT_ITEMS = 2000;
+const TAB_WIDTH = 4;
+
+const LIST_ITEM = /^([-*+]|\d+[.)])\s+(?:\[([ xX])\]\s*)?(.*)$/u;
+const HEADING = /^#{1,6}\s+(.*)$/u;
+const DONE_PREFIX = /^✓\s*/u;
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function unescapeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/giu, (match, entity) => {
+    if (entity.startsWith("#x") || entity.startsWith("#X")) {
+      return String.fromCodePoint(Number.parseInt(entity.slice(2), 16));
+    }
+    if (entity.startsWith("#")) {
+      return String.fromCodePoint(Number.parseInt(entity.slice(1), 10));
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function indentWidth(whitespace) {
+  let width = 0;
+  for (const char of whitespace) {
+    width += char === "\t" ? TAB_WIDTH : 1;
+  }
+  return width;
+}
+
+export function detectFormat(text) {
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith("<?xml") || trimmed.startsWith("<opml")) {
+    return "opml";
+  }
+  const lines = text.split(/\r?\n/u).filter((line) => line.trim().length > 0);
+  return lines.some((line) => LIST_ITEM.test(line.trim())) ? "markdown" : "text";
+}
+
+/** 缩进行 → 嵌套树：缩进比栈顶深的行成为其子节点 */
+function buildFromIndentedLines(entries) {
+  const roots = [];
+  const stack = [];
+  for (const { indent, item } of entries) {
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+    (parent ? parent.item.children : roots).push(item);
+    stack.push({ indent, item });
+  }
+  return roots;
+}
+
+function parseLines(text, format) {
+  const entries = [];
+  for (const line of text.split(/\r?\n/u)) {
+    if (line.trim().length === 0) {
+      continue;
+    }
+    const [, whitespace, content] = /^(\s*)(.*)$/u.exec(line);
+    let indent = indentWidth(whitespace);
+    let title = content.trim();
+    let completed = false;
+
+    if (format === "markdown") {
+      const heading = HEADING.exec(title);
+      const listItem = LIST_ITEM.exec(title);
+      if (heading) {
+        // 标题行放在最外层，后面的列表项挂在它下面
+        title = heading[1];
+        indent = -1;
+      } else if (listItem) {
+        completed = listItem[2] === "x" || listItem[2] === "X";
+        title = listItem[3];
+      }
+    } else if (DONE_PREFIX.test(title)) {
+      completed = true;
+      title = title.replace(DONE_PREFIX, "");
+    }
+
+    title = title.trim();
+    if (title.length > 0) {
+      entries.push({ indent, item: { title, completed, children: [] } });
+    }
+  }
+  return buildFromIndentedLines(entries);
+}
+
+function parseOpml(text) {
+  const body = /<body[^>]*>([\s\S]*)<\/body>/iu.exec(text)?.[1] ?? text;
+  const roots = [];
+  const stack = [];
+  const tagPattern = /<(\/?)outline\b([^>]*?)(\/?)>/giu;
+  for (const match of body.matchAll(tagPattern)) {
+    const [, closing, attributeText, selfClosing] = match;
+    if (closing) {
+      stack.pop();
+      continue;
+    }
+    const attributes = {};
+    for (const [, name, value] of attributeText.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/gu)) {
+      attributes[name] = unescapeXml(value);
+    }
+    const item = {
+      title: (attributes.text ?? attributes.title ?? "").trim(),
+      completed: attributes._complete === "true" || attributes._status === "checked",
+      children: []
+    };
+    const parent = stack[stack.length - 1];
+    (parent ? parent.children : roots).push(item);
+    if (!selfClosing) {
+      stack.push(item);
+    }
+  }
+  return roots;
+}
+
+export function countItems(items) {
+  return items.reduce((sum, item) => sum + 1 + countItems(item.children ?? []), 0);
+}
+
+/**
+ * 解析导入文本。format 为 "auto" 时自动识别。
+ * 返回 { format, items, count }；超过上限时抛错。
+ */
+export function parseOutline(text, format = "auto") {
+  const source = `${text ?? ""}`;
+  const resolved = format === "auto" ? detectFormat(source) : format;
+  if (!IMPORT_FORMATS.includes(resolved)) {
+    throw new Error(`Unknown import format: ${format}`);
+  }
+  const items = resolved === "opml" ? parseOpml(source) : parseLines(source, resolved);
+  const count = countItems(items);
+  if (count > MAX_IMPORT_ITEMS) {
+    throw new Error(`Too many items to import: ${count} (max ${MAX_IMPORT_ITEMS})`);
+  }
+  return { format: resolved, items, count };
+}
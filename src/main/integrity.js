@@ -0,0 +1,97 @@
+import { createHash } from "node:crypto";
+
+/**
+ * 会话文件（active.json、.snapshot.json）的完整性检查。
+ * 写入时附加 checksum：其余字段按 JSON 序列化后的 SHA-256；
+ * 读取时先校验 checksum，再检查树结构。没有 checksum 的旧文件只做结构检查。
+ */
+const NODE_STATUSES = new Set(["active", "completed", "deleted"]);
+const MAX_REPORTED_PROBLEMS = 5;
+
+export function computeChecksum(state) {
+  const { checksum: _checksum, ...rest } = state;
+  return createHash("sha256").update(JSON.stringify(rest)).digest("hex");
+}
+
+/** 返回附带 checksum 的副本（checksum 放在最后，旧的值会被替换） */
+export function withChecksum(state) {
+  const { checksum: _checksum, ...rest } = state;
+  return { ...rest, checksum: computeChecksum(rest) };
+}
+
+/** 检查树结构，返回问题描述列表；为空表示结构完整 */
+export function validateState(state) {
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    return ["State is not an object"];
+  }
+  const { nodes } = state;
+  if (!nodes || typeof nodes !== "object" || Array.isArray(nodes)) {
+    return ["Missing nodes map"];
+  }
+  const problems = [];
+  if (typeof state.rootId !== "string" || !nodes[state.rootId]) {
+    problems.push(`Root node ${state.rootId} not found`);
+  }
+  if (state.focusedNodeId != null && !nodes[state.focusedNodeId]) {
+    problems.push(`Focused node ${state.focusedNodeId} not found`);
+  }
+  for (const key of ["undoStack", "redoStack"]) {
+    if (state[key] !== undefined && !Array.isArray(state[key])) {
+      problems.push(`${key} is not an array`);
+    }
+  }
+  for (const [id, node] of Object.entries(nodes)) {
+    if (!node || typeof node !== "object") {
+      problems.push(`Node ${id} is not an object`);
+      continue;
+    }
+    if (node.id !== id) {
+      problems.push(`Node ${id} has mismatched id ${node.id}`);
+    }
+    if (typeof node.title !== "string") {
+      problems.push(`Node ${id} has no title`);
+    }
+    if (node.status !== undefined && !NODE_STATUSES.has(node.status)) {
+      problems.push(`Node ${id} has unknown status ${node.status}`);
+    }
+    if (!Array.isArray(node.childrenIds)) {
+      problems.push(`Node ${id} has no childrenIds`);
+      continue;
+    }
+    for (const childId of node.childrenIds) {
+      if (nodes[childId]?.parentId !== id) {
+        problems.push(`Child ${childId} of ${id} is missing or has another parent`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * 解析并校验一个状态文件的内容，返回去掉 checksum 的 state。
+ * 任何问题都抛出 Error，message 说明原因（无效 JSON、checksum 不符或结构问题）。
+ */
+export function parseStateFile(raw) {
+  let state;
+  try {
+    state = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON (${raw.length} bytes): ${error.message}`);
+  }
+  if (state && typeof state === "object" && typeof state.checksum === "string" && state.checksum !== computeChecksum(state)) {
+    throw new Error("Checksum mismatch");
+  }
+  const problems = validateState(state);
+  if (problems.length > 0) {
+    const shown = problems.slice(0, MAX_REPORTED_PROBLEMS).join("; ");
+    const more = problems.length > MAX_REPORTED_PROBLEMS ? ` (+${problems.length - MAX_REPORTED_PROBLEMS} more)` : "";
+    throw new Error(`Invalid state: ${shown}${more}`);
+  }
+  const { checksum: _checksum, ...rest } = state;
+  return rest;
+}
+
+/** 从（可能被截断的）文件内容中找出 sessionId，用于定位该会话的事件日志 */
+export function guessSessionId(raw) {
+  return /"sessionId"\s*:\s*"([\w-]+)"/u.exec(raw ?? "")?.[1] ?? null;
+}
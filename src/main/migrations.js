@@ -0,0 +1,102 @@
+import { DETAIL_DEFAULTS } from "./tree-state.js";
+
+/**
+ * 持久化状态（active.json、.snapshot.json）的版本迁移。
+ * 写入时带上 schemaVersion；读取时依次执行比文件版本更新的迁移，直到 CURRENT_SCHEMA_VERSION。
+ * 没有 schemaVersion 的文件视为版本 0，即引入版本号之前写入的所有文件。
+ * 新增迁移时在 MIGRATIONS 末尾追加一项，并在 tests/fixtures/ 中放入上一版本的样例文件。
+ */
+
+function deepClone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/** 补齐节点详情字段（notes、dueDate、priority、tags 之前的文件没有这些键） */
+function fillDetails(node) {
+  if (!node) {
+    return node;
+  }
+  for (const [key, value] of Object.entries(DETAIL_DEFAULTS)) {
+    if (node[key] === undefined) {
+      node[key] = deepClone(value);
+    }
+  }
+  return node;
+}
+
+function sameNode(left, right) {
+  return JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+}
+
+/**
+ * 把历史栈中的整树条目（带 rootId，撤销改为补丁之前写入）转换成补丁条目。
+ * 栈顶条目作用于当前节点，因此从栈顶往下逐条推算每一步之前的节点集合。
+ */
+function toPatchStack(stack, nodes) {
+  let current = nodes;
+  const converted = [];
+  for (const entry of [...stack].reverse()) {
+    let patch = entry;
+    if (entry.rootId) {
+      const target = entry.nodes ?? {};
+      Object.values(target).forEach(fillDetails);
+      patch = { focusedNodeId: entry.focusedNodeId, nodes: {} };
+      for (const id of new Set([...Object.keys(current), ...Object.keys(target)])) {
+        if (!sameNode(current[id], target[id])) {
+          patch.nodes[id] = target[id] ?? null;
+        }
+      }
+    } else {
+      Object.values(entry.nodes ?? {}).forEach(fillDetails);
+    }
+    const next = { ...current };
+    for (const [id, previous] of Object.entries(patch.nodes)) {
+      if (previous) {
+        next[id] = previous;
+      } else {
+        delete next[id];
+      }
+    }
+    current = next;
+    converted.push(patch);
+  }
+  return converted.reverse();
+}
+
+/** 按顺序执行；migrate 就地修改传入的 state 副本 */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Fill node detail defaults and convert full-tree undo entries to patches",
+    migrate(state) {
+      Object.values(state.nodes).forEach(fillDetails);
+      state.undoStack = toPatchStack(state.undoStack ?? [], state.nodes);
+      state.redoStack = toPatchStack(state.redoStack ?? [], state.nodes);
+    }
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS.at(-1).version;
+
+export function schemaVersionOf(state) {
+  return Number.isInteger(state?.schemaVersion) ? state.schemaVersion : 0;
+}
+
+/**
+ * 把任意旧版本的状态迁移到当前版本，返回新对象（不修改传入的 state）。
+ * 比当前版本更新的文件说明是新版应用写入的，不能安全读取，抛出错误。
+ */
+export function migrateState(state) {
+  const version = schemaVersionOf(state);
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`State schema version ${version} is newer than supported version ${CURRENT_SCHEMA_VERSION}`);
+  }
+  const next = deepClone(state);
+  for (const migration of MIGRATIONS) {
+    if (migration.version > version) {
+      migration.migrate(next);
+    }
+  }
+  next.schemaVersion = CURRENT_SCHEMA_VERSION;
+  return next;
+}
@@ -0,0 +1,96 @@
+/**
+ * 快照保留策略。
+ * 保留：固定（pinned）的快照、最新 keepLast 个、最近 keepDaily 天每天最新的一个、
+ * 最近 keepWeekly 周每周最新的一个；其余快照在启动时被清理。
+ * 保留下来的快照总大小超过 maxTotalMB 时，再从最旧的未固定快照开始删除。
+ * 各项为 0 表示不启用该规则（maxTotalMB 为 0 表示不限大小）。
+ */
+export const DEFAULT_RETENTION = {
+  keepLast: 30,
+  keepDaily: 14,
+  keepWeekly: 12,
+  maxTotalMB: 200
+};
+
+const MAX_RETENTION_VALUE = 100000;
+
+export function sanitizeRetention(input = {}) {
+  const next = { ...DEFAULT_RETENTION };
+  for (const key of Object.keys(DEFAULT_RETENTION)) {
+    if (input[key] === undefined || input[key] === null || input[key] === "") {
+      continue;
+    }
+    const value = Number(input[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid retention value for ${key}: ${input[key]}`);
+    }
+    next[key] = Math.min(Math.floor(value), MAX_RETENTION_VALUE);
+  }
+  return next;
+}
+
+/** 快照 id 形如 2026-01-31_09-30-00 或 2026-01-31_09-30-00-1，返回 { day, week } 分组键 */
+function periodKeys(snapshotId) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/u.exec(snapshotId);
+  if (!match) {
+    return { day: null, week: null };
+  }
+  const [, year, month, day] = match.map(Number);
+  // 以该周周一的日期作为周的键
+  const date = new Date(year, month - 1, day);
+  const monday = new Date(year, month - 1, day - ((date.getDay() + 6) % 7));
+  return {
+    day: match[0],
+    week: `${monday.getFullYear()}-${monday.getMonth() + 1}-${monday.getDate()}`
+  };
+}
+
+/**
+ * 计算需要清理的快照。
+ * snapshots 为 [{ id, size }]，顺序不限；pinned 为固定快照的 id 列表。
+ * 返回 { keep, prune }，两者都按从新到旧排列。
+ */
+export function selectSnapshotsToPrune(snapshots, policy = DEFAULT_RETENTION, pinned = []) {
+  const rules = sanitizeRetention(policy);
+  const ordered = [...snapshots].sort((left, right) => right.id.localeCompare(left.id));
+  const pinnedSet = new Set(pinned);
+  const keep = new Set(ordered.filter((snapshot) => pinnedSet.has(snapshot.id)).map((snapshot) => snapshot.id));
+
+  ordered.slice(0, rules.keepLast).forEach((snapshot) => keep.add(snapshot.id));
+
+  const keepNewestPer = (period, limit) => {
+    const seen = new Set();
+    for (const snapshot of ordered) {
+      const key = periodKeys(snapshot.id)[period];
+      if (!key || seen.has(key)) {
+        continue;
+      }
+      if (seen.size >= limit) {
+        break;
+      }
+      seen.add(key);
+      keep.add(snapshot.id);
+    }
+  };
+  keepNewestPer("day", rules.keepDaily);
+  keepNewestPer("week", rules.keepWeekly);
+
+  if (rules.maxTotalMB > 0) {
+    const limit = rules.maxTotalMB * 1024 * 1024;
+    let total = ordered.filter((snapshot) => keep.has(snapshot.id)).reduce((sum, snapshot) => sum + (snapshot.size ?? 0), 0);
+    for (const snapshot of [...ordered].reverse()) {
+      if (total <= limit) {
+        break;
+      }
+      if (keep.has(snapshot.id) && !pinnedSet.has(snapshot.id)) {
+        keep.delete(snapshot.id);
+        total -= snapshot.size ?? 0;
+      }
+    }
+  }
+
+  return {
+    keep: ordered.filter((snapshot) => keep.has(snapshot.id)).map((snapshot) => snapshot.id),
+    prune: ordered.filter((snapshot) => !keep.has(snapshot.id)).map((snapshot) => snapshot.id)
+  };
+}
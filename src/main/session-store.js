@@ -1,6 +1,12 @@
 import path from "node:path";
 import { promises as fs } from "node:fs";
-import { createInitialState } from "./tree-state.js";
+import { TreeStateMachine, createInitialState } from "./tree-state.js";
+import { parseEventLog, replayEvents, serializeEvent } from "./event-log.js";
+import { guessSessionId, parseStateFile, validateState, withChecksum } from "./integrity.js";
+import { CURRENT_SCHEMA_VERSION, migrateState, schemaVersionOf } from "./migrations.js";
+import { SNAPSHOT_INDEX_VERSION, emptySnapshotIndex, summarizeSnapshot } from "./snapshot-index.js";
+import { DEFAULT_RETENTION, sanitizeRetention, selectSnapshotsToPrune } from "./retention.js";
+import { inDateRange, queryTerms, searchEvents, searchSnapshotState, searchableState, sessionDate } from "./archive-search.js";
 
 function pad(number) {
   return `${number}`.padStart(2, "0");
@@ -12,24 +18,124 @@ function timestampForFile(date = new Date()) {
   )}-${pad(date.getSeconds())}`;
 }
 
-function escapeTitle(title) {
-  return `${title ?? ""}`.replaceAll('"', '\\"');
+/** 快照 id 是归档时的本地时间（精确到秒），返回该秒末尾的 Date；无法解析时返回 null */
+function snapshotTime(snapshotId) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})/u.exec(snapshotId ?? "");
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds, 999);
+}
+
+function serializeState(state) {
+  return `${JSON.stringify(withChecksum({ ...state, schemaVersion: CURRENT_SCHEMA_VERSION }), null, 2)}\n`;
+}
+
+/** 快照只用于查看、搜索和恢复（恢复时撤销栈会清空），因此不写入撤销/重做栈 */
+function serializeSnapshot(state) {
+  const { undoStack: _undoStack, redoStack: _redoStack, ...tree } = state;
+  return serializeState(tree);
+}
+
+/** 先写临时文件再改名替换，目标文件不会处于写了一半的状态 */
+async function replaceFile(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, content, "utf8");
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (error && (error.code === "EEXIST" || error.code === "EPERM")) {
+      await fs.rm(filePath, { force: true });
+      await fs.rename(tempPath, filePath);
+    } else {
+      throw error;
+    }
+  }
 }
 
-function deepClone(value) {
-  return JSON.parse(JSON.stringify(value));
+const MAX_SEARCH_RESULTS = 200;
+const MAX_LABEL_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+/** 检查点标签为单行文本，说明可多行；空值存为 null */
+function sanitizeAnnotation({ label = null, description = null } = {}) {
+  const nextLabel = `${label ?? ""}`.replace(/\s+/gu, " ").trim().slice(0, MAX_LABEL_LENGTH);
+  const nextDescription = `${description ?? ""}`.replace(/\s+$/u, "").slice(0, MAX_DESCRIPTION_LENGTH);
+  return { label: nextLabel || null, description: nextDescription.trim() ? nextDescription : null };
+}
+
+/** 允许写入 journal 并在恢复时重放的状态机操作 */
+const JOURNAL_OPS = new Set([
+  "addChild",
+  "addSibling",
+  "importSubtree",
+  "renameNode",
+  "updateNodeDetails",
+  "focusNode",
+  "completeNode",
+  "deleteNode",
+  "reopenNode",
+  "moveNode",
+  "undo",
+  "redo"
+]);
+
+/**
+ * 在检查点状态上按顺序重放 journal 操作。
+ * 已包含在检查点中的操作（seq <= journalSeq）会被跳过；
+ * 剩下的操作若不是紧接着检查点（中间缺了操作），说明两者不属于同一次写入，抛出错误。
+ * 某条操作无法应用时保留之前的结果，这一条及之后的操作都不再应用：
+ * 返回的 skipped 为跳过的操作数，problem 说明是哪一条出错。
+ */
+function replayJournal(checkpoint, entries) {
+  const { journalSeq = 0, ...state } = checkpoint;
+  const firstPending = entries.find((entry) => entry.seq > journalSeq);
+  if (firstPending && firstPending.seq !== journalSeq + 1) {
+    throw new Error(`Journal continues at #${firstPending.seq}, checkpoint is at #${journalSeq}`);
+  }
+  let clock = new Date().toISOString();
+  const machine = new TreeStateMachine(state, { now: () => clock });
+  let lastSeq = journalSeq;
+  for (const entry of entries) {
+    if (entry.seq <= lastSeq || !JOURNAL_OPS.has(entry.op)) {
+      continue;
+    }
+    clock = entry.ts ?? clock;
+    try {
+      machine[entry.op](...(entry.args ?? []));
+    } catch (error) {
+      // 之后的操作建立在这一条的结果上，一并跳过
+      const skipped = entries.filter((pending) => pending.seq >= entry.seq).length;
+      return { state: machine.getPersistedState(), lastSeq, skipped, problem: `journal #${entry.seq} ${entry.op}: ${error.message}` };
+    }
+    lastSeq = entry.seq;
+  }
+  return { state: machine.getPersistedState(), lastSeq, skipped: 0, problem: null };
 }
 
 export class SessionStore {
   constructor(baseDir) {
     this.baseDir = baseDir;
     this.activePath = path.join(baseDir, "active.json");
+    this.activeTempPath = `${this.activePath}.tmp`;
+    // 每次写检查点并读回校验后更新的副本；active.json 损坏时从这里恢复
+    this.lastGoodPath = path.join(baseDir, "active.good.json");
+    this.journalPath = path.join(baseDir, "active.journal");
     this.continueFlagPath = path.join(baseDir, "continue.flag");
+    // 保留策略与固定的快照
+    this.archiveConfigPath = path.join(baseDir, "archive.json");
+    this.snapshotIndexPath = path.join(baseDir, "snapshots.index.json");
     this.eventsPath = null;
-    this.pendingState = null;
-    this.flushTimer = null;
-    this.flushDelayMs = 250;
     this.sessionId = null;
+    // journal 中的操作序号；检查点记录已合并到的序号
+    this.journalSeq = 0;
+    this.journalLength = 0;
+    this.compactEvery = 100;
+    // 本次载入过程中的文件修复结果，由渲染层取走后清空
+    this.recoveryReport = [];
+    // 历史搜索解析过的快照和日志：文件路径 → { mtimeMs, size, value }，文件变化后重新解析
+    this.searchCache = new Map();
   }
 
   static createSessionId() {
@@ -66,45 +172,144 @@ export class SessionStore {
   }
 
   async archivePreviousActive() {
+    if (!(await this.hasActiveFiles())) {
+      await fs.rm(this.journalPath, { force: true });
+      return;
+    }
+
+    // 合并 journal 中未合并的操作；文件损坏时尝试修复，修复不了的文件已被移到一旁，不再归档
+    let state;
     try {
-      await fs.access(this.activePath);
-    } catch {
+      ({ state } = await this.recoverActiveState());
+    } catch (error) {
+      console.warn("Previous session could not be archived:", error.message);
       return;
     }
 
-    const snapshotBase = `${timestampForFile()}.snapshot.json`;
-    let snapshotName = snapshotBase;
-    let index = 1;
+    const snapshotId = await this.nextSnapshotId();
+    await fs.writeFile(this.snapshotPath(snapshotId), serializeSnapshot(state), "utf8");
+    await this.removeActiveFiles();
+    try {
+      await this.indexSnapshot(snapshotId, state);
+    } catch (error) {
+      // 索引只是缓存，下次打开历史面板时会补上
+      console.warn("Snapshot index update failed:", error.message);
+    }
+  }
 
-    while (true) {
-      const candidate = path.join(this.baseDir, snapshotName);
+  /** 以当前时间命名的会话 id；同一秒内已有该会话的日志时（如刚开始就分支）追加 -1、-2… */
+  async nextSessionId() {
+    const base = SessionStore.createSessionId();
+    for (let index = 0; ; index += 1) {
+      const candidate = index === 0 ? base : `${base}-${index}`;
       try {
-        await fs.access(candidate);
-        snapshotName = `${snapshotBase.replace(".snapshot.json", "")}-${index}.snapshot.json`;
-        index += 1;
+        await fs.access(path.join(this.baseDir, `${candidate}.events.log`));
       } catch {
-        await fs.rename(this.activePath, candidate);
-        break;
+        return candidate;
+      }
+    }
+  }
+
+  /** 以当前时间命名的快照 id；同一秒内重复时追加 -1、-2… */
+  async nextSnapshotId() {
+    const base = timestampForFile();
+    for (let index = 0; ; index += 1) {
+      const candidate = index === 0 ? base : `${base}-${index}`;
+      try {
+        await fs.access(this.snapshotPath(candidate));
+      } catch {
+        return candidate;
       }
     }
   }
 
+  /**
+   * 手动检查点：把活跃树另存为一个快照，不结束当前会话。
+   * 快照中额外记录 checkpoint、label 和 description。返回索引条目。
+   */
+  async createCheckpoint(state, annotation = {}) {
+    await this.ensureDir();
+    const snapshotId = await this.nextSnapshotId();
+    const snapshot = { ...state, checkpoint: true, ...sanitizeAnnotation(annotation) };
+    await fs.writeFile(this.snapshotPath(snapshotId), serializeSnapshot(snapshot), "utf8");
+    await this.indexSnapshot(snapshotId, snapshot);
+    return (await this.readSnapshotIndex()).entries[snapshotId];
+  }
+
+  /** 修改快照的标签和说明；传入空字符串表示清除 */
+  async annotateSnapshot(snapshotId, annotation = {}) {
+    const snapshot = await this.readSnapshot(snapshotId);
+    Object.assign(snapshot, sanitizeAnnotation({ label: snapshot.label, description: snapshot.description, ...annotation }));
+    await this.replaceSnapshotFile(snapshotId, snapshot);
+    await this.indexSnapshot(snapshotId, snapshot);
+    return (await this.readSnapshotIndex()).entries[snapshotId];
+  }
+
+  async replaceSnapshotFile(snapshotId, state) {
+    const tempPath = `${this.snapshotPath(snapshotId)}.tmp`;
+    await fs.writeFile(tempPath, serializeSnapshot(state), "utf8");
+    await fs.rename(tempPath, this.snapshotPath(snapshotId));
+  }
+
+  /**
+   * 用该会话的事件日志重建损坏的快照，只重放归档时间之前的事件。
+   * 会话 id 依次取自快照索引、损坏文件中残留的 sessionId，都没有时取快照之前最近开始的会话。
+   * 原文件保留为 <id>.snapshot.json.corrupt。返回 { entry, skipped }，skipped 为无法应用的事件数。
+   */
+  async repairSnapshot(snapshotId) {
+    const raw = await fs.readFile(this.snapshotPath(snapshotId), "utf8");
+    try {
+      const state = parseStateFile(raw);
+      await this.indexSnapshot(snapshotId, state);
+      return { entry: (await this.readSnapshotIndex()).entries[snapshotId], skipped: 0 };
+    } catch {
+      // 确实损坏，继续重建
+    }
+    // 与快照 id 相同的会话是归档那一刻新开始的会话，不是快照所属的会话，因此只找更早的
+    const indexed = (await this.readSnapshotIndex()).entries[snapshotId]?.sessionId;
+    const sessionId =
+      indexed ?? guessSessionId(raw) ?? (await this.listSessions()).find((id) => id.localeCompare(snapshotId) < 0) ?? null;
+    if (!sessionId) {
+      throw new Error(`No event log found for snapshot ${snapshotId}`);
+    }
+    const archivedAt = snapshotTime(snapshotId);
+    const events = (await this.readEvents(sessionId)).filter(
+      (event) => !archivedAt || !event.ts || new Date(event.ts) <= archivedAt
+    );
+    const { state, skipped } = replayEvents(events, sessionId);
+    await fs.writeFile(`${this.snapshotPath(snapshotId)}.corrupt`, raw, "utf8");
+    await this.replaceSnapshotFile(snapshotId, state);
+    await this.indexSnapshot(snapshotId, state);
+    return { entry: (await this.readSnapshotIndex()).entries[snapshotId], skipped };
+  }
+
   /** 恢复 active.json 中的会话（continue 模式） */
   async restoreSession() {
     await this.ensureDir();
     // 清除标志——下次启动默认是新会话，除非用户再次保存
     await this.clearContinue();
 
-    const raw = await fs.readFile(this.activePath, "utf8");
-    const state = JSON.parse(raw);
+    const { state } = await this.recoverActiveState();
     this.sessionId = state.sessionId;
 
     // 复用原有的 events log
     this.eventsPath = path.join(this.baseDir, `${this.sessionId}.events.log`);
 
+    for (const { outcome, source, skipped } of this.recoveryReport) {
+      if (outcome === "recovered") {
+        await this.appendEvent("SESSION_RECOVERED", {
+          nodeId: state.rootId,
+          parentId: null,
+          title: `Recovered from ${source}`,
+          source,
+          skipped
+        });
+      }
+    }
+
     await this.appendEvent("SESSION_RESUME", {
       nodeId: state.rootId,
-      parentId: "none",
+      parentId: null,
       title: "Resumed session"
     });
     return state;
@@ -125,97 +330,226 @@ export class SessionStore {
 
     await this.archivePreviousActive();
 
-    const baseSessionId = SessionStore.createSessionId();
-    let sessionId = baseSessionId;
-    let suffix = 1;
-
-    while (true) {
-      const candidate = path.join(this.baseDir, `${sessionId}.events.log`);
-      try {
-        await fs.access(candidate);
-        sessionId = `${baseSessionId}-${suffix}`;
-        suffix += 1;
-      } catch {
-        this.sessionId = sessionId;
-        this.eventsPath = candidate;
-        break;
-      }
+    this.sessionId = await this.nextSessionId();
+    this.eventsPath = path.join(this.baseDir, `${this.sessionId}.events.log`);
+    try {
+      await this.pruneArchive({ keepSessionId: this.sessionId });
+    } catch (error) {
+      console.warn("Archive pruning failed:", error.message);
     }
 
     const state = createInitialState(this.sessionId);
-    await this.writeStateNow(state);
+    this.journalSeq = 0;
+    await this.writeCheckpoint(state);
     await this.appendEvent("SESSION_START", {
       nodeId: state.rootId,
-      parentId: "none",
-      title: "Session Root"
+      parentId: null,
+      title: "Session Root",
+      sessionId: state.sessionId
     });
     return state;
   }
 
   async writeStateNow(state) {
-    const serialized = `${JSON.stringify(state, null, 2)}\n`;
-    const tempPath = `${this.activePath}.tmp`;
-    await fs.writeFile(tempPath, serialized, "utf8");
-    try {
-      await fs.rename(tempPath, this.activePath);
-    } catch (error) {
-      if (error && (error.code === "EEXIST" || error.code === "EPERM")) {
-        await fs.rm(this.activePath, { force: true });
-        await fs.rename(tempPath, this.activePath);
-      } else {
-        throw error;
+    const serialized = serializeState(state);
+    await replaceFile(this.activePath, serialized);
+    // 从磁盘读回并校验通过后才替换副本；校验失败时保留上一份完好副本并报错
+    parseStateFile(await fs.readFile(this.activePath, "utf8"));
+    await replaceFile(this.lastGoodPath, serialized);
+  }
+
+  async hasActiveFiles() {
+    for (const filePath of [this.activePath, this.activeTempPath, this.lastGoodPath]) {
+      try {
+        await fs.access(filePath);
+        return true;
+      } catch {
+        // 继续检查下一个
       }
     }
+    return false;
   }
 
-  scheduleStateWrite(state) {
-    this.pendingState = deepClone(state);
-    if (this.flushTimer) {
-      return;
+  async removeActiveFiles() {
+    for (const filePath of [this.activePath, this.activeTempPath, this.lastGoodPath, `${this.lastGoodPath}.tmp`, this.journalPath]) {
+      await fs.rm(filePath, { force: true });
     }
+  }
 
-    this.flushTimer = setTimeout(async () => {
-      this.flushTimer = null;
-      const nextState = this.pendingState;
-      this.pendingState = null;
-      if (!nextState) {
-        return;
+  /**
+   * 载入活跃会话，文件损坏时尽量修复。依次尝试 active.json、
+   * 改名前中断而留下的 active.json.tmp、最后一份完好副本 active.good.json（都在其上重放 journal），
+   * 最后仅凭该会话的事件日志重建。返回 { state, source }，source 为
+   * "active" | "tmp" | "last-good" | "events"。
+   * 修复结果记入 recoveryReport；全部失败时把损坏的文件改名为 *.corrupt-<时间> 后抛出错误。
+   */
+  async recoverActiveState() {
+    const entries = await this.readJournal();
+    const failures = [];
+    let sessionId = null;
+    const candidates = [
+      ["active", this.activePath],
+      ["tmp", this.activeTempPath],
+      ["last-good", this.lastGoodPath]
+    ];
+    for (const [source, filePath] of candidates) {
+      let raw;
+      try {
+        raw = await fs.readFile(filePath, "utf8");
+      } catch {
+        continue;
       }
+      sessionId ??= guessSessionId(raw);
+      let checkpoint;
+      try {
+        checkpoint = parseStateFile(raw);
+      } catch (error) {
+        failures.push(`${path.basename(filePath)}: ${error.message}`);
+        continue;
+      }
+      const version = schemaVersionOf(checkpoint);
+      if (version > CURRENT_SCHEMA_VERSION) {
+        // 新版应用写入的会话：不修复也不覆盖，原样改名保留
+        await this.setAsideActiveFiles(`v${version}-${timestampForFile()}`, sessionId);
+        const problem = `${path.basename(filePath)} has schema version ${version}, this app supports ${CURRENT_SCHEMA_VERSION}`;
+        this.recoveryReport.push({ file: "active.json", outcome: "newer", source: null, problem, skipped: 0 });
+        throw new Error(problem);
+      }
+      try {
+        const { state, skipped, problem: journalProblem } = this.foldJournal(migrateState(checkpoint), entries);
+        if (source !== "active" || skipped > 0) {
+          // 检查点完好、只是 journal 末尾有无法应用的操作时，来源记为 "journal"
+          const problems = [...failures, journalProblem].filter(Boolean);
+          const problem = problems.length > 0 ? problems.join("; ") : "active.json is missing";
+          await this.settleRecovery(state, { source: source === "active" ? "journal" : source, problem, skipped });
+        }
+        return { state, source };
+      } catch (error) {
+        failures.push(`${path.basename(filePath)}: ${error.message}`);
+      }
+    }
+    if (failures.length === 0) {
+      throw new Error("No active session to restore");
+    }
+
+    sessionId ??= (await this.listSessions())[0] ?? null;
+    if (sessionId) {
       try {
-        await this.writeStateNow(nextState);
+        const { state, skipped } = replayEvents(await this.readEvents(sessionId), sessionId);
+        const problems = validateState(state);
+        if (problems.length > 0) {
+          throw new Error(problems.join("; "));
+        }
+        this.journalSeq = Math.max(0, ...entries.map((entry) => entry.seq ?? 0));
+        await this.settleRecovery(state, { source: "events", problem: failures.join("; "), skipped });
+        return { state, source: "events" };
       } catch (error) {
-        console.error("State write failed:", error);
+        failures.push(`${sessionId}.events.log: ${error.message}`);
       }
-    }, this.flushDelayMs);
+    }
+
+    await this.setAsideActiveFiles(`corrupt-${timestampForFile()}`, sessionId);
+    const problem = failures.join("; ");
+    this.recoveryReport.push({ file: "active.json", outcome: "lost", source: null, problem, skipped: 0 });
+    throw new Error(`Active session could not be recovered: ${problem}`);
   }
 
-  async flushPendingState() {
-    if (this.flushTimer) {
-      clearTimeout(this.flushTimer);
-      this.flushTimer = null;
+  /**
+   * 把无法使用的活跃会话文件改名为 <文件名>.<suffix> 保留，并清空 journal。
+   * 会话日志也一起改名，否则会被当作无主日志清理掉。
+   */
+  async setAsideActiveFiles(suffix, sessionId) {
+    const files = [this.activePath, this.activeTempPath, this.lastGoodPath];
+    if (sessionId) {
+      files.push(path.join(this.baseDir, `${sessionId}.events.log`));
     }
-    if (!this.pendingState) {
-      return;
+    for (const filePath of files) {
+      await fs.rename(filePath, `${filePath}.${suffix}`).catch(() => {});
     }
-    const nextState = this.pendingState;
-    this.pendingState = null;
-    await this.writeStateNow(nextState);
+    await fs.rm(this.journalPath, { force: true });
+  }
+
+  /** 修复成功：立即写成新的检查点，让磁盘上的文件重新完好，并记录结果 */
+  async settleRecovery(state, { source, problem, skipped }) {
+    console.warn(`Recovered active session from ${source}:`, problem);
+    await this.writeCheckpoint(state);
+    this.recoveryReport.push({ file: "active.json", outcome: "recovered", source, problem, skipped });
   }
 
-  buildEventLine(action, details = {}) {
-    const timestamp = new Date().toISOString();
-    const nodeId = details.nodeId ?? "none";
-    const parentId = details.parentId ?? "none";
-    const title = escapeTitle(details.title ?? "");
-    const extra = details.extra ? ` ${details.extra}` : "";
-    return `[${timestamp}] ${action} nodeId=${nodeId} parentId=${parentId} title="${title}"${extra}`;
+  /** 取走并清空修复结果 */
+  takeRecoveryReport() {
+    const report = this.recoveryReport;
+    this.recoveryReport = [];
+    return report;
   }
 
-  async appendEvent(action, details = {}) {
+  /** 读取 journal 中的全部操作（忽略末尾写了一半的行） */
+  async readJournal() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.journalPath, "utf8");
+    } catch {
+      return [];
+    }
+    const entries = [];
+    for (const line of raw.split(/\r?\n/u)) {
+      if (line.trim().length === 0) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        break;
+      }
+    }
+    return entries;
+  }
+
+  /** 读取检查点（active.json）并重放 journal 尾部，得到当前完整状态；不做修复 */
+  async loadActiveState() {
+    const raw = await fs.readFile(this.activePath, "utf8");
+    return this.foldJournal(migrateState(parseStateFile(raw)), await this.readJournal()).state;
+  }
+
+  /** 返回 { state, skipped, problem }；skipped 大于 0 时需要写入新检查点，丢掉无法应用的 journal 尾部 */
+  foldJournal(checkpoint, entries) {
+    const { state, lastSeq, skipped, problem } = replayJournal(checkpoint, entries);
+    this.journalSeq = lastSeq;
+    this.journalLength = entries.filter((entry) => entry.seq > (checkpoint.journalSeq ?? 0) && entry.seq <= lastSeq).length;
+    return { state, skipped, problem };
+  }
+
+  /** 追加一条状态机操作到 journal，args 需足以确定性重放（如新节点 id） */
+  async appendOperation(op, args = []) {
+    if (!JOURNAL_OPS.has(op)) {
+      throw new Error(`Unknown journal operation: ${op}`);
+    }
+    this.journalSeq += 1;
+    this.journalLength += 1;
+    const entry = { seq: this.journalSeq, ts: new Date().toISOString(), op, args };
+    await fs.appendFile(this.journalPath, `${JSON.stringify(entry)}\n`, "utf8");
+  }
+
+  shouldCompact() {
+    return this.journalLength >= this.compactEvery;
+  }
+
+  /**
+   * 压缩：把完整状态写成新的检查点并清空 journal。
+   * 检查点记录 journalSeq，若清空 journal 前崩溃，重放时会跳过已合并的操作。
+   */
+  async writeCheckpoint(state) {
+    await this.writeStateNow({ ...state, journalSeq: this.journalSeq });
+    await fs.writeFile(this.journalPath, "", "utf8");
+    this.journalLength = 0;
+  }
+
+  /** 写入一行 JSON 事件；payload 为完整字段（nodeId、parentId、title、index 等） */
+  async appendEvent(action, payload = {}) {
     if (!this.eventsPath) {
       return;
     }
-    const line = this.buildEventLine(action, details);
+    const line = serializeEvent(action, payload);
     try {
       await fs.appendFile(this.eventsPath, `${line}\n`, "utf8");
     } catch (error) {
@@ -223,6 +557,42 @@ export class SessionStore {
     }
   }
 
+  timeLogPath(sessionId = this.sessionId) {
+    return path.join(this.baseDir, `${sessionId}.time.log`);
+  }
+
+  /** 追加一段聚焦计时区间 { nodeId, title, start, end, ms } 到当前会话的计时日志 */
+  async appendTimeInterval(interval) {
+    if (!this.sessionId) {
+      return;
+    }
+    try {
+      await fs.appendFile(this.timeLogPath(), `${JSON.stringify(interval)}\n`, "utf8");
+    } catch (error) {
+      console.error("Time log write failed:", error);
+    }
+  }
+
+  async readTimeIntervals(sessionId = this.sessionId) {
+    let raw;
+    try {
+      raw = await fs.readFile(this.timeLogPath(sessionId), "utf8");
+    } catch {
+      return [];
+    }
+    const intervals = [];
+    for (const line of raw.split(/\r?\n/u)) {
+      try {
+        if (line.trim()) {
+          intervals.push(JSON.parse(line));
+        }
+      } catch {
+        // 跳过写了一半的行
+      }
+    }
+    return intervals;
+  }
+
   async listSessions() {
     await this.ensureDir();
     const entries = await fs.readdir(this.baseDir, { withFileTypes: true });
@@ -232,13 +602,132 @@ export class SessionStore {
       .sort((left, right) => right.localeCompare(left));
   }
 
+  /** 读取并解析事件日志（同时兼容旧版纯文本格式） */
   async readEvents(sessionId) {
     const eventsPath = path.join(this.baseDir, `${sessionId}.events.log`);
     const raw = await fs.readFile(eventsPath, "utf8");
-    return raw
-      .split(/\r?\n/u)
-      .map((line) => line.trim())
-      .filter((line) => line.length > 0);
+    return parseEventLog(raw);
+  }
+
+  /** 仅凭事件日志重建该会话的树状态 */
+  async replayEvents(sessionId) {
+    const events = await this.readEvents(sessionId);
+    return replayEvents(events, sessionId).state;
+  }
+
+  /**
+   * 在本工作区所有归档快照和事件日志中按标题搜索（当前活跃会话的日志除外）。
+   * from / to 为 YYYY-MM-DD：快照按归档日期过滤，日志命中按事件时间过滤。
+   * 快照所属会话取自快照索引，日期范围外的快照不读取；读过的文件在未改动前不再重新解析。
+   * 返回 { results, truncated }，results 从新到旧排列，每项为
+   * { source: "snapshot" | "events", sessionId, snapshotId, nodeId, title, status, path, timestamp }；
+   * 日志命中的 snapshotId 指向该会话最近一次归档的快照（没有则为 null）。
+   */
+  async searchArchive(query, { from = null, to = null, limit = MAX_SEARCH_RESULTS } = {}) {
+    const terms = queryTerms(query);
+    if (terms.length === 0) {
+      return { results: [], truncated: false };
+    }
+    const range = { from, to };
+    const results = [];
+    // sessionId → 最新快照 id，以及该快照中已报告的命中
+    const latestSnapshot = new Map();
+    const reported = new Set();
+    const hitKey = (sessionId, hit) => `${sessionId}\u0000${hit.nodeId}\u0000${hit.title}`;
+    const present = new Set();
+
+    const index = await this.loadSnapshotIndex();
+    for (const snapshotId of await this.listSnapshots()) {
+      const entry = index.entries[snapshotId];
+      const snapshotPath = this.snapshotPath(snapshotId);
+      present.add(snapshotPath);
+      if (entry?.unreadable) {
+        continue;
+      }
+      const sessionId = entry?.sessionId ?? snapshotId;
+      if (!latestSnapshot.has(sessionId)) {
+        latestSnapshot.set(sessionId, snapshotId);
+      }
+      if (!inDateRange(sessionDate(snapshotId), range)) {
+        continue;
+      }
+      let state;
+      try {
+        state = await this.readForSearch(snapshotPath, async () => searchableState(await this.readSnapshot(snapshotId)));
+      } catch (error) {
+        console.warn(`Skipping unreadable snapshot ${snapshotId}:`, error.message);
+        continue;
+      }
+      for (const hit of searchSnapshotState(state, terms)) {
+        reported.add(hitKey(sessionId, hit));
+        results.push({ source: "snapshot", sessionId, snapshotId, ...hit });
+      }
+    }
+
+    for (const sessionId of await this.listSessions()) {
+      if (sessionId === this.sessionId) {
+        continue;
+      }
+      const eventsPath = path.join(this.baseDir, `${sessionId}.events.log`);
+      present.add(eventsPath);
+      let events;
+      try {
+        events = await this.readForSearch(eventsPath, () => this.readEvents(sessionId));
+      } catch {
+        continue;
+      }
+      for (const hit of searchEvents(events, terms, range)) {
+        if (!reported.has(hitKey(sessionId, hit))) {
+          results.push({ source: "events", sessionId, snapshotId: latestSnapshot.get(sessionId) ?? null, status: null, ...hit });
+        }
+      }
+    }
+    // 已删除的快照和日志不再占用缓存
+    for (const filePath of this.searchCache.keys()) {
+      if (!present.has(filePath)) {
+        this.searchCache.delete(filePath);
+      }
+    }
+
+    const sortKey = (hit) => `${hit.snapshotId ?? hit.sessionId} ${hit.timestamp ?? ""}`;
+    results.sort((left, right) => sortKey(right).localeCompare(sortKey(left)));
+    return { results: results.slice(0, limit), truncated: results.length > limit };
+  }
+
+  /** 搜索用的文件内容：修改时间和大小与上次相同时直接复用缓存，否则调用 parse 重新解析 */
+  async readForSearch(filePath, parse) {
+    const { mtimeMs, size } = await fs.stat(filePath);
+    const cached = this.searchCache.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+      return cached.value;
+    }
+    const value = await parse();
+    this.searchCache.set(filePath, { mtimeMs, size, value });
+    return value;
+  }
+
+  /**
+   * 效率统计的数据来源：所有可读快照的 state，以及所有会话（含当前会话）的事件日志，均从旧到新。
+   * 活跃树由 controller 补上；损坏的快照和日志直接跳过。
+   */
+  async readStatsSources() {
+    const states = [];
+    for (const snapshotId of (await this.listSnapshots()).reverse()) {
+      try {
+        states.push(await this.readSnapshot(snapshotId));
+      } catch (error) {
+        console.warn(`Skipping unreadable snapshot ${snapshotId}:`, error.message);
+      }
+    }
+    const eventLogs = [];
+    for (const sessionId of (await this.listSessions()).reverse()) {
+      try {
+        eventLogs.push(await this.readEvents(sessionId));
+      } catch {
+        // 日志已被清理或无法读取
+      }
+    }
+    return { states, eventLogs };
   }
 
   /** 列出所有可恢复的历史快照（.snapshot.json），最新在前 */
@@ -251,11 +740,235 @@ export class SessionStore {
       .sort((a, b) => b.localeCompare(a));
   }
 
-  /** 读取指定快照的完整 state 对象 */
-  async readSnapshot(sessionId) {
-    const snapshotPath = path.join(this.baseDir, `${sessionId}.snapshot.json`);
-    const raw = await fs.readFile(snapshotPath, "utf8");
-    return JSON.parse(raw);
+  /**
+   * 读取指定快照的完整 state 对象，并迁移到当前 schema 版本（不改写文件）。
+   * 文件损坏时抛出错误（可用 repairSnapshot 修复）；新版应用写入的快照同样抛出错误。
+   */
+  async readSnapshot(snapshotId) {
+    const raw = await fs.readFile(this.snapshotPath(snapshotId), "utf8");
+    let state;
+    try {
+      state = parseStateFile(raw);
+    } catch (error) {
+      throw new Error(`Snapshot ${snapshotId} is damaged: ${error.message}`);
+    }
+    return migrateState(state);
+  }
+
+  async readSnapshotIndex() {
+    try {
+      const index = JSON.parse(await fs.readFile(this.snapshotIndexPath, "utf8"));
+      if (index?.version === SNAPSHOT_INDEX_VERSION && index.entries && typeof index.entries === "object") {
+        return index;
+      }
+    } catch {
+      // 缺失或损坏时重建
+    }
+    return emptySnapshotIndex();
+  }
+
+  async writeSnapshotIndex(index) {
+    await this.ensureDir();
+    const tempPath = `${this.snapshotIndexPath}.tmp`;
+    await fs.writeFile(tempPath, `${JSON.stringify(index)}\n`, "utf8");
+    await fs.rename(tempPath, this.snapshotIndexPath);
+  }
+
+  async indexSnapshot(snapshotId, state) {
+    const index = await this.readSnapshotIndex();
+    const { size } = await fs.stat(this.snapshotPath(snapshotId));
+    index.entries[snapshotId] = summarizeSnapshot(snapshotId, state, { size });
+    await this.writeSnapshotIndex(index);
+  }
+
+  async dropFromIndex(snapshotIds) {
+    const index = await this.readSnapshotIndex();
+    for (const id of snapshotIds) {
+      delete index.entries[id];
+    }
+    await this.writeSnapshotIndex(index);
+  }
+
+  /** 从无法解析的快照文件中找出残留的 sessionId；文件读不到或没有时返回 null */
+  async guessSnapshotSession(snapshotId) {
+    try {
+      return guessSessionId(await fs.readFile(this.snapshotPath(snapshotId), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 读取索引并与磁盘上的快照文件对齐：补上缺失的条目（需读取一次完整快照），
+   * 删除文件已不存在的条目。
+   */
+  async loadSnapshotIndex() {
+    const index = await this.readSnapshotIndex();
+    const ids = await this.listSnapshots();
+    let changed = false;
+    for (const id of ids) {
+      if (index.entries[id]) {
+        continue;
+      }
+      try {
+        const { size } = await fs.stat(this.snapshotPath(id));
+        index.entries[id] = summarizeSnapshot(id, await this.readSnapshot(id), { size });
+      } catch (error) {
+        console.warn(`Skipping unreadable snapshot ${id}:`, error.message);
+        index.entries[id] = {
+          ...summarizeSnapshot(id, { sessionId: await this.guessSnapshotSession(id) }),
+          unreadable: true,
+          problem: error.message
+        };
+      }
+      changed = true;
+    }
+    const present = new Set(ids);
+    for (const id of Object.keys(index.entries)) {
+      if (!present.has(id)) {
+        delete index.entries[id];
+        changed = true;
+      }
+    }
+    if (changed) {
+      await this.writeSnapshotIndex(index);
+    }
+    return index;
+  }
+
+  /** 分页列出快照摘要（最新在前），返回 { total, entries }；每项附带 pinned */
+  async listSnapshotSummaries({ offset = 0, limit = 20 } = {}) {
+    const [index, { pinned }] = await Promise.all([this.loadSnapshotIndex(), this.readArchiveConfig()]);
+    const pinnedSet = new Set(pinned);
+    const all = Object.values(index.entries).sort((left, right) => right.id.localeCompare(left.id));
+    return {
+      total: all.length,
+      entries: all.slice(offset, offset + limit).map((entry) => ({ ...entry, pinned: pinnedSet.has(entry.id) }))
+    };
+  }
+
+  /**
+   * 读取 archive.json：{ retention, retentionEnabled, pinned }，缺失或损坏时返回默认值。
+   * 自动清理需要用户主动保存过保留策略才启用（retentionEnabled），升级后不会突然删除旧快照。
+   */
+  async readArchiveConfig() {
+    let saved = {};
+    try {
+      saved = JSON.parse(await fs.readFile(this.archiveConfigPath, "utf8"));
+    } catch {
+      // 使用默认策略
+    }
+    let retention;
+    let retentionEnabled = Boolean(saved.retention) && typeof saved.retention === "object";
+    try {
+      retention = sanitizeRetention(saved.retention);
+    } catch {
+      retention = { ...DEFAULT_RETENTION };
+      retentionEnabled = false;
+    }
+    return { retention, retentionEnabled, pinned: Array.isArray(saved.pinned) ? saved.pinned : [] };
+  }
+
+  async writeArchiveConfig({ retention, retentionEnabled, pinned }) {
+    await this.ensureDir();
+    // 未启用时不写入 retention，文件中有 retention 即表示已启用
+    const config = { ...(retentionEnabled ? { retention } : {}), pinned };
+    await fs.writeFile(this.archiveConfigPath, `${JSON.stringify(config, null, 2)}\n`, "utf8");
+    return { retention, retentionEnabled, pinned };
+  }
+
+  async setRetention(retention) {
+    const config = await this.readArchiveConfig();
+    return this.writeArchiveConfig({
+      ...config,
+      retention: sanitizeRetention({ ...config.retention, ...retention }),
+      retentionEnabled: true
+    });
+  }
+
+  /** 固定的快照不会被自动清理，也不能手动删除 */
+  async pinSnapshot(snapshotId, pinned = true) {
+    const config = await this.readArchiveConfig();
+    const next = new Set(config.pinned);
+    if (pinned) {
+      await fs.access(this.snapshotPath(snapshotId));
+      next.add(snapshotId);
+    } else {
+      next.delete(snapshotId);
+    }
+    return this.writeArchiveConfig({ ...config, pinned: [...next].sort() });
+  }
+
+  snapshotPath(snapshotId) {
+    if (!/^[\w-]+$/u.test(snapshotId ?? "")) {
+      throw new Error(`Invalid snapshot id: ${snapshotId}`);
+    }
+    return path.join(this.baseDir, `${snapshotId}.snapshot.json`);
+  }
+
+  async deleteSnapshot(snapshotId) {
+    const { pinned } = await this.readArchiveConfig();
+    if (pinned.includes(snapshotId)) {
+      throw new Error("Pinned snapshots cannot be deleted");
+    }
+    await fs.rm(this.snapshotPath(snapshotId));
+    await this.dropFromIndex([snapshotId]);
+    await this.removeOrphanLogs();
+  }
+
+  /**
+   * 按保留策略清理快照，并删除不再被任何快照引用的会话日志（keepSessionId 即当前会话除外）。
+   * 用户还没有保存过保留策略时什么也不做。返回 { prunedSnapshots, prunedSessions }。
+   */
+  async pruneArchive({ keepSessionId = this.sessionId } = {}) {
+    const { retention, retentionEnabled, pinned } = await this.readArchiveConfig();
+    if (!retentionEnabled) {
+      return { prunedSnapshots: [], prunedSessions: [] };
+    }
+    if (!keepSessionId) {
+      throw new Error("Live session id is required to prune the archive");
+    }
+    const snapshots = [];
+    for (const id of await this.listSnapshots()) {
+      const stat = await fs.stat(this.snapshotPath(id));
+      snapshots.push({ id, size: stat.size });
+    }
+    const { prune } = selectSnapshotsToPrune(snapshots, retention, pinned);
+    for (const id of prune) {
+      await fs.rm(this.snapshotPath(id), { force: true });
+    }
+    if (prune.length > 0) {
+      await this.dropFromIndex(prune);
+    }
+    const prunedSessions = await this.removeOrphanLogs(keepSessionId);
+    return { prunedSnapshots: prune, prunedSessions };
+  }
+
+  // 每个归档会话的日志跟随它的快照；快照全部删除后日志也一并删除，keepSessionId 的日志始终保留
+  async removeOrphanLogs(keepSessionId = this.sessionId) {
+    if (!keepSessionId) {
+      throw new Error("Live session id is required to clean up session logs");
+    }
+    const referenced = new Set([keepSessionId]);
+    const index = await this.loadSnapshotIndex();
+    for (const entry of Object.values(index.entries)) {
+      const sessionId = entry.sessionId ?? (entry.unreadable ? await this.guessSnapshotSession(entry.id) : null);
+      if (!sessionId) {
+        // 损坏的快照找不到所属会话时无法判断哪些日志是孤立的，全部保留以便之后用日志修复
+        return [];
+      }
+      referenced.add(sessionId);
+    }
+    const removed = [];
+    for (const sessionId of await this.listSessions()) {
+      if (referenced.has(sessionId)) {
+        continue;
+      }
+      await fs.rm(path.join(this.baseDir, `${sessionId}.events.log`), { force: true });
+      await fs.rm(this.timeLogPath(sessionId), { force: true });
+      removed.push(sessionId);
+    }
+    return removed;
   }
 
   /**
@@ -264,34 +977,62 @@ export class SessionStore {
    * 返回新的 state 对象。
    */
   async restoreToSnapshot(snapshotId) {
-    // 1. 归档当前活跃状态（flush 已在 controller 层完成）
+    // 读取目标快照（已迁移到当前 schema 版本）
+    const snapshotState = await this.readSnapshot(snapshotId);
+    return this.startSessionFrom(snapshotState, { title: `Restored from ${snapshotId}`, snapshotId });
+  }
+
+  /**
+   * 从另一会话回放到的中间状态开始新会话（"从这里分支"）。
+   * state 由调用方回放得到；origin 为 { sessionId, eventIndex }，记录在 SESSION_RESTORED_FROM 事件中。
+   */
+  async branchFromState(state, origin) {
+    const focusedNodeId = state.nodes[state.focusedNodeId]?.status === "active" ? state.focusedNodeId : state.rootId;
+    return this.startSessionFrom(
+      state,
+      {
+        title: `Branched from ${origin.sessionId} @${origin.eventIndex}`,
+        branchedFrom: { sessionId: origin.sessionId, eventIndex: origin.eventIndex }
+      },
+      { focusedNodeId }
+    );
+  }
+
+  /**
+   * 归档当前活跃状态，并以 sourceState 的节点树开始一个新会话：
+   * 新 session ID（避免与旧 events.log 冲突），重置 undo 栈。
+   * details 合并进 SESSION_RESTORED_FROM 事件（title、来源快照或分支来源）。
+   */
+  async startSessionFrom(sourceState, details, { focusedNodeId = sourceState.rootId } = {}) {
+    // 1. 归档当前活跃状态（检查点已在 controller 层写入）
     await this.archivePreviousActive();
     await this.clearContinue();
 
-    // 2. 读取目标快照
-    const snapshotState = await this.readSnapshot(snapshotId);
-
-    // 3. 生成新 session ID，避免与旧 events.log 冲突
-    const newSessionId = SessionStore.createSessionId();
+    // 2. 生成新 session ID
+    const newSessionId = await this.nextSessionId();
     this.sessionId = newSessionId;
     this.eventsPath = path.join(this.baseDir, `${newSessionId}.events.log`);
 
-    // 4. 构建恢复状态：复用节点树，但重置 session 元数据与 undo 栈
+    // 3. 构建新会话状态：复用节点树，但重置 session 元数据与 undo 栈
     const restoredState = {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
       sessionId: newSessionId,
-      rootId: snapshotState.rootId,
-      focusedNodeId: snapshotState.rootId,
-      nodes: snapshotState.nodes,
+      rootId: sourceState.rootId,
+      focusedNodeId,
+      nodes: sourceState.nodes,
       undoStack: [],
       redoStack: []
     };
 
-    // 5. 写入磁盘并记录日志
-    await this.writeStateNow(restoredState);
+    // 4. 写入磁盘并记录日志（事件携带完整 nodes，新会话的日志可以独立回放）
+    this.journalSeq = 0;
+    await this.writeCheckpoint(restoredState);
     await this.appendEvent("SESSION_RESTORED_FROM", {
       nodeId: restoredState.rootId,
-      parentId: "none",
-      title: `Restored from ${snapshotId}`
+      parentId: null,
+      ...details,
+      sessionId: newSessionId,
+      nodes: restoredState.nodes
     });
 
     return restoredState;
@@ -0,0 +1,49 @@
+/**
+ * 快照索引（snapshots.index.json）：历史面板只需要每个快照的摘要，
+ * 不必读取和解析完整的 .snapshot.json（旧版本写入的快照还包含撤销栈）。
+ * 条目为 { id, sessionId, label, description, checkpoint, taskCount, doneCount, rowCount, preview, size }，
+ * preview 是前 PREVIEW_ROWS 行活跃任务 [{ title, depth }]。
+ */
+export const SNAPSHOT_INDEX_VERSION = 1;
+export const PREVIEW_ROWS = 6;
+
+/** 活跃任务按树形顺序展开，depth 从 0 开始（根节点不计） */
+function activeRows(state) {
+  const rows = [];
+  const walk = (nodeId, depth) => {
+    const node = state.nodes?.[nodeId];
+    if (!node || node.status !== "active") {
+      return;
+    }
+    if (depth >= 0) {
+      rows.push({ title: node.title, depth });
+    }
+    for (const childId of node.childrenIds ?? []) {
+      walk(childId, depth + 1);
+    }
+  };
+  walk(state.rootId, -1);
+  return rows;
+}
+
+export function summarizeSnapshot(snapshotId, state, { size = 0 } = {}) {
+  const nodes = Object.values(state.nodes ?? {}).filter((node) => node.id !== state.rootId);
+  const rows = activeRows(state);
+  return {
+    id: snapshotId,
+    sessionId: state.sessionId ?? null,
+    label: state.label ?? null,
+    description: state.description ?? null,
+    // 手动创建的检查点（会话仍在继续），区别于启动时自动归档的快照
+    checkpoint: Boolean(state.checkpoint),
+    taskCount: nodes.filter((node) => node.status === "active").length,
+    doneCount: nodes.filter((node) => node.status === "completed").length,
+    rowCount: rows.length,
+    preview: rows.slice(0, PREVIEW_ROWS),
+    size
+  };
+}
+
+export function emptySnapshotIndex() {
+  return { version: SNAPSHOT_INDEX_VERSION, entries: {} };
+}
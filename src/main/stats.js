@@ -0,0 +1,229 @@
+import { dayKey } from "./dates.js";
+
+/**
+ * 效率统计：汇总本工作区所有快照、活跃树和事件日志。
+ * 节点在恢复、继续会话时会被复制到新会话，按 id 合并，保留 updatedAt 最新的版本；
+ * 事件日志补上快照里看不到的中间状态（后来被撤销或移走的深层任务）。
+ * 日期均按本地时间分组，键形如 2026-01-31。
+ */
+export const DEFAULT_STATS_DAYS = 30;
+export const MAX_STATS_DAYS = 366;
+const TOP_ABANDONED = 5;
+
+/** 以 now 所在日期为最后一天，往前共 days 天的日期键（从旧到新） */
+function recentDays(now, days) {
+  const today = new Date(now);
+  const keys = [];
+  for (let offset = days - 1; offset >= 0; offset -= 1) {
+    keys.push(dayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset)));
+  }
+  return keys;
+}
+
+function previousDay(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return dayKey(new Date(year, month - 1, day - 1));
+}
+
+/** 合并所有状态中的非根节点；同一 id 取 updatedAt 最新的版本（相同时取后出现的） */
+function mergeNodes(states) {
+  const nodes = new Map();
+  for (const state of states) {
+    for (const node of Object.values(state?.nodes ?? {})) {
+      if (!node?.id || !node.parentId) {
+        continue;
+      }
+      const known = nodes.get(node.id);
+      if (!known || `${node.updatedAt ?? ""}` >= `${known.updatedAt ?? ""}`) {
+        nodes.set(node.id, node);
+      }
+    }
+  }
+  return nodes;
+}
+
+/** 沿 parents 计算深度（顶层任务为 1），同时返回从顶层到该节点的标题路径 */
+function depthOf(nodeId, parents, titles) {
+  const path = [];
+  const seen = new Set();
+  for (let id = nodeId; id && parents.has(id) && !seen.has(id); id = parents.get(id)) {
+    seen.add(id);
+    path.unshift(titles.get(id) ?? "");
+  }
+  return { depth: path.length, path };
+}
+
+/**
+ * 最深的任务层级。先看合并后的节点，再按时间顺序走一遍事件日志：
+ * 新增和移动事件会改变层级，记下当时的深度。
+ */
+function deepestStack(nodes, roots, eventLogs) {
+  const parents = new Map();
+  const titles = new Map();
+  const register = (node) => {
+    if (!node?.id || !node.parentId) {
+      return;
+    }
+    // 顶层任务的父节点是会话根节点，深度计到这里为止
+    parents.set(node.id, roots.has(node.parentId) ? null : node.parentId);
+    titles.set(node.id, node.title ?? "");
+  };
+  let deepest = { depth: 0, path: [], at: null };
+  const consider = (nodeId, at) => {
+    const candidate = depthOf(nodeId, parents, titles);
+    if (candidate.depth > deepest.depth) {
+      deepest = { ...candidate, at: at ?? null };
+    }
+  };
+
+  for (const node of nodes.values()) {
+    register(node);
+  }
+  for (const node of nodes.values()) {
+    consider(node.id, node.createdAt);
+  }
+
+  for (const events of eventLogs) {
+    for (const event of events) {
+      if (event.action === "SESSION_START" && event.nodeId) {
+        roots.add(event.nodeId);
+      } else if (event.action === "SESSION_RESTORED_FROM" && event.nodes) {
+        roots.add(event.nodeId);
+        Object.values(event.nodes).forEach(register);
+      } else if ((event.action === "ADD_CHILD" || event.action === "ADD_SIBLING" || event.action === "MOVE_NODE") && event.nodeId) {
+        register({ id: event.nodeId, parentId: event.parentId, title: event.title });
+        consider(event.nodeId, event.ts);
+      } else if (event.action === "RENAME_NODE" && event.nodeId && titles.has(event.nodeId)) {
+        titles.set(event.nodeId, event.title ?? "");
+      }
+    }
+  }
+  return deepest;
+}
+
+/**
+ * 被放弃最多的分支：每个被删除的子树算在删除时它所在的父任务上。
+ * 与父任务同时删除的后代不单独成为一个分支，但计入任务数。
+ */
+function mostAbandoned(nodes, roots) {
+  const branches = new Map();
+  for (const node of nodes.values()) {
+    if (node.status !== "deleted") {
+      continue;
+    }
+    let head = node;
+    let parent = nodes.get(head.parentId);
+    while (parent?.status === "deleted" && parent.deletedAt === head.deletedAt) {
+      head = parent;
+      parent = nodes.get(head.parentId);
+    }
+    const parentId = head.parentId;
+    const entry = branches.get(parentId) ?? { nodeId: parentId, heads: new Set(), tasks: 0 };
+    entry.heads.add(head.id);
+    entry.tasks += 1;
+    branches.set(parentId, entry);
+  }
+
+  const titles = new Map([...nodes.values()].map((node) => [node.id, node.title]));
+  const parents = new Map([...nodes.values()].map((node) => [node.id, roots.has(node.parentId) ? null : node.parentId]));
+  return [...branches.values()]
+    .map((entry) => {
+      const isRoot = roots.has(entry.nodeId) || !nodes.has(entry.nodeId);
+      return {
+        nodeId: entry.nodeId,
+        title: isRoot ? null : titles.get(entry.nodeId),
+        path: isRoot ? [] : depthOf(entry.nodeId, parents, titles).path,
+        branches: entry.heads.size,
+        tasks: entry.tasks
+      };
+    })
+    .sort((left, right) => right.branches - left.branches || right.tasks - left.tasks)
+    .slice(0, TOP_ABANDONED);
+}
+
+/** 连续有完成任务的天数；今天还没有完成时，当前连续天数从昨天算起 */
+function completionStreaks(completedDays, now) {
+  const sorted = [...completedDays].sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const key of sorted) {
+    run = previous && previousDay(key) === previous ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = key;
+  }
+
+  const today = dayKey(now);
+  let cursor = completedDays.has(today) ? today : previousDay(today);
+  let current = 0;
+  while (completedDays.has(cursor)) {
+    current += 1;
+    cursor = previousDay(cursor);
+  }
+  return { current, longest };
+}
+
+/**
+ * 计算统计数据。
+ * states 为快照和活跃树的 state（顺序不限），eventLogs 为各会话解析后的事件数组。
+ * 返回 { days, daily, week, totals, averageCompletionMs, deepest, abandoned, streaks }：
+ * daily 为最近 days 天每天 { day, created, completed }；week 为最近 7 天的合计；
+ * deepest 为 { depth, path, at }（顶层任务深度为 1）；abandoned 为被删除任务最多的父任务。
+ */
+export function computeStats({ states = [], eventLogs = [] } = {}, { days = DEFAULT_STATS_DAYS, now = Date.now() } = {}) {
+  const span = Math.max(1, Math.min(Math.floor(Number(days)) || DEFAULT_STATS_DAYS, MAX_STATS_DAYS));
+  const nodes = mergeNodes(states);
+  const roots = new Set(states.map((state) => state?.rootId).filter(Boolean));
+
+  const created = new Map();
+  const completed = new Map();
+  const totals = { created: 0, completed: 0, deleted: 0, open: 0 };
+  let completionMs = 0;
+  let timedCompletions = 0;
+  const bump = (map, key) => {
+    if (key) {
+      map.set(key, (map.get(key) ?? 0) + 1);
+    }
+  };
+
+  for (const node of nodes.values()) {
+    totals.created += 1;
+    bump(created, dayKey(node.createdAt));
+    if (node.status === "completed") {
+      totals.completed += 1;
+      bump(completed, dayKey(node.completedAt));
+      const elapsed = Date.parse(node.completedAt) - Date.parse(node.createdAt);
+      if (Number.isFinite(elapsed) && elapsed >= 0) {
+        completionMs += elapsed;
+        timedCompletions += 1;
+      }
+    } else if (node.status === "deleted") {
+      totals.deleted += 1;
+    } else {
+      totals.open += 1;
+    }
+  }
+
+  const daily = recentDays(now, span).map((day) => ({
+    day,
+    created: created.get(day) ?? 0,
+    completed: completed.get(day) ?? 0
+  }));
+  const lastWeek = new Set(recentDays(now, 7));
+  const week = { created: 0, completed: 0 };
+  for (const day of lastWeek) {
+    week.created += created.get(day) ?? 0;
+    week.completed += completed.get(day) ?? 0;
+  }
+
+  return {
+    days: span,
+    daily,
+    week,
+    totals,
+    averageCompletionMs: timedCompletions > 0 ? Math.round(completionMs / timedCompletions) : null,
+    deepest: deepestStack(nodes, new Set(roots), eventLogs),
+    abandoned: mostAbandoned(nodes, roots),
+    streaks: completionStreaks(new Set(completed.keys()), now)
+  };
+}
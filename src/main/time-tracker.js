@@ -0,0 +1,138 @@
+/**
+ * 记录聚焦节点的计时区间。
+ * 焦点变化时结束上一段、开始下一段；任意暂停原因（窗口隐藏、空闲、锁屏、退出）
+ * 存在时不计时，全部原因解除后从当前焦点继续。
+ */
+export class TimeTracker {
+  constructor() {
+    this.focusNodeId = null;
+    this.current = null;
+    this.pausedReasons = new Set();
+  }
+
+  isRunning() {
+    return this.current !== null;
+  }
+
+  /** 结束正在进行的区间，返回 { nodeId, start, end, ms }；没有区间时返回 null */
+  stop(at = Date.now()) {
+    if (!this.current) {
+      return null;
+    }
+    const { nodeId, start } = this.current;
+    this.current = null;
+    const end = Math.max(start, at);
+    return { nodeId, start, end, ms: end - start };
+  }
+
+  setFocus(nodeId, at = Date.now()) {
+    if (nodeId === this.focusNodeId && (this.current || this.pausedReasons.size > 0)) {
+      return null;
+    }
+    const closed = this.stop(at);
+    this.focusNodeId = nodeId;
+    if (nodeId && this.pausedReasons.size === 0) {
+      this.current = { nodeId, start: at };
+    }
+    return closed;
+  }
+
+  pause(reason, at = Date.now()) {
+    this.pausedReasons.add(reason);
+    return this.stop(at);
+  }
+
+  resume(reason, at = Date.now()) {
+    this.pausedReasons.delete(reason);
+    if (this.pausedReasons.size === 0 && !this.current && this.focusNodeId) {
+      this.current = { nodeId: this.focusNodeId, start: at };
+    }
+  }
+
+  /** 正在进行的区间到 at 为止的时长，用于报表里的实时数据 */
+  runningMs(at = Date.now()) {
+    return this.current ? Math.max(0, at - this.current.start) : 0;
+  }
+}
+
+/** 把区间列表汇总为 { [nodeId]: 自身毫秒数 } */
+export function sumIntervals(intervals) {
+  const selfTimes = {};
+  for (const interval of intervals) {
+    if (interval?.nodeId && interval.ms > 0) {
+      selfTimes[interval.nodeId] = (selfTimes[interval.nodeId] ?? 0) + interval.ms;
+    }
+  }
+  return selfTimes;
+}
+
+/**
+ * 沿 parentId 向上累加：totalMs = 自身时间 + 所有后代时间。
+ * 已删除节点已从父节点的 childrenIds 摘除，但 parentId 仍在，时间照样计入祖先。
+ */
+export function aggregateTime(state, selfTimes) {
+  const times = {};
+  const entry = (id) => (times[id] ??= { selfMs: 0, totalMs: 0 });
+  for (const [nodeId, ms] of Object.entries(selfTimes)) {
+    entry(nodeId).selfMs += ms;
+    const seen = new Set();
+    for (let id = nodeId; id && !seen.has(id); id = state.nodes[id]?.parentId ?? null) {
+      seen.add(id);
+      entry(id).totalMs += ms;
+    }
+  }
+  return times;
+}
+
+/**
+ * 生成按树形顺序排列的时间报表，只包含计过时的节点。
+ * 返回 { totalMs, rows: [{ nodeId, title, status, depth, selfMs, totalMs }] }。
+ */
+export function buildTimeReport(state, selfTimes, titles = {}) {
+  const times = aggregateTime(state, selfTimes);
+  const childrenOf = {};
+  for (const node of Object.values(state.nodes)) {
+    if (node.parentId) {
+      (childrenOf[node.parentId] ??= []).push(node.id);
+    }
+  }
+  for (const [parentId, ids] of Object.entries(childrenOf)) {
+    const order = state.nodes[parentId]?.childrenIds ?? [];
+    ids.sort((a, b) => rank(order, a) - rank(order, b));
+  }
+
+  const rows = [];
+  const visit = (id, depth) => {
+    if (!times[id]) {
+      return;
+    }
+    const node = state.nodes[id];
+    rows.push({
+      nodeId: id,
+      title: node?.title ?? titles[id] ?? id,
+      status: node?.status ?? "unknown",
+      depth,
+      selfMs: times[id].selfMs,
+      totalMs: times[id].totalMs
+    });
+    for (const childId of childrenOf[id] ?? []) {
+      visit(childId, depth + 1);
+    }
+  };
+  visit(state.rootId, 0);
+
+  // 不在当前树中的节点（例如回放失败时）单独列出
+  for (const id of Object.keys(selfTimes)) {
+    if (!state.nodes[id]) {
+      visit(id, 0);
+    }
+  }
+
+  const totalMs = Object.values(selfTimes).reduce((sum, ms) => sum + ms, 0);
+  return { totalMs, rows };
+}
+
+function rank(order, id) {
+  const index = order.indexOf(id);
+  return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+}
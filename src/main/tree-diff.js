@@ -0,0 +1,114 @@
+/**
+ * 按节点 id 比较两个任务树状态（两个快照，或快照与活跃树）。
+ * 已删除节点视为不存在；两边的根节点视为同一个节点，即使 id 不同。
+ * 变化类型：added / removed / renamed / moved（父节点改变）/ completed / reopened。
+ * 同一父节点下的顺序调整不算移动。
+ */
+export const DIFF_KINDS = ["added", "removed", "renamed", "moved", "completed", "reopened"];
+
+function presentNode(state, nodeId) {
+  const node = state.nodes?.[nodeId];
+  return node && node.status !== "deleted" ? node : null;
+}
+
+/** 返回 { changes: { [nodeId]: { kinds, before, after } }, summary: { [kind]: count } } */
+export function diffStates(before, after) {
+  // 旧根 → 新根，让挂在根下的节点不会因根 id 不同而被算作移动
+  const sameParent = (left, right) => left === right || (left === before.rootId && right === after.rootId);
+  const ids = new Set([...Object.keys(before.nodes ?? {}), ...Object.keys(after.nodes ?? {})]);
+  ids.delete(before.rootId);
+  ids.delete(after.rootId);
+
+  const changes = {};
+  const summary = Object.fromEntries(DIFF_KINDS.map((kind) => [kind, 0]));
+  for (const id of ids) {
+    const previous = presentNode(before, id);
+    const next = presentNode(after, id);
+    const kinds = [];
+    if (!previous && next) {
+      kinds.push("added");
+    } else if (previous && !next) {
+      kinds.push("removed");
+    } else if (previous && next) {
+      if (previous.title !== next.title) {
+        kinds.push("renamed");
+      }
+      if (!sameParent(previous.parentId, next.parentId)) {
+        kinds.push("moved");
+      }
+      if (previous.status === "active" && next.status === "completed") {
+        kinds.push("completed");
+      } else if (previous.status === "completed" && next.status === "active") {
+        kinds.push("reopened");
+      }
+    }
+    if (kinds.length > 0) {
+      changes[id] = { kinds, before: previous, after: next };
+      for (const kind of kinds) {
+        summary[kind] += 1;
+      }
+    }
+  }
+  return { changes, summary };
+}
+
+/**
+ * 合并两棵树用于展示：按新树的结构排列，已移除的节点放回旧父节点之下
+ * （旧父节点也被移除时跟着它一起出现）。
+ * 返回 [{ nodeId, title, oldTitle, status, depth, kinds, fromParentTitle }]，不含根节点。
+ */
+export function buildDiffRows(before, after, diff = diffStates(before, after)) {
+  // 旧父节点 id → 该父节点下被移除的子节点（保持旧顺序）
+  const removedUnder = {};
+  for (const [id, change] of Object.entries(diff.changes)) {
+    if (change.kinds.includes("removed")) {
+      const parentId = change.before.parentId === before.rootId ? after.rootId : change.before.parentId;
+      (removedUnder[parentId] ??= []).push(id);
+    }
+  }
+  for (const [parentId, list] of Object.entries(removedUnder)) {
+    const order = before.nodes[parentId === after.rootId ? before.rootId : parentId]?.childrenIds ?? [];
+    list.sort((left, right) => order.indexOf(left) - order.indexOf(right));
+  }
+
+  const rows = [];
+  const seen = new Set();
+  const visit = (id, depth, state) => {
+    if (seen.has(id)) {
+      return;
+    }
+    seen.add(id);
+    const node = presentNode(state, id);
+    const change = diff.changes[id];
+    if (depth >= 0 && node) {
+      const fromParent = change?.kinds.includes("moved") ? presentNode(before, change.before.parentId) : null;
+      rows.push({
+        nodeId: id,
+        title: node.title,
+        oldTitle: change?.kinds.includes("renamed") ? change.before.title : null,
+        status: node.status,
+        depth,
+        kinds: change?.kinds ?? [],
+        fromParentTitle: fromParent && fromParent.id !== before.rootId ? fromParent.title : null
+      });
+    }
+    if (state === after) {
+      for (const childId of node?.childrenIds ?? []) {
+        visit(childId, depth + 1, after);
+      }
+    }
+    // 被移除节点的子节点若也被移除，同样登记在 removedUnder 中
+    for (const removedId of removedUnder[id] ?? []) {
+      visit(removedId, depth + 1, before);
+    }
+  };
+  visit(after.rootId, -1, after);
+
+  // 旧父节点在新树里已不存在（例如被移除后又被清理），单独放在最外层
+  for (const list of Object.values(removedUnder)) {
+    for (const id of list) {
+      visit(id, 0, before);
+    }
+  }
+  return rows;
+}
@@ -1,7 +1,22 @@
 import { randomUUID } from "node:crypto";
 
 const UNNAMED_TITLE = "Untitled task";
-const MAX_HISTORY = 200;
+const MAX_HISTORY = 5000;
+// Steps of history written to checkpoints. Must exceed the journal compaction
+// interval so the undos in a journal tail always find their entries on resume.
+export const MAX_PERSISTED_HISTORY = 200;
+const MAX_NOTES_LENGTH = 10000;
+const MAX_TAGS = 20;
+
+export const PRIORITIES = ["low", "medium", "high"];
+
+/** Defaults for the optional per-node details; nodes from older files may lack these keys. */
+export const DETAIL_DEFAULTS = {
+  notes: "",
+  dueDate: null,
+  priority: null,
+  tags: []
+};
 
 function deepClone(value) {
   return JSON.parse(JSON.stringify(value));
@@ -16,12 +31,40 @@ function sanitizeTitle(title) {
   return next.length > 0 ? next : UNNAMED_TITLE;
 }
 
-function createNode({ id, parentId, title }) {
-  const timestamp = nowIso();
+function sanitizeDetails(details = {}) {
+  const next = {};
+  if ("notes" in details) {
+    next.notes = `${details.notes ?? ""}`.replace(/\s+$/u, "").slice(0, MAX_NOTES_LENGTH);
+  }
+  if ("dueDate" in details) {
+    const dueDate = `${details.dueDate ?? ""}`.trim();
+    if (dueDate && !/^\d{4}-\d{2}-\d{2}$/u.test(dueDate)) {
+      throw new Error(`Invalid due date: ${dueDate}`);
+    }
+    next.dueDate = dueDate || null;
+  }
+  if ("priority" in details) {
+    const priority = details.priority || null;
+    if (priority !== null && !PRIORITIES.includes(priority)) {
+      throw new Error(`Invalid priority: ${priority}`);
+    }
+    next.priority = priority;
+  }
+  if ("tags" in details) {
+    const tags = (Array.isArray(details.tags) ? details.tags : `${details.tags ?? ""}`.split(","))
+      .map((tag) => `${tag}`.trim().replace(/^#+/u, ""))
+      .filter((tag) => tag.length > 0);
+    next.tags = [...new Set(tags)].slice(0, MAX_TAGS);
+  }
+  return next;
+}
+
+function createNode({ id, parentId, title, timestamp = nowIso() }) {
   return {
     id,
     parentId,
     title: sanitizeTitle(title),
+    ...deepClone(DETAIL_DEFAULTS),
     childrenIds: [],
     status: "active",
     createdAt: timestamp,
@@ -29,12 +72,12 @@ function createNode({ id, parentId, title }) {
   };
 }
 
-export function createInitialState(sessionId) {
-  const rootId = randomUUID();
+export function createInitialState(sessionId, { rootId = randomUUID(), timestamp = nowIso() } = {}) {
   const rootNode = createNode({
     id: rootId,
     parentId: null,
-    title: "Session Root"
+    title: "Session Root",
+    timestamp
   });
 
   return {
@@ -49,43 +92,130 @@ export function createInitialState(sessionId) {
   };
 }
 
+/**
+ * 把 state 中 nodeId 及其后代转换成 importSubtree 可用的条目（不带 id，导入时重新生成）。
+ * 已删除的节点不复制；根节点只复制它的子节点。
+ */
+export function extractSubtree(state, nodeId) {
+  const source = state.nodes?.[nodeId];
+  if (!source || source.status === "deleted") {
+    throw new Error(`Node not found or deleted: ${nodeId}`);
+  }
+  const toItem = (node) => ({
+    title: node.title,
+    completed: node.status === "completed",
+    notes: node.notes ?? DETAIL_DEFAULTS.notes,
+    dueDate: node.dueDate ?? DETAIL_DEFAULTS.dueDate,
+    priority: node.priority ?? DETAIL_DEFAULTS.priority,
+    tags: [...(node.tags ?? [])],
+    children: childItems(node)
+  });
+  const childItems = (node) =>
+    node.childrenIds
+      .map((id) => state.nodes[id])
+      .filter((child) => child && child.status !== "deleted")
+      .map(toItem);
+  return source.id === state.rootId ? childItems(source) : [toItem(source)];
+}
+
 export class TreeStateMachine {
-  constructor(state) {
+  /**
+   * @param {object} state
+   * @param {{ now?: () => string }} [options] `now` overrides the clock, e.g. when replaying an event log
+   */
+  constructor(state, options = {}) {
     this.state = deepClone(state);
+    this.state.undoStack ??= [];
+    this.state.redoStack ??= [];
+    this.now = options.now ?? nowIso;
   }
 
+  /**
+   * A copy of the tree without the undo/redo stacks. This is what every action
+   * returns and what goes over IPC, so its cost does not grow with the history.
+   */
   getState() {
-    return deepClone(this.state);
+    const { undoStack: _undoStack, redoStack: _redoStack, ...tree } = this.state;
+    return deepClone(tree);
   }
 
-  snapshot() {
+  /**
+   * A copy for checkpoints written to disk: the tree plus the newest
+   * MAX_PERSISTED_HISTORY undo/redo steps. Only those entries are copied,
+   * so a checkpoint costs the same however long the in-memory history is.
+   */
+  getPersistedState() {
     return {
-      rootId: this.state.rootId,
-      focusedNodeId: this.state.focusedNodeId,
-      nodes: deepClone(this.state.nodes)
+      ...this.getState(),
+      undoStack: deepClone(this.state.undoStack.slice(-MAX_PERSISTED_HISTORY)),
+      redoStack: deepClone(this.state.redoStack.slice(-MAX_PERSISTED_HISTORY))
     };
   }
 
-  applySnapshot(snapshot) {
-    this.state.rootId = snapshot.rootId;
-    this.state.focusedNodeId = snapshot.focusedNodeId;
-    this.state.nodes = deepClone(snapshot.nodes);
-    this.ensureFocus();
+  /**
+   * The undo/redo stacks without copying their entries. Entries are only
+   * written by the action that pushed them, so they can be shared safely.
+   */
+  getHistory() {
+    return { undoStack: [...this.state.undoStack], redoStack: [...this.state.redoStack] };
   }
 
+  setHistory({ undoStack = [], redoStack = [] }) {
+    this.state.undoStack = [...undoStack];
+    this.state.redoStack = [...redoStack];
+  }
+
+  /**
+   * Starts a history entry for the action about to run. The entry is a patch:
+   * the focus before the action plus the previous value of every node the
+   * action touches (`null` for nodes it creates), so undo only restores what
+   * changed. Mutations must call `touch(nodeId)` before modifying a node.
+   */
   pushUndo() {
-    this.state.undoStack.push(this.snapshot());
+    this.pendingChange = { focusedNodeId: this.state.focusedNodeId, nodes: {} };
+    this.state.undoStack.push(this.pendingChange);
     if (this.state.undoStack.length > MAX_HISTORY) {
       this.state.undoStack.shift();
     }
     this.state.redoStack = [];
   }
 
+  touch(nodeId) {
+    const entry = this.pendingChange;
+    if (!entry || Object.hasOwn(entry.nodes, nodeId)) {
+      return;
+    }
+    const node = this.state.nodes[nodeId];
+    entry.nodes[nodeId] = node ? deepClone(node) : null;
+  }
+
+  /**
+   * Applies a history entry and returns its inverse for the opposite stack.
+   * Full-tree entries from older files are converted to patches by migrations.js.
+   */
+  applyHistoryEntry(entry) {
+    const inverse = { focusedNodeId: this.state.focusedNodeId, nodes: {} };
+    for (const [id, previous] of Object.entries(entry.nodes)) {
+      const current = this.state.nodes[id];
+      inverse.nodes[id] = current ? deepClone(current) : null;
+      if (previous) {
+        this.state.nodes[id] = deepClone(previous);
+      } else {
+        delete this.state.nodes[id];
+      }
+    }
+    this.state.focusedNodeId = entry.focusedNodeId;
+    this.ensureFocus();
+    return inverse;
+  }
+
   ensureFocus() {
-    const focused = this.state.nodes[this.state.focusedNodeId];
-    if (!focused || focused.status !== "active") {
-      this.state.focusedNodeId = this.state.rootId;
+    // 焦点落在已完成/已删除节点上时，沿 parentId 回到最近的活跃祖先
+    let candidate = this.state.nodes[this.state.focusedNodeId];
+    while (candidate && candidate.status !== "active") {
+      candidate = candidate.parentId ? this.state.nodes[candidate.parentId] : null;
     }
+    this.state.focusedNodeId = candidate ? candidate.id : this.state.rootId;
   }
 
   assertNode(nodeId) {
@@ -96,39 +226,133 @@ export class TreeStateMachine {
     return node;
   }
 
-  addChild(parentId, title) {
+  /** options.keepFocus 为 true 时不把焦点移到新任务（快速记录窗口添加的任务） */
+  addChild(parentId, title, options = {}) {
     const parent = this.assertNode(parentId);
+    if (options.id && this.state.nodes[options.id]) {
+      throw new Error(`Node id already exists: ${options.id}`);
+    }
     this.pushUndo();
 
-    const id = randomUUID();
-    const node = createNode({ id, parentId: parent.id, title });
+    const id = options.id ?? randomUUID();
+    this.touch(id);
+    this.touch(parent.id);
+    const timestamp = this.now();
+    const node = createNode({ id, parentId: parent.id, title, timestamp });
     this.state.nodes[id] = node;
     parent.childrenIds.push(id);
-    parent.updatedAt = nowIso();
-    this.state.focusedNodeId = id;
+    parent.updatedAt = timestamp;
+    if (!options.keepFocus) {
+      this.state.focusedNodeId = id;
+    }
     return { nodeId: id, state: this.getState() };
   }
 
-  addSibling(nodeId, title) {
+  /**
+   * Grafts a whole tree of new nodes under `parentId` as one undoable action.
+   * Items are `{ id?, title, completed?, notes?, dueDate?, priority?, tags?, children }`;
+   * missing ids are generated. Returns the items with their resolved ids so
+   * the operation can be journaled and replayed with the same ids.
+   */
+  importSubtree(parentId, items) {
+    const parent = this.assertNode(parentId);
+    const resolved = deepClone(items ?? []);
+    const pending = [...resolved];
+    // 先校验全部条目，任何一项无效都不修改树，也不留下撤销记录
+    const details = new Map();
+    while (pending.length > 0) {
+      const item = pending.pop();
+      item.id = item.id ?? randomUUID();
+      if (this.state.nodes[item.id] || details.has(item.id)) {
+        throw new Error(`Node id already exists: ${item.id}`);
+      }
+      details.set(item.id, sanitizeDetails(item));
+      item.children = item.children ?? [];
+      pending.push(...item.children);
+    }
+    if (resolved.length === 0) {
+      return { parentId: parent.id, items: resolved, createdIds: [], state: this.getState() };
+    }
+
+    this.pushUndo();
+    this.touch(parent.id);
+    const timestamp = this.now();
+    const createdIds = [];
+    // 与 completeNode 一致：已完成任务的后代也算完成（closeBatch 为最上层已完成条目的 id），
+    // 否则它们会挂在隐藏的父任务下无法访问
+    const graft = (item, target, closeBatch) => {
+      this.touch(item.id);
+      const node = createNode({ id: item.id, parentId: target.id, title: item.title, timestamp });
+      Object.assign(node, details.get(item.id));
+      const batch = closeBatch ?? (item.completed ? node.id : null);
+      if (batch) {
+        node.status = "completed";
+        node.completedAt = timestamp;
+        node.closeBatch = batch;
+      }
+      this.state.nodes[node.id] = node;
+      target.childrenIds.push(node.id);
+      createdIds.push(node.id);
+      for (const child of item.children) {
+        graft(child, node, batch);
+      }
+    };
+    for (const item of resolved) {
+      graft(item, parent, null);
+    }
+    parent.updatedAt = timestamp;
+    this.state.focusedNodeId = parent.id;
+    return { parentId: parent.id, items: resolved, createdIds, state: this.getState() };
+  }
+
+  addSibling(nodeId, title, options = {}) {
     const node = this.assertNode(nodeId);
     const parentId = node.parentId ?? this.state.rootId;
-    return this.addChild(parentId, title);
+    return this.addChild(parentId, title, options);
   }
 
   renameNode(nodeId, title) {
     const node = this.assertNode(nodeId);
     this.pushUndo();
+    this.touch(node.id);
     node.title = sanitizeTitle(title);
-    node.updatedAt = nowIso();
+    node.updatedAt = this.now();
     return this.getState();
   }
 
+  /**
+   * Updates notes, due date, priority and/or tags. Only keys present in
+   * `details` are changed; returns the changed keys with their old values.
+   */
+  updateNodeDetails(nodeId, details) {
+    const node = this.assertNode(nodeId);
+    const next = sanitizeDetails(details);
+    const changed = Object.keys(next).filter(
+      (key) => JSON.stringify(node[key] ?? DETAIL_DEFAULTS[key]) !== JSON.stringify(next[key])
+    );
+    const previous = {};
+    if (changed.length > 0) {
+      this.pushUndo();
+      this.touch(node.id);
+      for (const key of changed) {
+        previous[key] = node[key] ?? DETAIL_DEFAULTS[key];
+        node[key] = next[key];
+      }
+      node.updatedAt = this.now();
+    }
+    return { nodeId: node.id, changed, previous, state: this.getState() };
+  }
+
   focusNode(nodeId) {
     const node = this.assertNode(nodeId);
     this.state.focusedNodeId = node.id;
     return this.getState();
   }
 
+  /**
+   * Collects the ids of the active nodes in a subtree. Completed or deleted
+   * descendants are skipped so they keep their own status and timestamps.
+   */
   collectSubtree(nodeId) {
     const stack = [nodeId];
     const all = [];
@@ -149,26 +373,40 @@ export class TreeStateMachine {
     return all;
   }
 
-  softDeleteInternal(nodeId) {
+  /**
+   * Closes a subtree with the given status ("completed" or "deleted").
+   * Completed nodes stay in their parent's childrenIds so finished work keeps
+   * its place in the tree; deleted nodes are detached from the parent and
+   * remember their index in `closedIndex`. Every node closed here gets the
+   * closed node's id as `closeBatch`, so reopening brings back exactly this batch.
+   */
+  closeSubtreeInternal(nodeId, status) {
     const node = this.assertNode(nodeId);
     if (node.id === this.state.rootId) {
-      throw new Error("Root node cannot be deleted");
+      throw new Error(status === "completed" ? "Root node cannot be completed" : "Root node cannot be deleted");
     }
 
     this.pushUndo();
     const nodeIds = this.collectSubtree(nodeId);
-    const timestamp = nowIso();
+    const timestamp = this.now();
+    const timestampKey = status === "completed" ? "completedAt" : "deletedAt";
     for (const id of nodeIds) {
+      this.touch(id);
       const target = this.state.nodes[id];
-      target.status = "deleted";
-      target.deletedAt = timestamp;
+      target.status = status;
+      target[timestampKey] = timestamp;
+      target.closeBatch = node.id;
       target.updatedAt = timestamp;
     }
 
     const parentId = node.parentId ?? this.state.rootId;
     const parent = this.state.nodes[parentId];
     if (parent && parent.status === "active") {
-      parent.childrenIds = parent.childrenIds.filter((childId) => childId !== node.id);
+      this.touch(parent.id);
+      if (status === "deleted") {
+        node.closedIndex = parent.childrenIds.indexOf(node.id);
+        parent.childrenIds = parent.childrenIds.filter((childId) => childId !== node.id);
+      }
       parent.updatedAt = timestamp;
       this.state.focusedNodeId = parent.id;
     } else {
@@ -176,15 +414,127 @@ export class TreeStateMachine {
     }
 
     this.ensureFocus();
-    return { nextFocusId: this.state.focusedNodeId, state: this.getState() };
+    return { nextFocusId: this.state.focusedNodeId, closedIds: nodeIds, state: this.getState() };
   }
 
   completeNode(nodeId) {
-    return this.softDeleteInternal(nodeId);
+    return this.closeSubtreeInternal(nodeId, "completed");
   }
 
   deleteNode(nodeId) {
-    return this.softDeleteInternal(nodeId);
+    return this.closeSubtreeInternal(nodeId, "deleted");
+  }
+
+  /**
+   * Moves a node (with its subtree) under `newParentId` at `index` in the new
+   * parent's childrenIds, counted after the node is removed from its old
+   * place. A missing index appends. Moving into the node's own subtree or
+   * moving the root is rejected; a move that changes nothing is not recorded.
+   */
+  moveNode(nodeId, newParentId, index = null) {
+    const node = this.assertNode(nodeId);
+    if (node.id === this.state.rootId) {
+      throw new Error("Root node cannot be moved");
+    }
+    const newParent = this.assertNode(newParentId);
+    for (let cursor = newParent; cursor; cursor = cursor.parentId ? this.state.nodes[cursor.parentId] : null) {
+      if (cursor.id === node.id) {
+        throw new Error("Cannot move a node into its own subtree");
+      }
+    }
+
+    const oldParent = this.state.nodes[node.parentId];
+    const fromIndex = oldParent.childrenIds.indexOf(node.id);
+    const remaining = newParent.childrenIds.filter((childId) => childId !== node.id);
+    const targetIndex = Math.max(0, Math.min(index ?? remaining.length, remaining.length));
+    const result = () => ({
+      nodeId: node.id,
+      fromParentId: oldParent.id,
+      fromIndex,
+      parentId: newParent.id,
+      index: targetIndex,
+      state: this.getState()
+    });
+    if (oldParent.id === newParent.id && fromIndex === targetIndex) {
+      return result();
+    }
+
+    this.pushUndo();
+    this.touch(node.id);
+    this.touch(oldParent.id);
+    this.touch(newParent.id);
+    const timestamp = this.now();
+    oldParent.childrenIds = oldParent.childrenIds.filter((childId) => childId !== node.id);
+    oldParent.updatedAt = timestamp;
+    remaining.splice(targetIndex, 0, node.id);
+    newParent.childrenIds = remaining;
+    newParent.updatedAt = timestamp;
+    node.parentId = newParent.id;
+    node.updatedAt = timestamp;
+    this.state.focusedNodeId = node.id;
+    return result();
+  }
+
+  /**
+   * Reopens a completed or deleted node together with the descendants that
+   * were closed in the same operation (same `closeBatch`). The node goes back
+   * to its original index under its original parent when that parent is still
+   * active, otherwise to the end of the root's children.
+   */
+  reopenNode(nodeId) {
+    const node = this.state.nodes[nodeId];
+    if (!node || node.status === "active") {
+      throw new Error(`Node not found or already active: ${nodeId}`);
+    }
+    if (node.id === this.state.rootId) {
+      throw new Error("Root node cannot be reopened");
+    }
+
+    this.pushUndo();
+    const closedStatus = node.status;
+    const closedAt = node.completedAt ?? node.deletedAt;
+    // 旧版本文件里的节点没有 closeBatch，只能按同一时间关闭来判断
+    const closedTogether = (current) =>
+      node.closeBatch ? current.closeBatch === node.closeBatch : (current.completedAt ?? current.deletedAt) === closedAt;
+    const timestamp = this.now();
+
+    const originalParent = node.parentId ? this.state.nodes[node.parentId] : null;
+    const parent = originalParent && originalParent.status === "active" ? originalParent : this.state.nodes[this.state.rootId];
+    this.touch(node.id);
+    this.touch(parent.id);
+    if (originalParent && originalParent !== parent) {
+      this.touch(originalParent.id);
+      originalParent.childrenIds = originalParent.childrenIds.filter((childId) => childId !== node.id);
+    }
+    if (!parent.childrenIds.includes(node.id)) {
+      const index = parent === originalParent && node.closedIndex >= 0 ? node.closedIndex : parent.childrenIds.length;
+      parent.childrenIds.splice(Math.min(index, parent.childrenIds.length), 0, node.id);
+    }
+    parent.updatedAt = timestamp;
+    node.parentId = parent.id;
+    delete node.closedIndex;
+
+    const reopenedIds = [];
+    const stack = [node.id];
+    while (stack.length > 0) {
+      const current = this.state.nodes[stack.pop()];
+      if (!current || current.status !== closedStatus || !closedTogether(current)) {
+        continue;
+      }
+      this.touch(current.id);
+      current.status = "active";
+      delete current.completedAt;
+      delete current.deletedAt;
+      delete current.closeBatch;
+      current.updatedAt = timestamp;
+      reopenedIds.push(current.id);
+      for (const childId of current.childrenIds) {
+        stack.push(childId);
+      }
+    }
+
+    this.state.focusedNodeId = node.id;
+    return { nodeId: node.id, parentId: parent.id, reopenedIds, state: this.getState() };
   }
 
   undo() {
@@ -192,8 +542,7 @@ export class TreeStateMachine {
       return this.getState();
     }
     const previous = this.state.undoStack.pop();
-    this.state.redoStack.push(this.snapshot());
-    this.applySnapshot(previous);
+    this.state.redoStack.push(this.applyHistoryEntry(previous));
     return this.getState();
   }
 
@@ -202,8 +551,7 @@ export class TreeStateMachine {
       return this.getState();
     }
     const next = this.state.redoStack.pop();
-    this.state.undoStack.push(this.snapshot());
-    this.applySnapshot(next);
+    this.state.undoStack.push(this.applyHistoryEntry(next));
     return this.getState();
   }
 }
@@ -0,0 +1,92 @@
+import path from "node:path";
+import { promises as fs } from "node:fs";
+
+export const DEFAULT_WORKSPACE = "default";
+
+const MAX_NAME_LENGTH = 40;
+// Windows 上不能用作文件或目录名的设备名（不区分大小写，带扩展名也不行）
+const RESERVED_NAME = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/iu;
+// 旧版把会话文件直接放在 sessions/ 下，这些文件会被迁移到 sessions/default/
+const LEGACY_FILE = /^(active\.json(\.tmp)?|active\.journal|continue\.flag|.+\.(events\.log|snapshot\.json|time\.log))$/u;
+
+/**
+ * 管理 sessions/ 下的命名工作区。
+ * 每个工作区是一个子目录，拥有独立的 active.json、事件日志和快照；
+ * 当前工作区记录在 sessions/workspaces.json。
+ */
+export class WorkspaceRegistry {
+  constructor(sessionsDir) {
+    this.sessionsDir = sessionsDir;
+    this.configPath = path.join(sessionsDir, "workspaces.json");
+  }
+
+  /**
+   * 规范化工作区名称：去掉路径分隔符等文件名非法字符，以及 Windows 会忽略的结尾点号和空格
+   * （否则 "foo." 与 "foo" 是同一个目录）；结果为空或是 Windows 保留名时抛错
+   */
+  static sanitizeName(name) {
+    const next = `${name ?? ""}`
+      .replace(/[\\/:*?"<>|\u0000-\u001f]/gu, " ")
+      .replace(/\s+/gu, " ")
+      .trim()
+      .slice(0, MAX_NAME_LENGTH)
+      .replace(/[. ]+$/u, "");
+    if (next.length === 0 || RESERVED_NAME.test(next)) {
+      throw new Error(`Invalid workspace name: ${name}`);
+    }
+    return next;
+  }
+
+  dirFor(name) {
+    return path.join(this.sessionsDir, WorkspaceRegistry.sanitizeName(name));
+  }
+
+  async init() {
+    await fs.mkdir(this.sessionsDir, { recursive: true });
+    await this.migrateLegacyLayout();
+  }
+
+  async migrateLegacyLayout() {
+    const entries = await fs.readdir(this.sessionsDir, { withFileTypes: true });
+    const legacy = entries.filter((entry) => entry.isFile() && LEGACY_FILE.test(entry.name));
+    if (legacy.length === 0) {
+      return;
+    }
+    const targetDir = path.join(this.sessionsDir, DEFAULT_WORKSPACE);
+    await fs.mkdir(targetDir, { recursive: true });
+    for (const entry of legacy) {
+      const target = path.join(targetDir, entry.name);
+      try {
+        await fs.access(target);
+        console.warn(`Skipping legacy session file, target exists: ${entry.name}`);
+      } catch {
+        await fs.rename(path.join(this.sessionsDir, entry.name), target);
+      }
+    }
+  }
+
+  async list() {
+    const entries = await fs.readdir(this.sessionsDir, { withFileTypes: true });
+    const names = entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+    const current = await this.getCurrent();
+    if (!names.includes(current)) {
+      names.push(current);
+    }
+    return names.sort((left, right) => left.localeCompare(right));
+  }
+
+  async getCurrent() {
+    try {
+      const raw = await fs.readFile(this.configPath, "utf8");
+      return WorkspaceRegistry.sanitizeName(JSON.parse(raw).current);
+    } catch {
+      return DEFAULT_WORKSPACE;
+    }
+  }
+
+  async setCurrent(name) {
+    const current = WorkspaceRegistry.sanitizeName(name);
+    await fs.writeFile(this.configPath, `${JSON.stringify({ current }, null, 2)}\n`, "utf8");
+    return current;
+  }
+}
@@ -24,22 +24,93 @@ function graphColor(col) {
 
 const stateRef = {
   value: null,
-  historyOpen: false
+  historyOpen: false,
+  historyView: "snapshots",
+  // nodeId → { selfMs, totalMs } for the live session, refreshed after each render
+  nodeTimes: {}
 };
 
 const elements = {
+  workspaceButton: document.querySelector("#workspaceButton"),
+  workspaceMenu: document.querySelector("#workspaceMenu"),
   graphContainer: document.querySelector("#graphContainer"),
   graphCanvas: document.querySelector("#graphCanvas"),
   graphNodes: document.querySelector("#graphNodes"),
   historyPanel: document.querySelector("#historyPanel"),
   historyClose: document.querySelector("#historyClose"),
   snapshotList: document.querySelector("#snapshotList"),
+  closedList: document.querySelector("#closedList"),
+  timeSessionSelect: document.querySelector("#timeSessionSelect"),
+  timeReportRows: document.querySelector("#timeReportRows"),
+  diffBack: document.querySelector("#diffBack"),
+  diffTitle: document.querySelector("#diffTitle"),
+  diffTarget: document.querySelector("#diffTarget"),
+  diffSummary: document.querySelector("#diffSummary"),
+  diffRows: document.querySelector("#diffRows"),
+  archiveSearchInput: document.querySelector("#archiveSearchInput"),
+  archiveSearchFrom: document.querySelector("#archiveSearchFrom"),
+  archiveSearchTo: document.querySelector("#archiveSearchTo"),
+  archiveSearchResults: document.querySelector("#archiveSearchResults"),
+  timelineSession: document.querySelector("#timelineSession"),
+  timelineQuery: document.querySelector("#timelineQuery"),
+  timelineFilters: document.querySelector("#timelineFilters"),
+  timelineRows: document.querySelector("#timelineRows"),
+  timelineReplay: document.querySelector("#timelineReplay"),
+  statsRange: document.querySelector("#statsRange"),
+  statsSummary: document.querySelector("#statsSummary"),
+  statsChart: document.querySelector("#statsChart"),
+  statsAbandoned: document.querySelector("#statsAbandoned"),
+  replayBar: document.querySelector("#replayBar"),
+  replayPrev: document.querySelector("#replayPrev"),
+  replayPlay: document.querySelector("#replayPlay"),
+  replayNext: document.querySelector("#replayNext"),
+  replaySlider: document.querySelector("#replaySlider"),
+  replayPosition: document.querySelector("#replayPosition"),
+  replayEvent: document.querySelector("#replayEvent"),
+  replayBranch: document.querySelector("#replayBranch"),
+  replayClose: document.querySelector("#replayClose"),
+  historyTabs: document.querySelectorAll(".history-tab"),
+  historyViews: document.querySelectorAll(".history-view"),
   toast: document.querySelector("#toast"),
   titleEditor: document.querySelector("#titleEditor"),
   titleEditorLabel: document.querySelector("#titleEditorLabel"),
   titleEditorInput: document.querySelector("#titleEditorInput"),
   titleEditorOk: document.querySelector("#titleEditorOk"),
   titleEditorCancel: document.querySelector("#titleEditorCancel"),
+  detailPanel: document.querySelector("#detailPanel"),
+  detailHeading: document.querySelector("#detailHeading"),
+  detailClose: document.querySelector("#detailClose"),
+  detailNotes: document.querySelector("#detailNotes"),
+  detailDue: document.querySelector("#detailDue"),
+  detailPriority: document.querySelector("#detailPriority"),
+  detailTags: document.querySelector("#detailTags"),
+  detailSave: document.querySelector("#detailSave"),
+  detailCancel: document.querySelector("#detailCancel"),
+  exportPopup: document.querySelector("#exportPopup"),
+  exportLabel: document.querySelector("#exportLabel"),
+  exportFormat: document.querySelector("#exportFormat"),
+  exportCopy: document.querySelector("#exportCopy"),
+  exportSave: document.querySelector("#exportSave"),
+  exportCancel: document.querySelector("#exportCancel"),
+  checkpointPopup: document.querySelector("#checkpointPopup"),
+  checkpointHeading: document.querySelector("#checkpointHeading"),
+  checkpointLabel: document.querySelector("#checkpointLabel"),
+  checkpointDescription: document.querySelector("#checkpointDescription"),
+  checkpointSave: document.querySelector("#checkpointSave"),
+  checkpointCancel: document.querySelector("#checkpointCancel"),
+  searchBar: document.querySelector("#searchBar"),
+  searchInput: document.querySelector("#searchInput"),
+  searchCount: document.querySelector("#searchCount"),
+  searchPrev: document.querySelector("#searchPrev"),
+  searchNext: document.querySelector("#searchNext"),
+  searchClose: document.querySelector("#searchClose"),
+  importPopup: document.querySelector("#importPopup"),
+  importLabel: document.querySelector("#importLabel"),
+  importText: document.querySelector("#importText"),
+  importFormat: document.querySelector("#importFormat"),
+  importPreview: document.querySelector("#importPreview"),
+  importOk: document.querySelector("#importOk"),
+  importCancel: document.querySelector("#importCancel"),
   translatePopup: document.querySelector("#translatePopup"),
   translateInput: document.querySelector("#translateInput"),
   translateResult: document.querySelector("#translateResult")
@@ -96,7 +167,7 @@ function isInteractiveTarget(target) {
   }
   return Boolean(
     target.closest(
-      ".graph-node, .qbtn, .history-panel, .title-editor, .editor-input, .editor-btn, .drag-bar, .translate-popup, .snapshot-restore-btn, .history-close-btn"
+      ".graph-node, .qbtn, .history-panel, .title-editor, .editor-input, .editor-btn, .drag-bar, .translate-popup, .snapshot-restore-btn, .history-close-btn, .detail-panel, .workspace-pill, .workspace-menu, .export-popup, .import-popup, .search-bar, .checkpoint-popup, .replay-bar"
     )
   );
 }
@@ -290,27 +361,21 @@ function createQuickButton(text, title, onClick) {
   return button;
 }
 
-function createGraphNodeElement(row, rowIndex) {
+/** 回放模式下传入回放到的 state，并以 interactive = false 生成只读节点（无按钮、拖放和计时） */
+function createGraphNodeElement(row, rowIndex, { state = stateRef.value, interactive = true } = {}) {
   const { node, col } = row;
-  const isFocused = node.id === stateRef.value?.focusedNodeId;
+  const isFocused = node.id === state?.focusedNodeId;
   const dotX = GRAPH.PAD_LEFT + col * GRAPH.COL_W;
   const dotY = rowIndex * GRAPH.ROW_H + GRAPH.ROW_H / 2;
 
   const el = document.createElement("div");
-  el.className = `graph-node${isFocused ? " focused" : ""}`;
+  el.className = `graph-node${isFocused ? " focused" : ""}${searchClass(node.id)}`;
   el.dataset.nodeId = node.id;
   // Position so the dot center (5px from left edge) aligns with canvas line x
   el.style.left = `${dotX - 5}px`;
   el.style.top = `${dotY - GRAPH.ROW_H / 2}px`;
   el.style.color = graphColor(col);
 
-  el.addEventListener("click", () => {
-    void focusNode(node.id);
-  });
-  el.addEventListener("dblclick", () => {
-    void renameNode(node.id);
-  });
-
   // Dot
   const dot = document.createElement("div");
   dot.className = "graph-dot";
@@ -324,13 +389,35 @@ function createGraphNodeElement(row, rowIndex) {
   title.className = "graph-title";
   title.textContent = node.title;
   info.append(title);
+  const meta = buildNodeIndicators(node);
+  if (meta) {
+    info.append(meta);
+  }
+  el.append(info);
+  if (!interactive) {
+    return el;
+  }
+
+  el.addEventListener("click", () => {
+    void focusNode(node.id);
+  });
+  el.addEventListener("dblclick", () => {
+    void renameNode(node.id);
+  });
+  attachDragAndDrop(el, node);
+
+  const time = document.createElement("span");
+  time.className = "graph-time";
+  fillTimeLabel(time, node.id);
+  info.append(time);
 
   const actions = document.createElement("div");
   actions.className = "graph-actions";
   actions.append(
     createQuickButton("+", "Add child", () => addChild(node.id)),
     createQuickButton("=", "Add sibling", () => addSibling(node.id)),
-    createQuickButton("R", "Rename", () => renameNode(node.id))
+    createQuickButton("R", "Rename", () => renameNode(node.id)),
+    createQuickButton("i", "Details", () => openDetailPanel(node.id))
   );
   if (node.parentId) {
     actions.append(
@@ -339,14 +426,187 @@ function createGraphNodeElement(row, rowIndex) {
     );
   }
   info.append(actions);
-  el.append(info);
 
   return el;
 }
 
+const PRIORITY_MARKS = { low: "!", medium: "!!", high: "!!!" };
+
+function todayIso() {
+  const now = new Date();
+  const pad = (n) => `${n}`.padStart(2, "0");
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/** Small priority / due date / notes / tag markers shown next to the title. */
+function buildNodeIndicators(node) {
+  const marks = [];
+  if (node.priority && PRIORITY_MARKS[node.priority]) {
+    const priority = document.createElement("span");
+    priority.className = `graph-meta-priority ${node.priority}`;
+    priority.textContent = PRIORITY_MARKS[node.priority];
+    marks.push(priority);
+  }
+  if (node.dueDate) {
+    const due = document.createElement("span");
+    due.className = `graph-meta-due${node.dueDate < todayIso() ? " overdue" : ""}`;
+    due.textContent = node.dueDate.slice(5).replace("-", "/");
+    due.title = `截止 ${node.dueDate}`;
+    marks.push(due);
+  }
+  if (node.notes) {
+    const notes = document.createElement("span");
+    notes.className = "graph-meta-notes";
+    notes.textContent = "✎";
+    notes.title = node.notes;
+    marks.push(notes);
+  }
+  for (const tag of node.tags ?? []) {
+    const chip = document.createElement("span");
+    chip.className = "graph-meta-tag";
+    chip.textContent = `#${tag}`;
+    marks.push(chip);
+  }
+  if (marks.length === 0) {
+    return null;
+  }
+  const meta = document.createElement("span");
+  meta.className = "graph-meta";
+  meta.append(...marks);
+  return meta;
+}
+
+/* ========== Time tracking labels ========== */
+
+const TIME_REFRESH_MS = 30 * 1000;
+
+/** 65_000 → "1m", 3_900_000 → "1h 05m" */
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return ms > 0 ? "<1m" : "0m";
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}m`;
+  return `${hours}h ${`${minutes % 60}`.padStart(2, "0")}m`;
+}
+
+function fillTimeLabel(el, nodeId) {
+  const times = stateRef.nodeTimes[nodeId];
+  el.textContent = times ? `⏱ ${formatDuration(times.totalMs)}` : "";
+  el.title = times ? `本任务 ${formatDuration(times.selfMs)} · 含子任务 ${formatDuration(times.totalMs)}` : "";
+}
+
+async function refreshNodeTimes() {
+  if (!window.todoApi?.time) {
+    return;
+  }
+  const report = await window.todoApi.time.getReport();
+  stateRef.nodeTimes = Object.fromEntries(report.rows.map((row) => [row.nodeId, row]));
+  for (const el of elements.graphNodes.querySelectorAll(".graph-node")) {
+    const label = el.querySelector(".graph-time");
+    if (label) {
+      fillTimeLabel(label, el.dataset.nodeId);
+    }
+  }
+}
+
+// 计时只在焦点切换时结算，渲染时只有焦点变了才重新拉取，其余靠 TIME_REFRESH_MS 定时刷新
+let timedFocusId = null;
+
+function refreshNodeTimesOnFocus(focusedNodeId) {
+  if (focusedNodeId === timedFocusId) {
+    return;
+  }
+  timedFocusId = focusedNodeId;
+  void refreshNodeTimes().catch(() => {});
+}
+
+/* ========== Drag and drop (move / reorder) ========== */
+
+const dragState = {
+  nodeId: null
+};
+
+function isInSubtree(state, ancestorId, nodeId) {
+  for (let cursor = state.nodes[nodeId]; cursor; cursor = cursor.parentId ? state.nodes[cursor.parentId] : null) {
+    if (cursor.id === ancestorId) return true;
+  }
+  return false;
+}
+
+/** Top quarter drops before the target, bottom quarter after it, the middle makes it a child. */
+function dropZone(event, el, node) {
+  if (!node.parentId) return "inside";
+  const rect = el.getBoundingClientRect();
+  const offset = (event.clientY - rect.top) / rect.height;
+  if (offset < 0.25) return "before";
+  if (offset > 0.75) return "after";
+  return "inside";
+}
+
+function clearDropMarkers() {
+  for (const marked of elements.graphNodes.querySelectorAll(".drop-before, .drop-after, .drop-inside")) {
+    marked.classList.remove("drop-before", "drop-after", "drop-inside");
+  }
+}
+
+function attachDragAndDrop(el, node) {
+  el.draggable = Boolean(node.parentId);
+
+  el.addEventListener("dragstart", (event) => {
+    dragState.nodeId = node.id;
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", node.id);
+    el.classList.add("dragging");
+  });
+
+  el.addEventListener("dragend", () => {
+    dragState.nodeId = null;
+    el.classList.remove("dragging");
+    clearDropMarkers();
+  });
+
+  el.addEventListener("dragover", (event) => {
+    const state = stateRef.value;
+    if (!dragState.nodeId || isInSubtree(state, dragState.nodeId, node.id)) {
+      return;
+    }
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "move";
+    clearDropMarkers();
+    el.classList.add(`drop-${dropZone(event, el, node)}`);
+  });
+
+  el.addEventListener("dragleave", () => {
+    el.classList.remove("drop-before", "drop-after", "drop-inside");
+  });
+
+  el.addEventListener("drop", (event) => {
+    event.preventDefault();
+    const draggedId = dragState.nodeId;
+    const zone = dropZone(event, el, node);
+    clearDropMarkers();
+    if (!draggedId) return;
+
+    void withGuard(async () => {
+      if (zone === "inside") {
+        await moveNode(draggedId, node.id);
+        return;
+      }
+      const parent = stateRef.value.nodes[node.parentId];
+      const index = indexWithout(parent, draggedId, node.id) + (zone === "after" ? 1 : 0);
+      await moveNode(draggedId, parent.id, index);
+    });
+  });
+}
+
 /* ========== Render orchestration ========== */
 
 function renderTree() {
+  // 回放模式下图中显示的是回放到的状态，活跃树的更新等退出回放后再显示
+  if (isReplayOpen()) {
+    renderReplayGraph();
+    return;
+  }
   const state = stateRef.value;
   if (!state) {
     return;
@@ -371,6 +631,15 @@ function renderTree() {
     elements.graphNodes.append(createGraphNodeElement(rows[i], i));
   }
 
+  if (stateRef.historyOpen && stateRef.historyView === "closed") {
+    renderClosedList();
+  }
+  refreshNodeTimesOnFocus(state.focusedNodeId);
+
+  if (isSearchOpen()) {
+    refreshSearch();
+  }
+
   // Re-position title editor if open
   if (isTitleEditorOpen()) {
     positionTitleEditor(editorState.anchorNodeId);
@@ -478,6 +747,82 @@ function setupTitleEditor() {
   });
 }
 
+/* ========== Detail panel (notes / due date / priority / tags) ========== */
+
+const detailState = {
+  nodeId: null
+};
+
+function isDetailPanelOpen() {
+  return !elements.detailPanel.classList.contains("hidden");
+}
+
+function openDetailPanel(nodeId = null) {
+  const state = stateRef.value;
+  const node = nodeId ? activeNode(state, nodeId) : getFocusedNode(state);
+  if (!node) {
+    return;
+  }
+  if (isTitleEditorOpen()) {
+    closeTitleEditor(null);
+  }
+  detailState.nodeId = node.id;
+  elements.detailHeading.textContent = node.title;
+  elements.detailNotes.value = node.notes ?? "";
+  elements.detailDue.value = node.dueDate ?? "";
+  elements.detailPriority.value = node.priority ?? "";
+  elements.detailTags.value = (node.tags ?? []).join(", ");
+  elements.detailPanel.classList.remove("hidden");
+  elements.detailPanel.setAttribute("aria-hidden", "false");
+  setMousePassthrough(false);
+  requestAnimationFrame(() => elements.detailNotes.focus());
+}
+
+function closeDetailPanel() {
+  detailState.nodeId = null;
+  elements.detailPanel.classList.add("hidden");
+  elements.detailPanel.setAttribute("aria-hidden", "true");
+  if (!stateRef.historyOpen && !isTitleEditorOpen()) {
+    setMousePassthrough(true);
+  }
+}
+
+async function saveDetailPanel() {
+  const nodeId = detailState.nodeId;
+  if (!nodeId) {
+    return;
+  }
+  stateRef.value = await window.todoApi.tree.updateNodeDetails(nodeId, {
+    notes: elements.detailNotes.value,
+    dueDate: elements.detailDue.value || null,
+    priority: elements.detailPriority.value || null,
+    tags: elements.detailTags.value
+  });
+  closeDetailPanel();
+  renderTree();
+}
+
+function setupDetailPanel() {
+  elements.detailSave.addEventListener("click", () => {
+    void withGuard(saveDetailPanel);
+  });
+  elements.detailCancel.addEventListener("click", closeDetailPanel);
+  elements.detailClose.addEventListener("click", closeDetailPanel);
+  elements.detailPanel.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      event.stopPropagation();
+      closeDetailPanel();
+      return;
+    }
+    if (event.ctrlKey && event.key === "Enter") {
+      event.preventDefault();
+      event.stopPropagation();
+      void withGuard(saveDetailPanel);
+    }
+  });
+}
+
 /* ========== Tree operations ========== */
 
 async function focusNode(nodeId) {
@@ -553,6 +898,53 @@ async function deleteNode(nodeId = null) {
   showToast("Deleted and returned to parent");
 }
 
+async function moveNode(nodeId, newParentId, index = null) {
+  const result = await window.todoApi.tree.moveNode(nodeId, newParentId, index);
+  stateRef.value = result.state;
+  renderTree();
+}
+
+/** Index in `parent.childrenIds` once `nodeId` has been taken out of it. */
+function indexWithout(parent, nodeId, siblingId) {
+  return parent.childrenIds.filter((id) => id !== nodeId).indexOf(siblingId);
+}
+
+/**
+ * Keyboard moves among active siblings: "up" / "down" reorder, "indent"
+ * makes the node the last child of its previous sibling, "outdent" places
+ * it right after its parent.
+ */
+async function moveFocused(direction) {
+  const state = stateRef.value;
+  const node = getFocusedNode(state);
+  const parent = node?.parentId ? activeNode(state, node.parentId) : null;
+  if (!node || !parent) {
+    return;
+  }
+  const siblings = getChildren(state, parent);
+  const position = siblings.findIndex((sibling) => sibling.id === node.id);
+
+  if (direction === "up" && position > 0) {
+    await moveNode(node.id, parent.id, indexWithout(parent, node.id, siblings[position - 1].id));
+  } else if (direction === "down" && position < siblings.length - 1) {
+    await moveNode(node.id, parent.id, indexWithout(parent, node.id, siblings[position + 1].id) + 1);
+  } else if (direction === "indent" && position > 0) {
+    await moveNode(node.id, siblings[position - 1].id);
+  } else if (direction === "outdent" && parent.parentId) {
+    const grandparent = activeNode(state, parent.parentId);
+    if (grandparent) {
+      await moveNode(node.id, grandparent.id, grandparent.childrenIds.indexOf(parent.id) + 1);
+    }
+  }
+}
+
+async function reopenNode(nodeId) {
+  const result = await window.todoApi.tree.reopenNode(nodeId);
+  stateRef.value = result.state;
+  renderTree();
+  showToast(`↺ ${result.state.nodes[nodeId]?.title ?? ""}`);
+}
+
 async function undo() {
   stateRef.value = await window.todoApi.tree.undo();
   renderTree();
@@ -570,6 +962,77 @@ async function saveSession() {
   showToast("✅ 已保存 — 下次启动将继续当前内容", 3000);
 }
 
+/* ========== Checkpoints ========== */
+
+const checkpointState = {
+  // null 表示新建检查点；否则为正在编辑的快照摘要及其卡片
+  summary: null,
+  card: null
+};
+
+function isCheckpointOpen() {
+  return !elements.checkpointPopup.classList.contains("hidden");
+}
+
+function openCheckpoint(summary = null, card = null) {
+  checkpointState.summary = summary;
+  checkpointState.card = card;
+  elements.checkpointHeading.textContent = summary ? `编辑 ${formatSnapshotDate(summary.id)}` : "创建检查点";
+  elements.checkpointLabel.value = summary?.label ?? "";
+  elements.checkpointDescription.value = summary?.description ?? "";
+  elements.checkpointPopup.classList.remove("hidden");
+  elements.checkpointPopup.setAttribute("aria-hidden", "false");
+  setMousePassthrough(false);
+  requestAnimationFrame(() => elements.checkpointLabel.focus());
+}
+
+function closeCheckpoint() {
+  elements.checkpointPopup.classList.add("hidden");
+  elements.checkpointPopup.setAttribute("aria-hidden", "true");
+  checkpointState.summary = null;
+  checkpointState.card = null;
+  if (!stateRef.historyOpen && !isTitleEditorOpen()) {
+    setMousePassthrough(true);
+  }
+}
+
+async function submitCheckpoint() {
+  const annotation = {
+    label: elements.checkpointLabel.value,
+    description: elements.checkpointDescription.value
+  };
+  const { summary, card } = checkpointState;
+  if (summary) {
+    const updated = await window.todoApi.archive.annotate(summary.id, annotation);
+    card?.replaceWith(buildSnapshotCard({ ...updated, pinned: summary.pinned }));
+    closeCheckpoint();
+    showToast("已更新快照标签");
+    return;
+  }
+  const created = await window.todoApi.session.checkpoint(annotation);
+  closeCheckpoint();
+  showToast(`📍 已创建检查点 ${created.label ?? formatSnapshotDate(created.id)}`, 2500);
+  if (stateRef.historyOpen && stateRef.historyView === "snapshots") {
+    await loadSnapshots();
+  }
+}
+
+function setupCheckpoint() {
+  elements.checkpointSave.addEventListener("click", () => void withGuard(submitCheckpoint));
+  elements.checkpointCancel.addEventListener("click", closeCheckpoint);
+  elements.checkpointPopup.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      event.stopPropagation();
+      closeCheckpoint();
+    } else if (event.key === "Enter" && (event.ctrlKey || event.target === elements.checkpointLabel)) {
+      event.preventDefault();
+      event.stopPropagation();
+      void withGuard(submitCheckpoint);
+    }
+  });
+}
+
 /* ========== History panel ========== */
 
 function toggleHistory(forceValue = null) {
@@ -578,12 +1041,35 @@ function toggleHistory(forceValue = null) {
   elements.historyPanel.setAttribute("aria-hidden", stateRef.historyOpen ? "false" : "true");
   if (stateRef.historyOpen) {
     setMousePassthrough(false);
-    void loadSnapshots();
+    showHistoryView(stateRef.historyView);
   } else if (!isTitleEditorOpen()) {
     setMousePassthrough(true);
   }
 }
 
+function showHistoryView(view) {
+  stateRef.historyView = view;
+  for (const tab of elements.historyTabs) {
+    tab.classList.toggle("active", tab.dataset.view === view);
+  }
+  for (const panel of elements.historyViews) {
+    panel.classList.toggle("hidden", panel.dataset.view !== view);
+  }
+  if (view === "snapshots") {
+    void loadSnapshots();
+  } else if (view === "closed") {
+    renderClosedList();
+  } else if (view === "time") {
+    void loadTimeSessions();
+  } else if (view === "timeline") {
+    void withGuard(loadTimeline);
+  } else if (view === "stats") {
+    void withGuard(renderStats);
+  } else if (view === "search") {
+    requestAnimationFrame(() => elements.archiveSearchInput.focus());
+  }
+}
+
 /**
  * Formats a snapshot ID ("2026-02-21_10-30-00") into a readable date string.
  */
@@ -595,55 +1081,31 @@ function formatSnapshotDate(snapshotId) {
   return `${y}/${mo}/${d}  ${h}:${mi}`;
 }
 
-/**
- * Walks the active nodes of a snapshot state and returns an array of
- * { title, depth } objects (root excluded, depth starts at 0 = top-level tasks).
- */
-function buildMiniTree(snapshotState) {
-  const { nodes, rootId } = snapshotState;
-  const result = [];
-
-  function walk(nodeId, depth) {
-    const node = nodes[nodeId];
-    if (!node || node.status !== "active") return;
-    if (depth > 0) {
-      result.push({ title: node.title, depth: depth - 1 });
-    }
-    for (const childId of node.childrenIds) {
-      walk(childId, depth + 1);
-    }
-  }
-
-  walk(rootId, 0);
-  return result;
-}
-
-/** Counts active (non-root) nodes in a snapshot state. */
-function countActiveTasks(snapshotState) {
-  const { nodes, rootId } = snapshotState;
-  let count = 0;
-  for (const [id, node] of Object.entries(nodes)) {
-    if (id !== rootId && node.status === "active") count++;
-  }
-  return count;
-}
-
 /**
  * Builds a DOM card element for a snapshot entry.
- * snapshotState is the parsed JSON from the .snapshot.json file.
+ * summary is the snapshot's index entry (counts + preview rows); the full
+ * .snapshot.json is only read when the card is expanded.
  */
-function buildSnapshotCard(snapshotId, snapshotState) {
-  const MAX_VISIBLE_ROWS = 6;
+function buildSnapshotCard(summary) {
+  const { id: snapshotId, pinned } = summary;
   const card = document.createElement("div");
-  card.className = "snapshot-card";
+  card.className = `snapshot-card${pinned ? " pinned" : ""}`;
 
-  // ── Header: date  |  restore button  |  badge ──
+  // ── Header: label (or date)  |  actions  |  badge ──
   const header = document.createElement("div");
   header.className = "snapshot-card-header";
 
   const dateEl = document.createElement("span");
   dateEl.className = "snapshot-date";
-  dateEl.textContent = formatSnapshotDate(snapshotId);
+  dateEl.textContent = summary.label ?? formatSnapshotDate(snapshotId);
+  dateEl.title = formatSnapshotDate(snapshotId);
+
+  const editBtn = document.createElement("button");
+  editBtn.type = "button";
+  editBtn.className = "snapshot-icon-btn";
+  editBtn.textContent = "✎";
+  editBtn.title = "修改标签和说明";
+  editBtn.addEventListener("click", () => openCheckpoint(summary, card));
 
   const restoreBtn = document.createElement("button");
   restoreBtn.type = "button";
@@ -653,16 +1115,92 @@ function buildSnapshotCard(snapshotId, snapshotState) {
     void restoreFromSnapshot(snapshotId, restoreBtn);
   });
 
-  const taskCount = countActiveTasks(snapshotState);
+  const exportBtn = document.createElement("button");
+  exportBtn.type = "button";
+  exportBtn.className = "snapshot-restore-btn secondary";
+  exportBtn.textContent = "导出";
+  exportBtn.addEventListener("click", () => openExport(snapshotId));
+
+  const { taskCount, doneCount } = summary;
   const badge = document.createElement("span");
   badge.className = "snapshot-badge";
-  badge.textContent = `${taskCount} 项`;
+  badge.textContent = doneCount > 0 ? `${taskCount} 项 · ✓${doneCount}` : `${taskCount} 项`;
+
+  const compareBtn = document.createElement("button");
+  compareBtn.type = "button";
+  compareBtn.className = "snapshot-restore-btn secondary";
+  compareBtn.textContent = "对比";
+  compareBtn.title = "与当前任务树对比";
+  compareBtn.addEventListener("click", () => void withGuard(() => openDiff(snapshotId)));
+
+  const expandBtn = document.createElement("button");
+  expandBtn.type = "button";
+  expandBtn.className = "snapshot-restore-btn secondary";
+  expandBtn.textContent = "展开";
+  expandBtn.title = "查看完整任务树，挑选子树复制到当前节点下";
+  expandBtn.addEventListener("click", () => {
+    void withGuard(async () => {
+      card.querySelector(".snapshot-picker")?.remove();
+      if (card.classList.contains("expanded")) {
+        card.classList.remove("expanded");
+        expandBtn.textContent = "展开";
+        return;
+      }
+      expandBtn.disabled = true;
+      try {
+        const snapshotState = await window.todoApi.archive.readSnapshot(snapshotId);
+        card.classList.add("expanded");
+        expandBtn.textContent = "收起";
+        card.append(buildSnapshotPicker(snapshotId, snapshotState));
+      } finally {
+        expandBtn.disabled = false;
+      }
+    });
+  });
 
-  header.append(dateEl, restoreBtn, badge);
+  const pinBtn = document.createElement("button");
+  pinBtn.type = "button";
+  pinBtn.className = `snapshot-icon-btn pin${pinned ? " active" : ""}`;
+  pinBtn.textContent = "📌";
+  pinBtn.title = pinned ? "取消固定" : "固定（不会被自动清理）";
+  pinBtn.addEventListener("click", () => void withGuard(() => toggleSnapshotPin(summary, card)));
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.type = "button";
+  deleteBtn.className = "snapshot-icon-btn delete";
+  deleteBtn.textContent = "✕";
+  deleteBtn.title = pinned ? "已固定的快照不能删除" : "删除这个快照";
+  deleteBtn.disabled = pinned;
+  deleteBtn.addEventListener("click", () => void withGuard(() => confirmDeleteSnapshot(snapshotId, deleteBtn, card)));
+
+  if (summary.unreadable) {
+    // 损坏的快照只能修复或删除
+    card.classList.add("damaged");
+    header.append(pinBtn, dateEl, deleteBtn);
+    card.append(header, buildSnapshotRepair(summary, card));
+    return card;
+  }
+
+  header.append(pinBtn, dateEl, editBtn, expandBtn, compareBtn, exportBtn, restoreBtn, badge, deleteBtn);
   card.append(header);
 
+  // ── Label / checkpoint meta ──
+  if (summary.label || summary.checkpoint) {
+    const meta = document.createElement("div");
+    meta.className = "snapshot-meta";
+    meta.textContent = `${summary.checkpoint ? "📍 检查点" : "自动存档"} · ${formatSnapshotDate(snapshotId)}`;
+    card.append(meta);
+  }
+  if (summary.description) {
+    const description = document.createElement("div");
+    description.className = "snapshot-description";
+    description.textContent = summary.description;
+    description.title = summary.description;
+    card.append(description);
+  }
+
   // ── Mini tree ──
-  const treeRows = buildMiniTree(snapshotState);
+  const treeRows = summary.preview;
   if (treeRows.length === 0) {
     const empty = document.createElement("div");
     empty.className = "snapshot-empty";
@@ -671,8 +1209,7 @@ function buildSnapshotCard(snapshotId, snapshotState) {
   } else {
     const tree = document.createElement("div");
     tree.className = "snapshot-tree";
-    const visibleRows = treeRows.slice(0, MAX_VISIBLE_ROWS);
-    for (const { title, depth } of visibleRows) {
+    for (const { title, depth } of treeRows) {
       const row = document.createElement("div");
       row.className = "snapshot-tree-row";
 
@@ -697,10 +1234,10 @@ function buildSnapshotCard(snapshotId, snapshotState) {
     }
     card.append(tree);
 
-    if (treeRows.length > MAX_VISIBLE_ROWS) {
+    if (summary.rowCount > treeRows.length) {
       const more = document.createElement("div");
       more.className = "snapshot-overflow";
-      more.textContent = `…另有 ${treeRows.length - MAX_VISIBLE_ROWS} 项`;
+      more.textContent = `…另有 ${summary.rowCount - treeRows.length} 项`;
       card.append(more);
     }
   }  // ← close else block
@@ -708,55 +1245,1840 @@ function buildSnapshotCard(snapshotId, snapshotState) {
   return card;
 }
 
-async function loadSnapshots() {
-  const list = elements.snapshotList;
-  list.innerHTML = "";
+/** 损坏快照卡片的说明和「修复」按钮：用该会话的事件日志重建快照 */
+function buildSnapshotRepair(summary, card) {
+  const box = document.createElement("div");
+  box.className = "snapshot-damaged";
+
+  const message = document.createElement("span");
+  message.textContent = "⚠ 快照文件已损坏";
+  message.title = summary.problem ?? "";
+
+  const repairBtn = document.createElement("button");
+  repairBtn.type = "button";
+  repairBtn.className = "snapshot-restore-btn";
+  repairBtn.textContent = "修复";
+  repairBtn.title = "用该会话的事件日志重建快照（原文件保留为 .corrupt）";
+  repairBtn.addEventListener("click", () => {
+    void withGuard(async () => {
+      repairBtn.disabled = true;
+      try {
+        const { entry, skipped } = await window.todoApi.archive.repair(summary.id);
+        card.replaceWith(buildSnapshotCard({ ...entry, pinned: summary.pinned }));
+        showToast(skipped > 0 ? `快照已修复，${skipped} 条事件无法应用` : "快照已修复", 3000);
+      } finally {
+        repairBtn.disabled = false;
+      }
+    });
+  });
 
-  let snapshots;
-  try {
-    snapshots = await window.todoApi.archive.listSnapshots();
-  } catch {
-    snapshots = [];
-  }
+  box.append(message, repairBtn);
+  return box;
+}
 
-  if (snapshots.length === 0) {
-    const empty = document.createElement("div");
-    empty.className = "snapshot-no-history";
-    empty.textContent = "暂无历史记录。\n每次启动新会话时，上次的内容会自动存档。";
-    list.append(empty);
-    return;
+/** 快照中未删除的节点（含已完成）按树形顺序展开：[{ node, depth }] */
+function flattenSnapshot(snapshotState) {
+  const { nodes, rootId } = snapshotState;
+  const rows = [];
+  const walk = (nodeId, depth) => {
+    const node = nodes[nodeId];
+    if (!node || node.status === "deleted") return;
+    if (depth > 0) {
+      rows.push({ node, depth: depth - 1 });
+    }
+    for (const childId of node.childrenIds) {
+      walk(childId, depth + 1);
+    }
+  };
+  walk(rootId, 0);
+  return rows;
+}
+
+/**
+ * Expanded snapshot card body: the full tree with selectable rows and a
+ * button that copies the selected subtree under the live focused node.
+ */
+function buildSnapshotPicker(snapshotId, snapshotState) {
+  const picker = document.createElement("div");
+  picker.className = "snapshot-picker";
+  let selectedId = null;
+
+  const tree = document.createElement("div");
+  tree.className = "snapshot-tree";
+  const copyBtn = document.createElement("button");
+  copyBtn.type = "button";
+  copyBtn.className = "snapshot-restore-btn";
+  copyBtn.textContent = "复制到当前节点下";
+  copyBtn.disabled = true;
+
+  for (const { node, depth } of flattenSnapshot(snapshotState)) {
+    const row = document.createElement("div");
+    row.className = `snapshot-tree-row selectable${node.status === "completed" ? " done" : ""}`;
+    row.style.paddingLeft = `${depth * 12}px`;
+    row.title = node.title;
+
+    const dot = document.createElement("span");
+    dot.className = "snapshot-tree-dot";
+    dot.style.color = GRAPH.COLORS[depth % GRAPH.COLORS.length];
+
+    const label = document.createElement("span");
+    label.className = "snapshot-tree-label";
+    label.textContent = node.title;
+
+    row.append(dot, label);
+    row.addEventListener("click", () => {
+      tree.querySelector(".snapshot-tree-row.selected")?.classList.remove("selected");
+      row.classList.add("selected");
+      selectedId = node.id;
+      copyBtn.disabled = false;
+    });
+    tree.append(row);
   }
 
-  // Load all snapshots in parallel for speed
-  const states = await Promise.all(
-    snapshots.map((id) =>
-      window.todoApi.archive.readSnapshot(id).catch(() => null)
-    )
-  );
+  copyBtn.addEventListener("click", () => {
+    if (!selectedId) return;
+    copyBtn.disabled = true;
+    void withGuard(() => cherryPickFromSnapshot(snapshotId, selectedId)).finally(() => {
+      copyBtn.disabled = false;
+    });
+  });
 
-  for (let i = 0; i < snapshots.length; i++) {
-    const state = states[i];
-    if (!state) continue;
-    list.append(buildSnapshotCard(snapshots[i], state));
-  }
+  const actions = document.createElement("div");
+  actions.className = "snapshot-picker-actions";
+  actions.append(copyBtn);
+  picker.append(tree, actions);
+  return picker;
 }
 
-async function restoreFromSnapshot(snapshotId, btn) {
-  if (btn) btn.disabled = true;
-  try {
-    const newState = await window.todoApi.session.restore(snapshotId);
-    stateRef.value = newState;
-    renderTree();
-    toggleHistory(false);
-    showToast("✅ 已恢复历史记录", 3000);
-  } catch (err) {
-    showToast(`恢复失败: ${err.message}`, 5000);
-    if (btn) btn.disabled = false;
+/** 把快照中的一棵子树（新 id）复制到当前聚焦节点下，可一次撤销 */
+async function cherryPickFromSnapshot(snapshotId, nodeId) {
+  const target = getFocusedNode(stateRef.value);
+  if (!target) {
+    return;
   }
+  const result = await window.todoApi.tree.importFromSnapshot(snapshotId, nodeId, target.id);
+  stateRef.value = result.state;
+  renderTree();
+  showToast(`📥 已复制 ${result.createdIds.length} 项到「${target.title}」下`, 2500);
 }
 
-function setupHistory() {
+const DELETE_CONFIRM_MS = 3000;
+const RETENTION_FIELDS = [
+  { key: "keepLast", label: "最近", unit: "个" },
+  { key: "keepDaily", label: "每天一个，共", unit: "天" },
+  { key: "keepWeekly", label: "每周一个，共", unit: "周" },
+  { key: "maxTotalMB", label: "总大小上限", unit: "MB" }
+];
+
+// 就地替换卡片，不重新加载列表，保留滚动位置和已加载的页
+async function toggleSnapshotPin(summary, card) {
+  const pinned = !summary.pinned;
+  await window.todoApi.archive.pin(summary.id, pinned);
+  card.replaceWith(buildSnapshotCard({ ...summary, pinned }));
+}
+
+/** 第一次点击进入确认状态，DELETE_CONFIRM_MS 内再次点击才真正删除 */
+async function confirmDeleteSnapshot(snapshotId, btn, card) {
+  if (!btn.classList.contains("confirm")) {
+    btn.classList.add("confirm");
+    btn.textContent = "删除?";
+    setTimeout(() => {
+      btn.classList.remove("confirm");
+      btn.textContent = "✕";
+    }, DELETE_CONFIRM_MS);
+    return;
+  }
+  btn.disabled = true;
+  await window.todoApi.archive.delete(snapshotId);
+  showToast(`🗑 已删除 ${formatSnapshotDate(snapshotId)}`);
+  card.remove();
+  snapshotPaging.offset = Math.max(0, snapshotPaging.offset - 1);
+  snapshotPaging.total = Math.max(0, snapshotPaging.total - 1);
+}
+
+/** 快照列表顶部的保留策略设置（默认折叠）；保存过一次后才会自动清理 */
+function buildRetentionSettings(retention, enabled) {
+  const details = document.createElement("details");
+  details.className = "retention-settings";
+  const summary = document.createElement("summary");
+  summary.textContent = "保留策略";
+  details.append(summary);
+
+  const inputs = {};
+  for (const { key, label, unit } of RETENTION_FIELDS) {
+    const row = document.createElement("label");
+    row.className = "retention-row";
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = "0";
+    input.className = "detail-input";
+    input.value = `${retention[key]}`;
+    inputs[key] = input;
+    row.append(label, input, unit);
+    details.append(row);
+  }
+
+  const hint = document.createElement("div");
+  hint.className = "retention-hint";
+  hint.textContent = `${enabled ? "" : "自动清理尚未启用，保存后生效。"}0 表示不启用该规则。固定的快照始终保留；清理在每次启动新会话时进行。`;
+
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "snapshot-restore-btn";
+  saveBtn.textContent = "保存";
+  saveBtn.addEventListener("click", () => {
+    void withGuard(async () => {
+      const next = Object.fromEntries(Object.entries(inputs).map(([key, input]) => [key, input.value]));
+      await window.todoApi.archive.setRetention(next);
+      hint.textContent = "0 表示不启用该规则。固定的快照始终保留；清理在每次启动新会话时进行。";
+      showToast("已保存保留策略");
+    });
+  });
+  details.append(hint, saveBtn);
+  return details;
+}
+
+const SNAPSHOT_PAGE_SIZE = 20;
+// 列表中最多保留这么多张卡片；继续滚动时丢弃另一端的卡片，往回滚动时再重新加载
+const SNAPSHOT_MAX_RENDERED = SNAPSHOT_PAGE_SIZE * 4;
+
+const snapshotPaging = {
+  // 已渲染卡片在完整列表中的范围 [start, offset)
+  start: 0,
+  offset: 0,
+  total: 0,
+  loading: false,
+  // 每次重新加载都换一个 token，丢弃旧请求返回的页
+  token: 0,
+  observer: null,
+  topSentinel: null,
+  sentinel: null
+};
+
+async function loadSnapshots() {
+  const list = elements.snapshotList;
+  list.innerHTML = "";
+  snapshotPaging.observer?.disconnect();
+  snapshotPaging.start = 0;
+  snapshotPaging.offset = 0;
+  snapshotPaging.total = 0;
+  snapshotPaging.loading = false;
+  snapshotPaging.token += 1;
+
+  let settings = null;
+  try {
+    settings = await window.todoApi.archive.getSettings();
+  } catch {
+    // 设置读取失败时仍然显示快照列表
+  }
+  if (settings) {
+    list.append(buildRetentionSettings(settings.retention, settings.retentionEnabled));
+  }
+
+  const topSentinel = document.createElement("div");
+  topSentinel.className = "snapshot-sentinel";
+  const sentinel = document.createElement("div");
+  sentinel.className = "snapshot-sentinel";
+  list.append(topSentinel, sentinel);
+  snapshotPaging.topSentinel = topSentinel;
+  snapshotPaging.sentinel = sentinel;
+  await loadSnapshotPage();
+
+  if (snapshotPaging.total === 0) {
+    const empty = document.createElement("div");
+    empty.className = "snapshot-no-history";
+    empty.textContent = "暂无历史记录。\n每次启动新会话时，上次的内容会自动存档。";
+    list.insertBefore(empty, sentinel);
+    return;
+  }
+
+  // 滚动到列表底部附近时加载下一页，回到顶部附近时重新加载之前丢弃的页
+  snapshotPaging.observer = new IntersectionObserver(
+    (entries) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) {
+          continue;
+        }
+        if (entry.target === sentinel) {
+          void withGuard(() => loadSnapshotPage());
+        } else {
+          void withGuard(() => loadPreviousSnapshotPage());
+        }
+      }
+    },
+    { root: list, rootMargin: "200px" }
+  );
+  snapshotPaging.observer.observe(topSentinel);
+  snapshotPaging.observer.observe(sentinel);
+}
+
+function renderedSnapshotCards() {
+  return [...elements.snapshotList.querySelectorAll(".snapshot-card")];
+}
+
+/** 增删 mutate 中的卡片，并调整 scrollTop，使 anchor 卡片在屏幕上的位置不变 */
+function keepSnapshotScroll(anchor, mutate) {
+  const list = elements.snapshotList;
+  const before = anchor?.offsetTop ?? 0;
+  mutate();
+  if (anchor?.isConnected) {
+    list.scrollTop += anchor.offsetTop - before;
+  }
+}
+
+async function loadSnapshotPage() {
+  if (snapshotPaging.loading || (snapshotPaging.offset > 0 && snapshotPaging.offset >= snapshotPaging.total)) {
+    return;
+  }
+  snapshotPaging.loading = true;
+  const token = snapshotPaging.token;
+  try {
+    const page = await window.todoApi.archive.listSummaries(snapshotPaging.offset, SNAPSHOT_PAGE_SIZE);
+    if (token !== snapshotPaging.token) {
+      return;
+    }
+    snapshotPaging.total = page.total;
+    snapshotPaging.offset += page.entries.length;
+    for (const summary of page.entries) {
+      snapshotPaging.sentinel.before(buildSnapshotCard(summary));
+    }
+    // 超出上限时从顶部丢弃整页
+    const cards = renderedSnapshotCards();
+    const excess = cards.length - SNAPSHOT_MAX_RENDERED;
+    if (excess > 0) {
+      const dropped = cards.slice(0, Math.ceil(excess / SNAPSHOT_PAGE_SIZE) * SNAPSHOT_PAGE_SIZE);
+      keepSnapshotScroll(cards[dropped.length], () => dropped.forEach((card) => card.remove()));
+      snapshotPaging.start += dropped.length;
+    }
+  } finally {
+    if (token === snapshotPaging.token) {
+      snapshotPaging.loading = false;
+    }
+  }
+}
+
+async function loadPreviousSnapshotPage() {
+  if (snapshotPaging.loading || snapshotPaging.start === 0) {
+    return;
+  }
+  snapshotPaging.loading = true;
+  const token = snapshotPaging.token;
+  try {
+    const from = Math.max(0, snapshotPaging.start - SNAPSHOT_PAGE_SIZE);
+    const page = await window.todoApi.archive.listSummaries(from, snapshotPaging.start - from);
+    if (token !== snapshotPaging.token) {
+      return;
+    }
+    snapshotPaging.total = page.total;
+    const cards = renderedSnapshotCards();
+    keepSnapshotScroll(cards[0], () => snapshotPaging.topSentinel.after(...page.entries.map(buildSnapshotCard)));
+    snapshotPaging.start = from;
+    // 从底部丢弃同样多的卡片
+    const excess = cards.length + page.entries.length - SNAPSHOT_MAX_RENDERED;
+    if (excess > 0) {
+      cards.slice(-excess).forEach((card) => card.remove());
+      snapshotPaging.offset -= excess;
+    }
+  } finally {
+    if (token === snapshotPaging.token) {
+      snapshotPaging.loading = false;
+    }
+  }
+}
+
+async function restoreFromSnapshot(snapshotId, btn, focusNodeId = null) {
+  if (btn) btn.disabled = true;
+  try {
+    const newState = await window.todoApi.session.restore(snapshotId);
+    stateRef.value = newState;
+    renderTree();
+    // 从搜索结果恢复时直接定位到命中的任务
+    if (focusNodeId && activeNode(newState, focusNodeId)) {
+      await focusNode(focusNodeId);
+    }
+    toggleHistory(false);
+    showToast("✅ 已恢复历史记录", 3000);
+  } catch (err) {
+    showToast(`恢复失败: ${err.message}`, 5000);
+    if (btn) btn.disabled = false;
+  }
+}
+
+/* ========== Done / trash view ========== */
+
+function closedAtOf(node) {
+  return node.completedAt ?? node.deletedAt ?? node.updatedAt;
+}
+
+/** 一起关闭的节点共用 closeBatch；旧文件里没有时按关闭时间判断 */
+function closeBatchOf(node) {
+  return node.closeBatch ?? closedAtOf(node);
+}
+
+/**
+ * Lists the nodes that started a completion or deletion: descendants closed
+ * together with their ancestor are restored with it and are not listed.
+ */
+function collectClosedHeads(state) {
+  const heads = [];
+  for (const node of Object.values(state.nodes)) {
+    if (node.status === "active" || node.id === state.rootId) continue;
+    const parent = node.parentId ? state.nodes[node.parentId] : null;
+    const closedWithParent = parent && parent.status === node.status && closeBatchOf(parent) === closeBatchOf(node);
+    if (!closedWithParent) {
+      heads.push(node);
+    }
+  }
+  return heads.sort((a, b) => closedAtOf(b).localeCompare(closedAtOf(a)));
+}
+
+function formatIsoTime(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return "";
+  const pad = (n) => `${n}`.padStart(2, "0");
+  return `${pad(date.getMonth() + 1)}/${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function buildClosedRow(node) {
+  const row = document.createElement("div");
+  row.className = `closed-row ${node.status}`;
+
+  const mark = document.createElement("span");
+  mark.className = "closed-mark";
+  mark.textContent = node.status === "completed" ? "✓" : "✕";
+
+  const label = document.createElement("span");
+  label.className = "closed-title";
+  label.textContent = node.title;
+  label.title = node.title;
+
+  const time = document.createElement("span");
+  time.className = "closed-time";
+  time.textContent = formatIsoTime(closedAtOf(node));
+
+  const restoreBtn = document.createElement("button");
+  restoreBtn.type = "button";
+  restoreBtn.className = "snapshot-restore-btn";
+  restoreBtn.textContent = "恢复";
+  restoreBtn.addEventListener("click", () => {
+    restoreBtn.disabled = true;
+    void withGuard(() => reopenNode(node.id));
+  });
+
+  row.append(mark, label, time, restoreBtn);
+  return row;
+}
+
+function renderClosedList() {
+  const list = elements.closedList;
+  list.innerHTML = "";
+  const state = stateRef.value;
+  const heads = state ? collectClosedHeads(state) : [];
+
+  if (heads.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "snapshot-no-history";
+    empty.textContent = "当前会话还没有完成或删除的任务。";
+    list.append(empty);
+    return;
+  }
+
+  const groups = [
+    { status: "completed", label: "已完成" },
+    { status: "deleted", label: "回收站" }
+  ];
+  for (const { status, label } of groups) {
+    const nodes = heads.filter((node) => node.status === status);
+    if (nodes.length === 0) continue;
+    const heading = document.createElement("div");
+    heading.className = "closed-group-title";
+    heading.textContent = `${label} · ${nodes.length}`;
+    list.append(heading);
+    for (const node of nodes) {
+      list.append(buildClosedRow(node));
+    }
+  }
+}
+
+/* ========== Time report view ========== */
+
+/** 用本工作区的会话列表填充下拉框，当前会话排在最前并默认选中 */
+async function fillSessionSelect(select) {
+  const currentId = stateRef.value?.sessionId;
+  let sessions;
+  try {
+    sessions = await window.todoApi.archive.listSessions();
+  } catch {
+    sessions = [];
+  }
+  select.innerHTML = "";
+  for (const sessionId of [currentId, ...sessions.filter((id) => id !== currentId)]) {
+    if (!sessionId) continue;
+    const option = document.createElement("option");
+    option.value = sessionId;
+    option.textContent = sessionId === currentId ? `当前会话 · ${formatSnapshotDate(sessionId)}` : formatSnapshotDate(sessionId);
+    select.append(option);
+  }
+}
+
+async function loadTimeSessions() {
+  await fillSessionSelect(elements.timeSessionSelect);
+  await renderTimeReport(elements.timeSessionSelect.value || null);
+}
+
+async function renderTimeReport(sessionId) {
+  const list = elements.timeReportRows;
+  const report = await window.todoApi.time.getReport(sessionId);
+  list.innerHTML = "";
+
+  if (report.rows.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "snapshot-no-history";
+    empty.textContent = "这个会话还没有计时记录。";
+    list.append(empty);
+    return;
+  }
+
+  const summary = document.createElement("div");
+  summary.className = "closed-group-title";
+  summary.textContent = `合计 ${formatDuration(report.totalMs)}`;
+  list.append(summary);
+
+  for (const row of report.rows) {
+    const el = document.createElement("div");
+    el.className = `time-row ${row.status}${row.nodeId === report.running ? " running" : ""}`;
+    el.style.paddingLeft = `${8 + row.depth * 10}px`;
+
+    const label = document.createElement("span");
+    label.className = "closed-title";
+    label.textContent = row.title;
+    label.title = row.title;
+
+    const self = document.createElement("span");
+    self.className = "time-self";
+    self.textContent = formatDuration(row.selfMs);
+    self.title = "本任务";
+
+    const total = document.createElement("span");
+    total.className = "time-total";
+    total.textContent = formatDuration(row.totalMs);
+    total.title = "含子任务";
+
+    el.append(label, self, total);
+    list.append(el);
+  }
+}
+
+/* ========== Stats view ========== */
+
+const STATS_CHART_H = 120;
+const STATS_COLORS = { created: "#4078c0", completed: "#40b060", text: "rgba(160, 195, 255, 0.7)", grid: "rgba(96, 118, 160, 0.25)" };
+
+/** 完成用时可能跨越多天：超过一天时按天显示，否则同 formatDuration */
+function formatSpan(ms) {
+  const days = ms / (24 * 60 * 60 * 1000);
+  return days >= 1 ? `${days.toFixed(days >= 10 ? 0 : 1)} 天` : formatDuration(ms);
+}
+
+function createStatsTile(value, label, title = "") {
+  const tile = document.createElement("div");
+  tile.className = "stats-tile";
+  tile.title = title;
+  const valueEl = document.createElement("span");
+  valueEl.className = "stats-value";
+  valueEl.textContent = value;
+  const labelEl = document.createElement("span");
+  labelEl.className = "stats-label";
+  labelEl.textContent = label;
+  tile.append(valueEl, labelEl);
+  return tile;
+}
+
+async function renderStats() {
+  const stats = await window.todoApi.stats.get(Number(elements.statsRange.value));
+  const { week, totals, deepest, streaks } = stats;
+
+  elements.statsSummary.innerHTML = "";
+  elements.statsSummary.append(
+    createStatsTile(`${week.completed}`, "近 7 天完成", `近 7 天新增 ${week.created} 项`),
+    createStatsTile(
+      stats.averageCompletionMs === null ? "—" : formatSpan(stats.averageCompletionMs),
+      "平均完成用时",
+      "从创建到完成的平均时间"
+    ),
+    createStatsTile(`${deepest.depth}`, "最深层级", deepest.path.join(" › ")),
+    createStatsTile(`${streaks.current} 天`, "连续完成", `最长连续 ${streaks.longest} 天`),
+    createStatsTile(
+      `${totals.completed} / ${totals.created}`,
+      "已完成 / 全部",
+      `进行中 ${totals.open} · 已删除 ${totals.deleted}`
+    )
+  );
+
+  drawStatsChart(stats.daily);
+  renderAbandoned(stats.abandoned);
+}
+
+/** 每天两根柱子：新增（蓝）与完成（绿） */
+function drawStatsChart(daily) {
+  const canvas = elements.statsChart;
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 280;
+  const height = STATS_CHART_H;
+  canvas.width = width * dpr;
+  canvas.height = height * dpr;
+  canvas.style.height = `${height}px`;
+
+  const ctx = canvas.getContext("2d");
+  ctx.scale(dpr, dpr);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "10px system-ui, sans-serif";
+  ctx.textBaseline = "top";
+
+  const top = 16;
+  const bottom = height - 14;
+  const left = 4;
+  const slot = (width - left * 2) / Math.max(daily.length, 1);
+  const peak = Math.max(1, ...daily.map((day) => Math.max(day.created, day.completed)));
+  const barH = (value) => ((bottom - top) * value) / peak;
+
+  // 图例和最大值
+  ctx.fillStyle = STATS_COLORS.text;
+  ctx.textAlign = "left";
+  ctx.fillText(`最多 ${peak}`, left, 0);
+  ctx.textAlign = "right";
+  ctx.fillStyle = STATS_COLORS.completed;
+  ctx.fillText("■ 完成", width - left, 0);
+  ctx.fillStyle = STATS_COLORS.created;
+  ctx.fillText("■ 新增", width - left - 44, 0);
+
+  ctx.strokeStyle = STATS_COLORS.grid;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(left, bottom + 0.5);
+  ctx.lineTo(width - left, bottom + 0.5);
+  ctx.stroke();
+
+  const barW = Math.max(1, (slot - 2) / 2);
+  daily.forEach((day, i) => {
+    const x = left + i * slot + 1;
+    ctx.fillStyle = STATS_COLORS.created;
+    ctx.fillRect(x, bottom - barH(day.created), barW, barH(day.created));
+    ctx.fillStyle = STATS_COLORS.completed;
+    ctx.fillRect(x + barW, bottom - barH(day.completed), barW, barH(day.completed));
+  });
+
+  // 首尾日期
+  const shortDay = (key) => key.slice(5).replace("-", "/");
+  ctx.fillStyle = STATS_COLORS.text;
+  ctx.textBaseline = "bottom";
+  ctx.textAlign = "left";
+  ctx.fillText(shortDay(daily[0]?.day ?? ""), left, height);
+  ctx.textAlign = "right";
+  ctx.fillText(shortDay(daily.at(-1)?.day ?? ""), width - left, height);
+}
+
+function renderAbandoned(abandoned) {
+  const list = elements.statsAbandoned;
+  list.innerHTML = "";
+  const heading = document.createElement("div");
+  heading.className = "closed-group-title";
+  heading.textContent = "放弃最多的分支";
+  list.append(heading);
+
+  if (abandoned.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "snapshot-no-history";
+    empty.textContent = "还没有删除过任务。";
+    list.append(empty);
+    return;
+  }
+  for (const entry of abandoned) {
+    const row = document.createElement("div");
+    row.className = "time-row";
+    const label = document.createElement("span");
+    label.className = "closed-title";
+    label.textContent = entry.title === null ? "顶层" : entry.path.join(" › ");
+    label.title = label.textContent;
+    const count = document.createElement("span");
+    count.className = "time-total";
+    count.textContent = `${entry.branches} 支 · ${entry.tasks} 项`;
+    count.title = `删除了 ${entry.branches} 个分支，共 ${entry.tasks} 项任务`;
+    row.append(label, count);
+    list.append(row);
+  }
+}
+
+/* ========== Snapshot diff view ========== */
+
+const DIFF_LABELS = {
+  added: "新增",
+  removed: "移除",
+  renamed: "改名",
+  moved: "移动",
+  completed: "完成",
+  reopened: "重新打开"
+};
+const DIFF_MARKS = { added: "+", removed: "−", renamed: "✎", moved: "↪", completed: "✓", reopened: "↺" };
+
+const diffState = {
+  snapshotId: null
+};
+
+/** 打开对比视图：snapshotId 为旧状态，对比对象默认是当前任务树 */
+async function openDiff(snapshotId) {
+  diffState.snapshotId = snapshotId;
+  elements.diffTitle.textContent = `${formatSnapshotDate(snapshotId)} →`;
+  const select = elements.diffTarget;
+  select.innerHTML = "";
+  const live = document.createElement("option");
+  live.value = "";
+  live.textContent = "当前任务树";
+  select.append(live);
+  for (const id of await window.todoApi.archive.listSnapshots()) {
+    if (id === snapshotId) continue;
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = formatSnapshotDate(id);
+    select.append(option);
+  }
+  showHistoryView("diff");
+  await renderDiff();
+}
+
+function buildDiffRow(row) {
+  const el = document.createElement("div");
+  el.className = `diff-row ${row.kinds.join(" ")}${row.kinds.length > 0 ? " changed" : ""}`;
+  el.style.paddingLeft = `${8 + row.depth * 10}px`;
+
+  const mark = document.createElement("span");
+  mark.className = "closed-mark";
+  mark.textContent = row.kinds.map((kind) => DIFF_MARKS[kind]).join("") || "·";
+
+  const label = document.createElement("span");
+  label.className = "closed-title";
+  label.textContent = row.title;
+  label.title = row.kinds.map((kind) => DIFF_LABELS[kind]).join(" · ") || row.title;
+  el.append(mark, label);
+
+  const notes = [];
+  if (row.oldTitle !== null) notes.push(`原名 ${row.oldTitle}`);
+  if (row.kinds.includes("moved")) notes.push(`来自 ${row.fromParentTitle ?? "顶层"}`);
+  if (notes.length > 0) {
+    const note = document.createElement("span");
+    note.className = "diff-note";
+    note.textContent = notes.join(" · ");
+    note.title = note.textContent;
+    el.append(note);
+  }
+  return el;
+}
+
+async function renderDiff() {
+  const { summary, rows } = await window.todoApi.archive.compare(diffState.snapshotId, elements.diffTarget.value || null);
+  elements.diffSummary.innerHTML = "";
+  for (const [kind, count] of Object.entries(summary)) {
+    if (count === 0) continue;
+    const chip = document.createElement("span");
+    chip.className = `diff-chip diff-${kind}`;
+    chip.textContent = `${DIFF_LABELS[kind]} ${count}`;
+    elements.diffSummary.append(chip);
+  }
+
+  const list = elements.diffRows;
+  list.innerHTML = "";
+  if (!rows.some((row) => row.kinds.length > 0)) {
+    const empty = document.createElement("div");
+    empty.className = "snapshot-no-history";
+    empty.textContent = "两边的任务树没有差别。";
+    list.append(empty);
+    return;
+  }
+  for (const row of rows) {
+    list.append(buildDiffRow(row));
+  }
+}
+
+/* ========== Archive search view ========== */
+
+const ARCHIVE_SEARCH_DELAY_MS = 300;
+const ARCHIVE_SOURCE_LABELS = { snapshot: "快照", events: "日志" };
+const ARCHIVE_STATUS_MARKS = { active: "•", completed: "✓", deleted: "✕" };
+
+let archiveSearchTimer = null;
+
+function buildArchiveHit(hit) {
+  const row = document.createElement("div");
+  row.className = `archive-hit ${hit.status ?? hit.source}`;
+
+  const head = document.createElement("div");
+  head.className = "archive-hit-head";
+
+  const mark = document.createElement("span");
+  mark.className = "closed-mark";
+  mark.textContent = ARCHIVE_STATUS_MARKS[hit.status] ?? "↺";
+
+  const label = document.createElement("span");
+  label.className = "closed-title";
+  label.textContent = hit.title;
+  label.title = hit.source === "events" ? "来自事件日志（可能已改名或删除）" : hit.title;
+
+  const when = document.createElement("span");
+  when.className = "closed-time";
+  when.textContent = `${ARCHIVE_SOURCE_LABELS[hit.source]} · ${formatSnapshotDate(hit.snapshotId ?? hit.sessionId)}`;
+
+  head.append(mark, label, when);
+
+  if (hit.snapshotId) {
+    const restoreBtn = document.createElement("button");
+    restoreBtn.type = "button";
+    restoreBtn.className = "snapshot-restore-btn";
+    restoreBtn.textContent = "恢复";
+    restoreBtn.title = `恢复 ${formatSnapshotDate(hit.snapshotId)} 的快照`;
+    restoreBtn.addEventListener("click", () => {
+      void restoreFromSnapshot(hit.snapshotId, restoreBtn, hit.nodeId);
+    });
+    head.append(restoreBtn);
+  }
+  row.append(head);
+
+  if (hit.path.length > 0) {
+    const path = document.createElement("div");
+    path.className = "archive-hit-path";
+    path.textContent = hit.path.join(" › ");
+    path.title = path.textContent;
+    row.append(path);
+  }
+  return row;
+}
+
+async function renderArchiveSearch() {
+  const list = elements.archiveSearchResults;
+  const query = elements.archiveSearchInput.value.trim();
+  if (!query) {
+    list.innerHTML = "";
+    return;
+  }
+  const { results, truncated } = await window.todoApi.archive.search(query, {
+    from: elements.archiveSearchFrom.value || null,
+    to: elements.archiveSearchTo.value || null
+  });
+  // 输入已变化时丢弃过期结果
+  if (query !== elements.archiveSearchInput.value.trim()) {
+    return;
+  }
+  list.innerHTML = "";
+
+  if (results.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "snapshot-no-history";
+    empty.textContent = "没有找到匹配的历史任务。";
+    list.append(empty);
+    return;
+  }
+
+  const summary = document.createElement("div");
+  summary.className = "closed-group-title";
+  summary.textContent = truncated ? `前 ${results.length} 条结果` : `${results.length} 条结果`;
+  list.append(summary);
+  for (const hit of results) {
+    list.append(buildArchiveHit(hit));
+  }
+}
+
+function scheduleArchiveSearch() {
+  clearTimeout(archiveSearchTimer);
+  archiveSearchTimer = setTimeout(() => void withGuard(renderArchiveSearch), ARCHIVE_SEARCH_DELAY_MS);
+}
+
+/* ========== Timeline view ========== */
+
+// 过滤按钮按此顺序显示；聚焦事件数量多、信息少，默认隐藏
+const TIMELINE_CATEGORIES = [
+  { key: "add", label: "新增", actions: ["ADD_CHILD", "ADD_SIBLING", "IMPORT_SUBTREE"] },
+  { key: "rename", label: "改名", actions: ["RENAME_NODE"] },
+  { key: "close", label: "完成 / 删除", actions: ["COMPLETE_NODE", "DELETE_NODE", "REOPEN_NODE"] },
+  { key: "edit", label: "详情 / 移动", actions: ["UPDATE_NODE_DETAILS", "MOVE_NODE"] },
+  { key: "history", label: "撤销 / 重做", actions: ["UNDO", "REDO"] },
+  {
+    key: "session",
+    label: "保存 / 会话",
+    actions: [
+      "SESSION_START",
+      "SESSION_RESUME",
+      "SESSION_SAVE",
+      "SESSION_RESTORED_FROM",
+      "SESSION_RECOVERED",
+      "CHECKPOINT",
+      "WORKSPACE_SWITCH"
+    ]
+  },
+  { key: "focus", label: "聚焦", actions: ["FOCUS_NODE"] }
+];
+// 这些类别的事件指向一个具体任务，点击可在图中定位
+const TIMELINE_NODE_CATEGORIES = new Set(["add", "rename", "close", "edit", "focus"]);
+const TIMELINE_MAX_ROWS = 1000;
+const DETAIL_LABELS = { notes: "备注", dueDate: "截止日期", priority: "优先级", tags: "标签" };
+
+const timelineState = {
+  sessionId: null,
+  events: [],
+  hidden: new Set(["focus"])
+};
+
+function timelineCategory(action) {
+  return TIMELINE_CATEGORIES.find((category) => category.actions.includes(action))?.key ?? "session";
+}
+
+/** 事件 → { icon, text }，文字描述对应的操作 */
+function describeEvent(event) {
+  const title = `「${event.title ?? ""}」`;
+  switch (event.action) {
+    case "ADD_CHILD":
+    case "ADD_SIBLING":
+      return { icon: "＋", text: `新增${title}` };
+    case "IMPORT_SUBTREE":
+      return {
+        icon: "＋",
+        text: event.source === "snapshot" ? `从快照复制 ${event.count ?? 0} 项到${title}下` : `导入 ${event.count ?? 0} 项到${title}下`
+      };
+    case "RENAME_NODE":
+      return { icon: "✎", text: event.oldTitle ? `「${event.oldTitle}」改名为${title}` : `改名为${title}` };
+    case "UPDATE_NODE_DETAILS": {
+      const keys = Object.keys(event.details ?? {}).map((key) => DETAIL_LABELS[key] ?? key);
+      return { icon: "✎", text: `修改${title}的${keys.join("、") || "详情"}` };
+    }
+    case "MOVE_NODE":
+      return { icon: "↔", text: `移动${title}` };
+    case "COMPLETE_NODE":
+      return { icon: "✓", text: `完成${title}` };
+    case "DELETE_NODE":
+      return { icon: "✕", text: `删除${title}` };
+    case "REOPEN_NODE":
+      return { icon: "↺", text: `重新打开${title}` };
+    case "FOCUS_NODE":
+      return { icon: "◎", text: `聚焦${title}` };
+    case "UNDO":
+      return { icon: "↶", text: "撤销" };
+    case "REDO":
+      return { icon: "↷", text: "重做" };
+    case "SESSION_START":
+      return { icon: "●", text: "新会话开始" };
+    case "SESSION_RESUME":
+      return { icon: "▶", text: "继续上次的会话" };
+    case "SESSION_SAVE":
+      return { icon: "💾", text: "保存会话" };
+    case "SESSION_RESTORED_FROM":
+      if (event.branchedFrom) {
+        return {
+          icon: "⑂",
+          text: `从 ${formatSnapshotDate(event.branchedFrom.sessionId ?? "")} 会话的第 ${event.branchedFrom.eventIndex} 步分支`
+        };
+      }
+      return { icon: "⟲", text: `从 ${formatSnapshotDate(event.snapshotId ?? "")} 的快照恢复` };
+    case "SESSION_RECOVERED":
+      return { icon: "⚠", text: `会话文件已从${RECOVERY_SOURCES[event.source] ?? event.source}修复` };
+    case "CHECKPOINT":
+      return { icon: "📍", text: `创建检查点${title}` };
+    case "WORKSPACE_SWITCH":
+      return { icon: "⇄", text: `切换到工作区「${event.workspace ?? ""}」` };
+    default:
+      return { icon: "·", text: `${event.action} ${event.title ?? ""}`.trim() };
+  }
+}
+
+/** 事件时间戳 → { day: "2026/01/31", time: "09:30:05" }（本地时间） */
+function eventClock(ts) {
+  const date = new Date(ts);
+  if (Number.isNaN(date.getTime())) {
+    return { day: "未知日期", time: "" };
+  }
+  const pad = (value) => `${value}`.padStart(2, "0");
+  return {
+    day: `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+  };
+}
+
+async function loadTimeline() {
+  await fillSessionSelect(elements.timelineSession);
+  renderTimelineFilters();
+  await selectTimelineSession(elements.timelineSession.value || null);
+}
+
+async function selectTimelineSession(sessionId) {
+  timelineState.sessionId = sessionId;
+  timelineState.events = sessionId ? await window.todoApi.archive.readEvents(sessionId) : [];
+  renderTimeline();
+}
+
+function renderTimelineFilters() {
+  const box = elements.timelineFilters;
+  box.innerHTML = "";
+  for (const { key, label } of TIMELINE_CATEGORIES) {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = `timeline-chip${timelineState.hidden.has(key) ? "" : " active"}`;
+    chip.textContent = label;
+    chip.addEventListener("click", () => {
+      if (!timelineState.hidden.delete(key)) {
+        timelineState.hidden.add(key);
+      }
+      chip.classList.toggle("active", !timelineState.hidden.has(key));
+      renderTimeline();
+    });
+    box.append(chip);
+  }
+}
+
+function renderTimeline() {
+  const list = elements.timelineRows;
+  const query = elements.timelineQuery.value.trim().toLowerCase();
+  const matches = timelineState.events.filter((event) => {
+    if (timelineState.hidden.has(timelineCategory(event.action))) {
+      return false;
+    }
+    if (!query) {
+      return true;
+    }
+    return [event.title, event.oldTitle].some((title) => `${title ?? ""}`.toLowerCase().includes(query));
+  });
+  list.innerHTML = "";
+
+  if (matches.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "snapshot-no-history";
+    empty.textContent = timelineState.events.length === 0 ? "这个会话没有事件记录。" : "没有符合筛选条件的事件。";
+    list.append(empty);
+    return;
+  }
+
+  // 只渲染最近的 TIMELINE_MAX_ROWS 条，按时间先后排列
+  const shown = matches.slice(-TIMELINE_MAX_ROWS);
+  if (shown.length < matches.length) {
+    const note = document.createElement("div");
+    note.className = "snapshot-overflow";
+    note.textContent = `仅显示最近 ${shown.length} 条（共 ${matches.length} 条）`;
+    list.append(note);
+  }
+  let currentDay = null;
+  for (const event of shown) {
+    const { day, time } = eventClock(event.ts);
+    if (day !== currentDay) {
+      currentDay = day;
+      const heading = document.createElement("div");
+      heading.className = "closed-group-title";
+      heading.textContent = day;
+      list.append(heading);
+    }
+    list.append(buildTimelineRow(event, time));
+  }
+}
+
+function buildTimelineRow(event, time) {
+  const category = timelineCategory(event.action);
+  const { icon, text } = describeEvent(event);
+  const row = document.createElement("div");
+  row.className = `timeline-row ${category}`;
+  row.dataset.action = event.action;
+
+  const clock = document.createElement("span");
+  clock.className = "closed-time";
+  clock.textContent = time;
+
+  const mark = document.createElement("span");
+  mark.className = "closed-mark";
+  mark.textContent = icon;
+
+  const label = document.createElement("span");
+  label.className = "closed-title";
+  label.textContent = text;
+  label.title = text;
+
+  row.append(clock, mark, label);
+  if (TIMELINE_NODE_CATEGORIES.has(category) && event.nodeId) {
+    row.classList.add("clickable");
+    row.title = "在任务树中定位";
+    row.addEventListener("click", () => {
+      for (const selected of elements.timelineRows.querySelectorAll(".timeline-row.selected")) {
+        selected.classList.remove("selected");
+      }
+      row.classList.add("selected");
+      highlightTimelineNode(event);
+    });
+  }
+  return row;
+}
+
+/** 在图中闪烁标出事件对应的任务；任务已不在图中时给出提示 */
+function highlightTimelineNode(event) {
+  const node = stateRef.value?.nodes[event.nodeId];
+  if (!node) {
+    showToast("这个任务已不在当前任务树中");
+    return;
+  }
+  if (node.status !== "active") {
+    showToast(`「${node.title}」${node.status === "completed" ? "已完成" : "已删除"}，可在「完成 / 回收站」中找到`, 2500);
+    return;
+  }
+  const el = elements.graphNodes.querySelector(`.graph-node[data-node-id="${node.id}"]`);
+  if (!el) {
+    showToast(`「${node.title}」当前没有显示在图中`);
+    return;
+  }
+  // 重新触发动画
+  el.classList.remove("timeline-flash");
+  void el.offsetWidth;
+  el.classList.add("timeline-flash");
+  el.scrollIntoView({ block: "nearest", inline: "nearest" });
+}
+
+function setupHistory() {
   elements.historyClose.addEventListener("click", () => toggleHistory(false));
+  for (const tab of elements.historyTabs) {
+    tab.addEventListener("click", () => showHistoryView(tab.dataset.view));
+  }
+  elements.timeSessionSelect.addEventListener("change", () => {
+    void withGuard(() => renderTimeReport(elements.timeSessionSelect.value));
+  });
+  elements.diffBack.addEventListener("click", () => showHistoryView("snapshots"));
+  elements.diffTarget.addEventListener("change", () => void withGuard(renderDiff));
+  elements.archiveSearchInput.addEventListener("input", scheduleArchiveSearch);
+  elements.archiveSearchFrom.addEventListener("change", scheduleArchiveSearch);
+  elements.archiveSearchTo.addEventListener("change", scheduleArchiveSearch);
+  elements.timelineSession.addEventListener("change", () => {
+    void withGuard(() => selectTimelineSession(elements.timelineSession.value));
+  });
+  elements.timelineQuery.addEventListener("input", renderTimeline);
+  elements.statsRange.addEventListener("change", () => void withGuard(renderStats));
+  setInterval(() => {
+    void refreshNodeTimes().catch(() => {});
+  }, TIME_REFRESH_MS);
+}
+
+/* ========== Replay ========== */
+
+const REPLAY_STEP_MS = 400;
+
+// index 为已应用的事件数（1 … total），state 为回放到的树
+const replayState = {
+  open: false,
+  sessionId: null,
+  total: 0,
+  index: 0,
+  event: null,
+  state: null,
+  // 等待发送的目标位置：拖动滑块时只回放最后一次的位置
+  target: null,
+  busy: false,
+  timer: null
+};
+
+function isReplayOpen() {
+  return replayState.open;
+}
+
+async function openReplay(sessionId) {
+  if (!sessionId) {
+    return;
+  }
+  const { total } = await window.todoApi.replay.open(sessionId);
+  if (total === 0) {
+    showToast("这个会话没有事件记录");
+    return;
+  }
+  Object.assign(replayState, { open: true, sessionId, total, index: 0, event: null, state: null, target: null });
+  toggleHistory(false);
+  if (isSearchOpen()) {
+    closeSearch();
+  }
+  if (isDetailPanelOpen()) {
+    closeDetailPanel();
+  }
+  elements.replaySlider.min = "1";
+  elements.replaySlider.max = `${total}`;
+  elements.replaySlider.value = "1";
+  elements.replayBar.classList.remove("hidden");
+  elements.replayBar.setAttribute("aria-hidden", "false");
+  setMousePassthrough(false);
+  await seekReplay(1);
+}
+
+function closeReplay() {
+  if (!replayState.open) {
+    return;
+  }
+  pauseReplay();
+  Object.assign(replayState, { open: false, sessionId: null, state: null, event: null, target: null });
+  elements.replayBar.classList.add("hidden");
+  elements.replayBar.setAttribute("aria-hidden", "true");
+  void window.todoApi.replay.close();
+  renderTree();
+  if (!stateRef.historyOpen && !isTitleEditorOpen()) {
+    setMousePassthrough(true);
+  }
+}
+
+/** 回放到第 index 条事件之后；请求进行中时只记下目标，完成后回放最新的目标 */
+async function seekReplay(index) {
+  replayState.target = Math.max(1, Math.min(index, replayState.total));
+  if (replayState.busy) {
+    return;
+  }
+  replayState.busy = true;
+  try {
+    while (replayState.open && replayState.target !== null) {
+      const target = replayState.target;
+      replayState.target = null;
+      const frame = await window.todoApi.replay.seek(target);
+      if (!replayState.open) {
+        break;
+      }
+      Object.assign(replayState, { index: frame.index, total: frame.total, event: frame.event, state: frame.state });
+      renderReplayBar();
+      renderReplayGraph();
+    }
+  } finally {
+    replayState.busy = false;
+  }
+}
+
+function renderReplayBar() {
+  const { index, total, event } = replayState;
+  elements.replaySlider.value = `${index}`;
+  elements.replayPosition.textContent = `${index} / ${total}`;
+  elements.replayPlay.textContent = replayState.timer ? "⏸" : "▶";
+  elements.replayPlay.title = replayState.timer ? "暂停 (Space)" : "播放 (Space)";
+  if (event) {
+    const { icon, text } = describeEvent(event);
+    elements.replayEvent.textContent = `${eventClock(event.ts).time} ${icon} ${text}`;
+    elements.replayEvent.title = text;
+  } else {
+    elements.replayEvent.textContent = "";
+  }
+  elements.replayBranch.disabled = !replayState.state;
+}
+
+function renderReplayGraph() {
+  const { state, event } = replayState;
+  const rows = state ? flattenTree(state) : [];
+  drawGraphLines(rows);
+  elements.graphNodes.innerHTML = "";
+  elements.graphNodes.style.height = `${rows.length * GRAPH.ROW_H}px`;
+  for (let i = 0; i < rows.length; i++) {
+    const el = createGraphNodeElement(rows[i], i, { state, interactive: false });
+    // 标出这一步操作的任务
+    if (event?.nodeId && rows[i].node.id === event.nodeId && event.action !== "FOCUS_NODE") {
+      el.classList.add("replay-current");
+    }
+    elements.graphNodes.append(el);
+  }
+}
+
+function playReplay() {
+  if (replayState.timer) {
+    return;
+  }
+  // 已在末尾时从头开始
+  if (replayState.index >= replayState.total) {
+    void withGuard(() => seekReplay(1));
+  }
+  replayState.timer = setInterval(() => {
+    if (replayState.index >= replayState.total) {
+      pauseReplay();
+      return;
+    }
+    if (!replayState.busy) {
+      void withGuard(() => seekReplay(replayState.index + 1));
+    }
+  }, REPLAY_STEP_MS);
+  renderReplayBar();
+}
+
+function pauseReplay() {
+  if (!replayState.timer) {
+    return;
+  }
+  clearInterval(replayState.timer);
+  replayState.timer = null;
+  renderReplayBar();
+}
+
+function toggleReplayPlayback() {
+  if (replayState.timer) {
+    pauseReplay();
+  } else {
+    playReplay();
+  }
+}
+
+function stepReplay(step) {
+  pauseReplay();
+  void withGuard(() => seekReplay(replayState.index + step));
+}
+
+/** 以回放到的状态开始新的活跃会话；当前会话照常归档 */
+async function branchFromReplay() {
+  pauseReplay();
+  const { index } = replayState;
+  elements.replayBranch.disabled = true;
+  try {
+    stateRef.value = await window.todoApi.replay.branch(index);
+    stateRef.nodeTimes = {};
+    closeReplay();
+    showToast(`⑂ 已从第 ${index} 步开始新会话`, 3000);
+  } catch (err) {
+    showToast(`分支失败: ${err.message}`, 5000);
+    elements.replayBranch.disabled = false;
+  }
+}
+
+function setupReplay() {
+  elements.timelineReplay.addEventListener("click", () => {
+    void withGuard(() => openReplay(elements.timelineSession.value));
+  });
+  elements.replayPlay.addEventListener("click", toggleReplayPlayback);
+  elements.replayPrev.addEventListener("click", () => stepReplay(-1));
+  elements.replayNext.addEventListener("click", () => stepReplay(1));
+  elements.replaySlider.addEventListener("input", () => {
+    pauseReplay();
+    void withGuard(() => seekReplay(Number(elements.replaySlider.value)));
+  });
+  elements.replayBranch.addEventListener("click", () => void branchFromReplay());
+  elements.replayClose.addEventListener("click", closeReplay);
+}
+
+/* ========== Export ========== */
+
+const exportState = {
+  // null exports the live tree, otherwise a snapshot id
+  snapshotId: null
+};
+
+function isExportOpen() {
+  return !elements.exportPopup.classList.contains("hidden");
+}
+
+function openExport(snapshotId = null) {
+  exportState.snapshotId = snapshotId;
+  elements.exportLabel.textContent = snapshotId ? `导出 ${formatSnapshotDate(snapshotId)}` : "导出当前任务树";
+  elements.exportPopup.classList.remove("hidden");
+  elements.exportPopup.setAttribute("aria-hidden", "false");
+  setMousePassthrough(false);
+  requestAnimationFrame(() => elements.exportFormat.focus());
+}
+
+function closeExport() {
+  elements.exportPopup.classList.add("hidden");
+  elements.exportPopup.setAttribute("aria-hidden", "true");
+  if (!stateRef.historyOpen && !isTitleEditorOpen()) {
+    setMousePassthrough(true);
+  }
+}
+
+async function copyExport() {
+  await window.todoApi.export.copy(exportState.snapshotId, elements.exportFormat.value);
+  closeExport();
+  showToast("📋 已复制到剪贴板");
+}
+
+async function saveExport() {
+  const result = await window.todoApi.export.save(exportState.snapshotId, elements.exportFormat.value);
+  if (result.saved) {
+    closeExport();
+    showToast(`💾 已保存 ${result.filePath}`, 3000);
+  }
+}
+
+function setupExport() {
+  elements.exportCopy.addEventListener("click", () => void withGuard(copyExport));
+  elements.exportSave.addEventListener("click", () => void withGuard(saveExport));
+  elements.exportCancel.addEventListener("click", closeExport);
+  elements.exportPopup.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      event.stopPropagation();
+      closeExport();
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      event.stopPropagation();
+      void withGuard(copyExport);
+    }
+  });
+}
+
+/* ========== Search ========== */
+
+const searchState = {
+  query: "",
+  // 按树形顺序排列的命中节点 id
+  hits: [],
+  index: 0
+};
+
+/**
+ * 模糊匹配：先找连续子串，找不到再按字符顺序做子序列匹配。
+ * 返回分数（越大越好），不匹配返回 0。
+ */
+function fuzzyScore(text, query) {
+  const haystack = `${text ?? ""}`.toLowerCase();
+  if (!haystack || !query) {
+    return 0;
+  }
+  const at = haystack.indexOf(query);
+  if (at !== -1) {
+    return 100 - Math.min(at, 50);
+  }
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const char of query) {
+    const found = haystack.indexOf(char, from);
+    if (found === -1) {
+      return 0;
+    }
+    score += found === previous + 1 ? 3 : 1;
+    previous = found;
+    from = found + 1;
+  }
+  return score;
+}
+
+/**
+ * 在当前可见的活跃节点里搜索标题和备注；备注命中的权重低于标题。
+ * 返回按树形顺序排列的 [{ id, score }]。
+ */
+function findSearchHits(state, query) {
+  const needle = query.trim().toLowerCase().replace(/\s+/gu, " ");
+  if (!needle) {
+    return [];
+  }
+  return flattenTree(state)
+    .filter(({ depth }) => depth > 0)
+    .map(({ node }) => ({
+      id: node.id,
+      score: Math.max(fuzzyScore(node.title, needle) * 2, fuzzyScore(node.notes, needle))
+    }))
+    .filter((hit) => hit.score > 0);
+}
+
+function isSearchOpen() {
+  return !elements.searchBar.classList.contains("hidden");
+}
+
+function searchClass(nodeId) {
+  if (!isSearchOpen() || !searchState.hits.includes(nodeId)) {
+    return "";
+  }
+  return searchState.hits[searchState.index] === nodeId ? " search-current" : " search-hit";
+}
+
+function updateSearchCount() {
+  const total = searchState.hits.length;
+  const count = elements.searchCount;
+  count.textContent = searchState.query.trim() ? (total > 0 ? `${searchState.index + 1}/${total}` : "0") : "";
+  count.classList.toggle("empty", Boolean(searchState.query.trim()) && total === 0);
+}
+
+/** 只更新已渲染节点的高亮 class，不重建整棵树 */
+function applySearchHighlight() {
+  for (const el of elements.graphNodes.querySelectorAll(".graph-node")) {
+    const { nodeId } = el.dataset;
+    el.classList.remove("search-hit", "search-current");
+    const mark = searchClass(nodeId).trim();
+    if (mark) {
+      el.classList.add(mark);
+    }
+  }
+  updateSearchCount();
+}
+
+function scrollToSearchHit() {
+  const nodeId = searchState.hits[searchState.index];
+  const el = nodeId && elements.graphNodes.querySelector(`.graph-node[data-node-id="${nodeId}"]`);
+  el?.scrollIntoView({ block: "nearest", inline: "nearest" });
+}
+
+/** 树变化后重新计算命中，尽量停留在原来的命中节点上 */
+function refreshSearch() {
+  const currentId = searchState.hits[searchState.index];
+  searchState.hits = findSearchHits(stateRef.value, searchState.query).map((hit) => hit.id);
+  const kept = searchState.hits.indexOf(currentId);
+  searchState.index = kept === -1 ? 0 : kept;
+  applySearchHighlight();
+}
+
+function runSearch(query) {
+  const hits = findSearchHits(stateRef.value, query);
+  searchState.query = query;
+  searchState.hits = hits.map((hit) => hit.id);
+  // 从得分最高的命中开始，之后按树形顺序循环
+  searchState.index = hits.reduce((best, hit, index) => (hit.score > hits[best].score ? index : best), 0);
+  applySearchHighlight();
+  scrollToSearchHit();
+}
+
+function cycleSearch(step) {
+  const total = searchState.hits.length;
+  if (total === 0) {
+    return;
+  }
+  searchState.index = (searchState.index + step + total) % total;
+  applySearchHighlight();
+  scrollToSearchHit();
+}
+
+function openSearch() {
+  elements.searchBar.classList.remove("hidden");
+  elements.searchBar.setAttribute("aria-hidden", "false");
+  setMousePassthrough(false);
+  runSearch(elements.searchInput.value);
+  requestAnimationFrame(() => {
+    elements.searchInput.focus();
+    elements.searchInput.select();
+  });
+}
+
+function closeSearch() {
+  elements.searchBar.classList.add("hidden");
+  elements.searchBar.setAttribute("aria-hidden", "true");
+  searchState.hits = [];
+  applySearchHighlight();
+  if (!stateRef.historyOpen && !isTitleEditorOpen()) {
+    setMousePassthrough(true);
+  }
+}
+
+/** 聚焦当前命中节点并关闭搜索 */
+async function jumpToSearchHit() {
+  const nodeId = searchState.hits[searchState.index];
+  if (!nodeId) {
+    return;
+  }
+  closeSearch();
+  await focusNode(nodeId);
+  elements.graphNodes.querySelector(`.graph-node[data-node-id="${nodeId}"]`)?.scrollIntoView({ block: "nearest", inline: "nearest" });
+}
+
+function setupSearch() {
+  elements.searchInput.addEventListener("input", () => runSearch(elements.searchInput.value));
+  elements.searchPrev.addEventListener("click", () => cycleSearch(-1));
+  elements.searchNext.addEventListener("click", () => cycleSearch(1));
+  elements.searchClose.addEventListener("click", closeSearch);
+  elements.searchBar.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      event.stopPropagation();
+      closeSearch();
+    } else if (event.key === "ArrowDown" || (event.key === "Tab" && !event.shiftKey)) {
+      event.preventDefault();
+      event.stopPropagation();
+      cycleSearch(1);
+    } else if (event.key === "ArrowUp" || (event.key === "Tab" && event.shiftKey)) {
+      event.preventDefault();
+      event.stopPropagation();
+      cycleSearch(-1);
+    } else if (event.key === "Enter" && event.shiftKey) {
+      event.preventDefault();
+      event.stopPropagation();
+      cycleSearch(-1);
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      event.stopPropagation();
+      void withGuard(jumpToSearchHit);
+    }
+  });
+}
+
+/* ========== Import ========== */
+
+const IMPORT_PREVIEW_ROWS = 40;
+const IMPORT_PARSE_DELAY_MS = 250;
+
+const importState = {
+  parentId: null,
+  items: [],
+  parseTimer: null
+};
+
+function isImportOpen() {
+  return !elements.importPopup.classList.contains("hidden");
+}
+
+function renderImportPreview(parsed) {
+  const preview = elements.importPreview;
+  preview.innerHTML = "";
+  const rows = [];
+  const walk = (items, depth) => {
+    for (const item of items) {
+      rows.push({ item, depth });
+      walk(item.children, depth + 1);
+    }
+  };
+  walk(parsed.items, 0);
+
+  if (rows.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "snapshot-empty";
+    empty.textContent = "（没有可导入的条目）";
+    preview.append(empty);
+  }
+  for (const { item, depth } of rows.slice(0, IMPORT_PREVIEW_ROWS)) {
+    const row = document.createElement("div");
+    row.className = `snapshot-tree-row${item.completed ? " done" : ""}`;
+    if (depth > 0) {
+      const indent = document.createElement("span");
+      indent.className = "snapshot-tree-indent";
+      indent.textContent = "  ".repeat(depth - 1) + "└ ";
+      row.append(indent);
+    }
+    const dot = document.createElement("span");
+    dot.className = "snapshot-tree-dot";
+    dot.style.color = GRAPH.COLORS[depth % GRAPH.COLORS.length];
+    const label = document.createElement("span");
+    label.className = "snapshot-tree-label";
+    label.textContent = item.title;
+    row.append(dot, label);
+    preview.append(row);
+  }
+  if (rows.length > IMPORT_PREVIEW_ROWS) {
+    const more = document.createElement("div");
+    more.className = "snapshot-overflow";
+    more.textContent = `…另有 ${rows.length - IMPORT_PREVIEW_ROWS} 项`;
+    preview.append(more);
+  }
+
+  importState.items = parsed.items;
+  elements.importOk.disabled = parsed.count === 0;
+  elements.importOk.textContent = parsed.count > 0 ? `导入 ${parsed.count} 项` : "导入";
+}
+
+async function parseImportText() {
+  try {
+    renderImportPreview(await window.todoApi.import.parse(elements.importText.value, elements.importFormat.value));
+  } catch (error) {
+    renderImportPreview({ items: [], count: 0 });
+    showToast(`解析失败: ${error.message}`, 2500);
+  }
+}
+
+function scheduleImportParse() {
+  clearTimeout(importState.parseTimer);
+  importState.parseTimer = setTimeout(() => void parseImportText(), IMPORT_PARSE_DELAY_MS);
+}
+
+/** 读取剪贴板并打开预览；确认后挂到当前聚焦节点下 */
+async function openImport() {
+  const focused = getFocusedNode(stateRef.value);
+  if (!focused) {
+    return;
+  }
+  importState.parentId = focused.id;
+  elements.importLabel.textContent = `导入到「${focused.title}」下`;
+  elements.importFormat.value = "auto";
+  const parsed = await window.todoApi.import.parse(null, "auto");
+  elements.importText.value = parsed.text;
+  renderImportPreview(parsed);
+  elements.importPopup.classList.remove("hidden");
+  elements.importPopup.setAttribute("aria-hidden", "false");
+  setMousePassthrough(false);
+  requestAnimationFrame(() => (parsed.count > 0 ? elements.importOk : elements.importText).focus());
+}
+
+function closeImport() {
+  clearTimeout(importState.parseTimer);
+  importState.items = [];
+  elements.importPopup.classList.add("hidden");
+  elements.importPopup.setAttribute("aria-hidden", "true");
+  if (!stateRef.historyOpen && !isTitleEditorOpen()) {
+    setMousePassthrough(true);
+  }
+}
+
+async function confirmImport() {
+  clearTimeout(importState.parseTimer);
+  await parseImportText();
+  if (importState.items.length === 0) {
+    return;
+  }
+  const result = await window.todoApi.tree.importSubtree(importState.parentId, importState.items);
+  stateRef.value = result.state;
+  closeImport();
+  renderTree();
+  showToast(`📥 已导入 ${result.createdIds.length} 项`);
+}
+
+function setupImport() {
+  elements.importOk.addEventListener("click", () => void withGuard(confirmImport));
+  elements.importCancel.addEventListener("click", closeImport);
+  elements.importText.addEventListener("input", scheduleImportParse);
+  elements.importFormat.addEventListener("change", () => void parseImportText());
+  elements.importPopup.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      event.stopPropagation();
+      closeImport();
+    } else if (event.key === "Enter" && (event.ctrlKey || event.target !== elements.importText)) {
+      event.preventDefault();
+      event.stopPropagation();
+      void withGuard(confirmImport);
+    }
+  });
+}
+
+/* ========== Workspaces ========== */
+
+function isWorkspaceMenuOpen() {
+  return !elements.workspaceMenu.classList.contains("hidden");
+}
+
+function toggleWorkspaceMenu(forceValue = null) {
+  const open = forceValue ?? !isWorkspaceMenuOpen();
+  elements.workspaceMenu.classList.toggle("hidden", !open);
+  elements.workspaceMenu.setAttribute("aria-hidden", open ? "false" : "true");
+  if (open) {
+    setMousePassthrough(false);
+    void withGuard(renderWorkspaceMenu);
+  }
+}
+
+function createWorkspaceMenuItem(label, className, onClick) {
+  const item = document.createElement("button");
+  item.type = "button";
+  item.className = `workspace-item ${className}`.trim();
+  item.textContent = label;
+  item.addEventListener("click", () => {
+    toggleWorkspaceMenu(false);
+    void withGuard(onClick);
+  });
+  return item;
+}
+
+async function renderWorkspaceMenu() {
+  const { current, workspaces } = await window.todoApi.workspace.list();
+  elements.workspaceButton.textContent = current;
+  elements.workspaceMenu.innerHTML = "";
+  for (const name of workspaces) {
+    elements.workspaceMenu.append(
+      createWorkspaceMenuItem(name, name === current ? "current" : "", () => switchWorkspace(name))
+    );
+  }
+  elements.workspaceMenu.append(createWorkspaceMenuItem("+ 新建工作区", "create", createWorkspace));
+}
+
+async function switchWorkspace(name) {
+  // The main process answers with ui:workspace-changed, which applies the new state
+  await window.todoApi.workspace.switch(name);
+}
+
+async function createWorkspace() {
+  const name = await askTitle("新工作区", "");
+  if (!name) {
+    return;
+  }
+  await switchWorkspace(name);
+}
+
+function applyWorkspace({ workspace, state, recovery = [] }) {
+  elements.workspaceButton.textContent = workspace;
+  stateRef.value = state;
+  stateRef.nodeTimes = {};
+  if (isDetailPanelOpen()) {
+    closeDetailPanel();
+  }
+  // 切换工作区后主进程已丢弃回放，这里只需退出回放模式
+  closeReplay();
+  renderTree();
+  if (stateRef.historyOpen) {
+    showHistoryView(stateRef.historyView);
+  }
+  if (!showRecoveryReport(recovery)) {
+    showToast(`工作区：${workspace}`);
+  }
+}
+
+async function setupWorkspaces() {
+  elements.workspaceButton.addEventListener("click", () => toggleWorkspaceMenu());
+  const { current } = await window.todoApi.workspace.list();
+  elements.workspaceButton.textContent = current;
+}
+
+/* ========== Recovery ========== */
+
+const RECOVERY_SOURCES = {
+  journal: "操作日志",
+  tmp: "未写完的临时文件",
+  "last-good": "备份副本",
+  events: "事件日志"
+};
+
+/** 载入会话时修复过文件则提示用户；返回是否有提示 */
+function showRecoveryReport(report) {
+  const messages = report.map(({ outcome, source, skipped }) => {
+    if (outcome === "lost") {
+      return "⚠ 上次的会话文件已损坏且无法恢复，已开始新会话（原文件已改名保留）";
+    }
+    if (outcome === "newer") {
+      return "⚠ 上次的会话由更新版本的应用保存，无法在此版本中打开，已开始新会话（原文件已改名保留）";
+    }
+    if (source === "journal") {
+      return `⚠ 上次会话最后 ${skipped} 步操作无法恢复，已跳过`;
+    }
+    const partial = skipped > 0 ? `，${skipped} 条事件无法应用` : "";
+    return `⚠ 会话文件已损坏，已从${RECOVERY_SOURCES[source] ?? source}恢复${partial}`;
+  });
+  if (messages.length === 0) {
+    return false;
+  }
+  showToast(messages.join(" · "), 6000);
+  return true;
+}
+
+/* ========== Global hotkeys ========== */
+
+/** 主进程的全局快捷键（窗口没有焦点时也会触发）；都针对活跃树，回放中先退出回放 */
+async function runHotkey(action) {
+  closeReplay();
+  if (action === "quickAdd") {
+    if (isTitleEditorOpen()) {
+      elements.titleEditorInput.focus();
+      return;
+    }
+    await addChild();
+  } else if (action === "completeFocused") {
+    await completeNode();
+  }
+}
+
+/**
+ * 全局快捷键有问题时提示：设置文件无法解析、快捷键无法识别，
+ * 或被占用而改用了备选 / 没有可用的快捷键。显示了提示时返回 true。
+ */
+function showHotkeyStatus(status) {
+  if (!status) {
+    return false;
+  }
+  const messages = [];
+  if (status.error) {
+    messages.push(`快捷键设置无法读取，已使用默认值（${status.error}）`);
+  }
+  const invalid = status.problems.filter((problem) => problem.reason === "invalid").map((problem) => problem.accelerator);
+  if (invalid.length > 0) {
+    messages.push(`无法识别的快捷键：${invalid.join("、")}`);
+  }
+  for (const binding of status.bindings) {
+    const failed = status.problems.some((problem) => problem.action === binding.action && problem.reason !== "invalid");
+    if (!binding.accelerator && failed) {
+      messages.push(`「${binding.label}」没有可用的全局快捷键`);
+    } else if (binding.fallback) {
+      messages.push(`「${binding.label}」改用 ${binding.accelerator}`);
+    }
+  }
+  if (messages.length === 0) {
+    return false;
+  }
+  showToast(`⌨ ${messages.join(" · ")}`, 6000);
+  return true;
 }
 
 /* ========== Keyboard ========== */
@@ -780,6 +3102,40 @@ function setupKeyboard() {
         return;
       }
 
+      if (isDetailPanelOpen() || isExportOpen() || isImportOpen() || isSearchOpen() || isCheckpointOpen()) {
+        return;
+      }
+
+      // 回放模式只响应回放控制键，其余快捷键会修改活跃树，先退出回放
+      if (isReplayOpen()) {
+        if (event.key === "Escape") {
+          event.preventDefault();
+          closeReplay();
+        } else if (event.key === " ") {
+          event.preventDefault();
+          toggleReplayPlayback();
+        } else if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+          event.preventDefault();
+          stepReplay(event.key === "ArrowLeft" ? -1 : 1);
+        }
+        return;
+      }
+
+      // 历史面板里的输入框（归档搜索、日期）只响应 Esc，其余按键留给输入框本身
+      if (event.target instanceof Element && event.target.closest(".history-panel input, .history-panel select")) {
+        if (event.key === "Escape") {
+          event.preventDefault();
+          toggleHistory(false);
+        }
+        return;
+      }
+
+      if (isWorkspaceMenuOpen() && event.key === "Escape") {
+        event.preventDefault();
+        toggleWorkspaceMenu(false);
+        return;
+      }
+
       if (event.ctrlKey && !event.shiftKey && event.key.toLowerCase() === "n") {
         event.preventDefault();
         await addChild();
@@ -795,6 +3151,12 @@ function setupKeyboard() {
         await completeNode();
         return;
       }
+      if (event.altKey && event.key.startsWith("Arrow")) {
+        const direction = { ArrowUp: "up", ArrowDown: "down", ArrowRight: "indent", ArrowLeft: "outdent" }[event.key];
+        event.preventDefault();
+        await moveFocused(direction);
+        return;
+      }
       if (event.ctrlKey && event.key.toLowerCase() === "z") {
         event.preventDefault();
         await undo();
@@ -805,11 +3167,36 @@ function setupKeyboard() {
         await redo();
         return;
       }
+      if (event.ctrlKey && event.shiftKey && event.key.toLowerCase() === "s") {
+        event.preventDefault();
+        openCheckpoint();
+        return;
+      }
       if (event.ctrlKey && event.key.toLowerCase() === "s") {
         event.preventDefault();
         await saveSession();
         return;
       }
+      if (event.ctrlKey && event.key.toLowerCase() === "f") {
+        event.preventDefault();
+        openSearch();
+        return;
+      }
+      if (event.ctrlKey && event.shiftKey && event.key.toLowerCase() === "v") {
+        event.preventDefault();
+        await openImport();
+        return;
+      }
+      if (event.ctrlKey && event.key.toLowerCase() === "e") {
+        event.preventDefault();
+        openExport();
+        return;
+      }
+      if (event.ctrlKey && event.key.toLowerCase() === "i") {
+        event.preventDefault();
+        openDetailPanel();
+        return;
+      }
       if (event.ctrlKey && event.key.toLowerCase() === "h") {
         event.preventDefault();
         toggleHistory();
@@ -837,7 +3224,7 @@ function setupKeyboard() {
 
 function setupMousePassthrough() {
   document.addEventListener("mousemove", (event) => {
-    if (isTitleEditorOpen() || stateRef.historyOpen || isTranslateOpen()) {
+    if (isTitleEditorOpen() || stateRef.historyOpen || isTranslateOpen() || isDetailPanelOpen() || isWorkspaceMenuOpen() || isExportOpen() || isImportOpen() || isSearchOpen() || isCheckpointOpen() || isReplayOpen()) {
       setMousePassthrough(false);
       return;
     }
@@ -845,7 +3232,7 @@ function setupMousePassthrough() {
   });
 
   document.addEventListener("mouseleave", () => {
-    if (!isTitleEditorOpen() && !stateRef.historyOpen) {
+    if (!isTitleEditorOpen() && !stateRef.historyOpen && !isDetailPanelOpen()) {
       setMousePassthrough(true);
     }
   });
@@ -855,6 +3242,18 @@ function setupMousePassthrough() {
 
 function setupIpcListeners() {
   window.todoApi.onOpenHistory(() => toggleHistory());
+  window.todoApi.onCreateCheckpoint(() => openCheckpoint());
+  window.todoApi.onHotkey((action) => void withGuard(() => runHotkey(action)));
+  window.todoApi.onHotkeysChanged((status) => showHotkeyStatus(status));
+  window.todoApi.onWorkspaceChanged((payload) => applyWorkspace(payload));
+  // 快速记录窗口添加任务后推送的最新状态：只重绘，焦点和打开的面板保持不变
+  window.todoApi.onStateChanged((state) => {
+    stateRef.value = state;
+    renderTree();
+  });
+  window.todoApi.onPersistError((message) => {
+    showToast(`⚠ 保存失败，下次操作时会重试：${message}`, 6000);
+  });
   window.todoApi.onDockChanged((payload) => {
     document.body.classList.toggle("docked", Boolean(payload?.docked));
   });
@@ -1014,14 +3413,26 @@ async function start() {
   await withGuard(async () => {
     await syncState();
     setupTitleEditor();
+    setupDetailPanel();
+    setupExport();
+    setupImport();
+    setupSearch();
+    setupCheckpoint();
     setupHistory();
+    setupReplay();
+    await setupWorkspaces();
     setupKeyboard();
     setupMousePassthrough();
     setupIpcListeners();
     setupDragBar();
     setupTranslate();
     setMousePassthrough(true);
-    showToast("单击⠿翻译单词；hover 节点查看任务", 3200);
+    if (
+      !showRecoveryReport(await window.todoApi.session.recoveryReport()) &&
+      !showHotkeyStatus(await window.todoApi.hotkeys.status())
+    ) {
+      showToast("单击⠿翻译单词；hover 节点查看任务", 3200);
+    }
   });
 }
 
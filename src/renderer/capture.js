@@ -0,0 +1,85 @@
+/* ========== Quick capture ========== */
+
+// 输入停顿多久后预览目标父任务
+const PREVIEW_DELAY_MS = 120;
+
+const elements = {
+  form: document.getElementById("captureForm"),
+  input: document.getElementById("captureInput"),
+  target: document.getElementById("captureTarget")
+};
+
+let previewTimer = null;
+let submitting = false;
+
+function describePath(path) {
+  return path.length > 0 ? path.join(" › ") : "顶层";
+}
+
+function showTarget(text, isError = false) {
+  elements.target.textContent = text;
+  elements.target.classList.toggle("error", isError);
+}
+
+async function preview() {
+  const text = elements.input.value;
+  if (!text.trim()) {
+    showTarget("Enter 添加 · Esc 取消 · 用 > 指定父任务");
+    return;
+  }
+  const result = await window.captureApi.preview(text);
+  // 等待期间输入已变化时丢弃旧结果
+  if (text !== elements.input.value) {
+    return;
+  }
+  if (result.error) {
+    showTarget(result.error, true);
+  } else {
+    showTarget(`添加到：${describePath(result.path)}`);
+  }
+}
+
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(() => void preview(), PREVIEW_DELAY_MS);
+}
+
+async function submit() {
+  const text = elements.input.value;
+  if (!text.trim() || submitting) {
+    return;
+  }
+  submitting = true;
+  try {
+    // 成功后主进程直接隐藏窗口，下次打开时 reset
+    await window.captureApi.submit(text);
+  } catch (error) {
+    // ipcRenderer.invoke 会给主进程的错误加上前缀，只显示原始信息
+    showTarget(`${error.message}`.replace(/^Error invoking remote method '[^']+': (Error: )?/u, ""), true);
+  } finally {
+    submitting = false;
+  }
+}
+
+function reset() {
+  clearTimeout(previewTimer);
+  elements.input.value = "";
+  void preview();
+  elements.input.focus();
+}
+
+elements.input.addEventListener("input", () => schedulePreview());
+elements.input.addEventListener("keydown", (event) => {
+  if (event.key === "Escape") {
+    event.preventDefault();
+    void window.captureApi.cancel();
+  }
+});
+elements.form.addEventListener("submit", (event) => {
+  event.preventDefault();
+  void submit();
+});
+window.addEventListener("focus", () => elements.input.focus());
+window.captureApi.onReset(() => reset());
+
+reset();
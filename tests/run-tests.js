@@ -2,8 +2,23 @@ import path from "node:path";
 import os from "node:os";
 import assert from "node:assert/strict";
 import { promises as fs } from "node:fs";
-import { TreeStateMachine, createInitialState } from "../src/main/tree-state.js";
+import { fileURLToPath } from "node:url";
+import { MAX_PERSISTED_HISTORY, TreeStateMachine, createInitialState } from "../src/main/tree-state.js";
 import { SessionStore } from "../src/main/session-store.js";
+import { AppController } from "../src/main/app-controller.js";
+import { EventReplayer, REPLAY_KEYFRAME_INTERVAL, parseEventLog, replayEvents } from "../src/main/event-log.js";
+import { TimeTracker, aggregateTime } from "../src/main/time-tracker.js";
+import { WorkspaceRegistry } from "../src/main/workspaces.js";
+import { exportTree } from "../src/main/exporter.js";
+import { parseOutline } from "../src/main/importer.js";
+import { buildDiffRows, diffStates } from "../src/main/tree-diff.js";
+import { selectSnapshotsToPrune } from "../src/main/retention.js";
+import { parseStateFile, withChecksum } from "../src/main/integrity.js";
+import { CURRENT_SCHEMA_VERSION, migrateState } from "../src/main/migrations.js";
+import { computeStats } from "../src/main/stats.js";
+import { searchEvents } from "../src/main/archive-search.js";
+import { parseCapture, resolveCapture } from "../src/main/capture.js";
+import { applyHotkeys, defaultHotkeyConfig, normalizeAccelerator, planHotkeys, readHotkeyConfig } from "../src/main/hotkeys.js";
 
 async function run(name, fn) {
   try {
@@ -16,6 +31,12 @@ async function run(name, fn) {
   }
 }
 
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+async function readFixture(name) {
+  return fs.readFile(path.join(FIXTURES_DIR, name), "utf8");
+}
+
 async function createTempSessionsDir() {
   const root = await fs.mkdtemp(path.join(os.tmpdir(), "git-tree-todo-"));
   return path.join(root, "sessions");
@@ -28,7 +49,138 @@ await run("complete node returns focus to parent", async () => {
   const result = machine.completeNode(child.nodeId);
   assert.equal(result.nextFocusId, rootId);
   assert.equal(result.state.focusedNodeId, rootId);
-  assert.equal(result.state.nodes[child.nodeId].status, "deleted");
+  assert.equal(result.state.nodes[child.nodeId].status, "completed");
+  assert.ok(result.state.nodes[child.nodeId].completedAt);
+  assert.equal(result.state.nodes[child.nodeId].deletedAt, undefined);
+});
+
+await run("complete keeps node under parent while delete detaches it", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const done = machine.addChild(rootId, "done");
+  const dropped = machine.addChild(rootId, "dropped");
+  machine.completeNode(done.nodeId);
+  const result = machine.deleteNode(dropped.nodeId);
+  assert.deepEqual(result.state.nodes[rootId].childrenIds, [done.nodeId]);
+  assert.equal(result.state.nodes[dropped.nodeId].status, "deleted");
+  assert.ok(result.state.nodes[dropped.nodeId].deletedAt);
+});
+
+await run("deleting a parent leaves completed descendants completed", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const parent = machine.addChild(rootId, "parent");
+  const done = machine.addChild(parent.nodeId, "done");
+  const open = machine.addChild(parent.nodeId, "open");
+  machine.completeNode(done.nodeId);
+  const result = machine.deleteNode(parent.nodeId);
+  assert.equal(result.state.nodes[done.nodeId].status, "completed");
+  assert.equal(result.state.nodes[open.nodeId].status, "deleted");
+  assert.deepEqual(result.closedIds.sort(), [parent.nodeId, open.nodeId].sort());
+});
+
+await run("reopen restores a completed node in place", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const first = machine.addChild(rootId, "first");
+  const second = machine.addChild(rootId, "second");
+  const grandchild = machine.addChild(first.nodeId, "grandchild");
+  machine.completeNode(first.nodeId);
+  const result = machine.reopenNode(first.nodeId);
+  assert.deepEqual(result.state.nodes[rootId].childrenIds, [first.nodeId, second.nodeId]);
+  assert.equal(result.state.nodes[first.nodeId].status, "active");
+  assert.equal(result.state.nodes[first.nodeId].completedAt, undefined);
+  assert.equal(result.state.nodes[grandchild.nodeId].status, "active");
+  assert.equal(result.state.focusedNodeId, first.nodeId);
+});
+
+await run("reopen puts a deleted node back at its index with only its own batch", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"), { now: () => "2026-01-01T00:00:00.000Z" });
+  const rootId = machine.getState().rootId;
+  const first = machine.addChild(rootId, "first").nodeId;
+  const middle = machine.addChild(rootId, "middle").nodeId;
+  const last = machine.addChild(rootId, "last").nodeId;
+  const child = machine.addChild(middle, "child").nodeId;
+  const done = machine.addChild(middle, "done").nodeId;
+  // 同一毫秒内先完成子任务再删除父任务：两次关闭时间相同，但不是同一批
+  machine.completeNode(done);
+  machine.deleteNode(middle);
+  assert.deepEqual(machine.getState().nodes[rootId].childrenIds, [first, last]);
+
+  const result = machine.reopenNode(middle);
+  assert.deepEqual(result.state.nodes[rootId].childrenIds, [first, middle, last]);
+  assert.deepEqual(result.reopenedIds.sort(), [middle, child].sort());
+  assert.equal(result.state.nodes[done].status, "completed");
+  assert.equal(result.state.nodes[middle].closedIndex, undefined);
+  assert.equal(result.state.nodes[child].closeBatch, undefined);
+  machine.undo();
+  assert.deepEqual(machine.getState().nodes[rootId].childrenIds, [first, last]);
+});
+
+await run("reopen falls back to root when the original parent is gone", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const parent = machine.addChild(rootId, "parent");
+  const done = machine.addChild(parent.nodeId, "done");
+  const dropped = machine.addChild(parent.nodeId, "dropped");
+  machine.completeNode(done.nodeId);
+  machine.deleteNode(dropped.nodeId);
+  machine.deleteNode(parent.nodeId);
+  const result = machine.reopenNode(dropped.nodeId);
+  assert.equal(result.parentId, rootId);
+  assert.equal(result.state.nodes[dropped.nodeId].parentId, rootId);
+  assert.ok(result.state.nodes[rootId].childrenIds.includes(dropped.nodeId));
+  assert.throws(() => machine.reopenNode(dropped.nodeId), /already active/u);
+  const reopenedParent = machine.reopenNode(parent.nodeId);
+  assert.equal(reopenedParent.state.nodes[done.nodeId].status, "completed");
+});
+
+await run("moveNode reorders and reparents with cycle checks", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const a = machine.addChild(rootId, "a").nodeId;
+  const b = machine.addChild(rootId, "b").nodeId;
+  const a1 = machine.addChild(a, "a1").nodeId;
+  let result = machine.moveNode(b, rootId, 0);
+  assert.deepEqual(result.state.nodes[rootId].childrenIds, [b, a]);
+  result = machine.moveNode(b, a, 0);
+  assert.deepEqual(result.state.nodes[a].childrenIds, [b, a1]);
+  assert.equal(result.state.nodes[b].parentId, a);
+  assert.equal(result.fromParentId, rootId);
+  assert.throws(() => machine.moveNode(a, a1), /own subtree/u);
+  assert.throws(() => machine.moveNode(a, a), /own subtree/u);
+  assert.throws(() => machine.moveNode(rootId, a), /Root node cannot be moved/u);
+  const depth = machine.getPersistedState().undoStack.length;
+  machine.moveNode(b, a, 0);
+  assert.equal(machine.getPersistedState().undoStack.length, depth);
+  machine.undo();
+  assert.deepEqual(machine.getState().nodes[rootId].childrenIds, [b, a]);
+  assert.equal(machine.getState().nodes[b].parentId, rootId);
+});
+
+await run("updateNodeDetails stores notes, due date, priority and tags", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const id = machine.addChild(rootId, "task").nodeId;
+  assert.deepEqual(machine.getState().nodes[id].tags, []);
+  const result = machine.updateNodeDetails(id, {
+    notes: "line one\nline two\n",
+    dueDate: "2026-03-01",
+    priority: "high",
+    tags: " #work, urgent ,work,"
+  });
+  const node = result.state.nodes[id];
+  assert.equal(node.notes, "line one\nline two");
+  assert.equal(node.dueDate, "2026-03-01");
+  assert.equal(node.priority, "high");
+  assert.deepEqual(node.tags, ["work", "urgent"]);
+  assert.deepEqual(result.previous.priority, null);
+  assert.equal(machine.updateNodeDetails(id, { priority: "high" }).changed.length, 0);
+  assert.throws(() => machine.updateNodeDetails(id, { priority: "asap" }), /Invalid priority/u);
+  assert.throws(() => machine.updateNodeDetails(id, { dueDate: "tomorrow" }), /Invalid due date/u);
+  machine.undo();
+  assert.equal(machine.getState().nodes[id].notes, "");
+  assert.equal(machine.getState().nodes[id].priority, null);
 });
 
 await run("root node cannot be deleted", async () => {
@@ -53,10 +205,134 @@ await run("undo and redo restore tree shape and focus", async () => {
   assert.equal(afterRedo.focusedNodeId, beforeUndo.focusedNodeId);
 });
 
+await run("undo history stores only the nodes each action touched", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const ids = [];
+  for (let i = 0; i < 20; i += 1) {
+    ids.push(machine.addChild(rootId, `task-${i}`).nodeId);
+  }
+  machine.renameNode(ids[5], "renamed");
+  const state = machine.getPersistedState();
+  const renameEntry = state.undoStack[state.undoStack.length - 1];
+  assert.deepEqual(Object.keys(renameEntry.nodes), [ids[5]]);
+  assert.equal(renameEntry.nodes[ids[5]].title, "task-5");
+  assert.equal(machine.getState().undoStack, undefined);
+  const addEntry = state.undoStack[0];
+  assert.deepEqual(Object.keys(addEntry.nodes).sort(), [ids[0], rootId].sort());
+  assert.equal(addEntry.nodes[ids[0]], null);
+});
+
+await run("persisted state keeps only the newest undo steps, memory keeps the rest", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.state.rootId;
+  const count = MAX_PERSISTED_HISTORY + 50;
+  for (let i = 0; i < count; i += 1) {
+    machine.addChild(rootId, `task-${i}`);
+  }
+  machine.undo();
+  const persisted = machine.getPersistedState();
+  assert.equal(persisted.undoStack.length, MAX_PERSISTED_HISTORY);
+  assert.equal(persisted.redoStack.length, 1);
+  assert.equal(machine.state.undoStack.length, count - 1);
+  assert.deepEqual(persisted.undoStack.at(-1), machine.state.undoStack.at(-1));
+  assert.notEqual(persisted.undoStack.at(-1), machine.state.undoStack.at(-1));
+
+  // 从持久化状态恢复后仍能撤销保留下来的步骤
+  const resumed = new TreeStateMachine(persisted);
+  resumed.undo();
+  assert.equal(resumed.getState().nodes[rootId].childrenIds.length, count - 2);
+});
+
+await run("undo and redo round-trip complete, delete and reopen", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const parent = machine.addChild(rootId, "parent");
+  machine.addChild(parent.nodeId, "child");
+  const beforeComplete = machine.getState();
+  machine.completeNode(parent.nodeId);
+  machine.reopenNode(parent.nodeId);
+  machine.deleteNode(parent.nodeId);
+  const afterDelete = machine.getState();
+  machine.undo();
+  machine.undo();
+  machine.undo();
+  assert.deepEqual(machine.getState().nodes, beforeComplete.nodes);
+  assert.equal(machine.getState().focusedNodeId, beforeComplete.focusedNodeId);
+  machine.redo();
+  machine.redo();
+  machine.redo();
+  assert.deepEqual(machine.getState().nodes, afterDelete.nodes);
+  assert.equal(machine.getState().focusedNodeId, afterDelete.focusedNodeId);
+});
+
+await run("undo applies full-snapshot entries from older state files once migrated", async () => {
+  const initial = createInitialState("session-test");
+  const machine = new TreeStateMachine(initial);
+  const child = machine.addChild(initial.rootId, "child");
+  const state = machine.getState();
+  state.undoStack = [{ rootId: initial.rootId, focusedNodeId: initial.rootId, nodes: initial.nodes }];
+  const legacy = new TreeStateMachine(migrateState(state));
+  legacy.undo();
+  assert.equal(legacy.getState().nodes[child.nodeId], undefined);
+  legacy.redo();
+  assert.equal(legacy.getState().nodes[child.nodeId].title, "child");
+});
+
+await run("TimeTracker closes intervals on focus change and pauses", async () => {
+  const tracker = new TimeTracker();
+  assert.equal(tracker.setFocus("a", 1000), null);
+  assert.equal(tracker.setFocus("a", 1500), null);
+  assert.deepEqual(tracker.setFocus("b", 4000), { nodeId: "a", start: 1000, end: 4000, ms: 3000 });
+  assert.equal(tracker.pause("hidden", 5000).ms, 1000);
+  assert.equal(tracker.pause("idle", 5500), null);
+  assert.equal(tracker.setFocus("c", 6000), null);
+  tracker.resume("hidden", 7000);
+  assert.equal(tracker.isRunning(), false);
+  tracker.resume("idle", 8000);
+  assert.deepEqual(tracker.stop(9000), { nodeId: "c", start: 8000, end: 9000, ms: 1000 });
+});
+
+await run("aggregateTime rolls self time up to every ancestor", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const a = machine.addChild(rootId, "a").nodeId;
+  const a1 = machine.addChild(a, "a1").nodeId;
+  const b = machine.addChild(rootId, "b").nodeId;
+  machine.deleteNode(a1);
+  const times = aggregateTime(machine.getState(), { [a]: 100, [a1]: 50, [b]: 10 });
+  assert.deepEqual(times[a], { selfMs: 100, totalMs: 150 });
+  assert.deepEqual(times[a1], { selfMs: 50, totalMs: 50 });
+  assert.deepEqual(times[rootId], { selfMs: 0, totalMs: 160 });
+});
+
+await run("controller logs focus time and reloads it on resume", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const rootId = (await controller.getState()).rootId;
+  const state = await controller.addChild(rootId, "a");
+  const childId = state.focusedNodeId;
+  await new Promise((resolve) => setTimeout(resolve, 15));
+  await controller.focusNode(rootId);
+  const report = await controller.getTimeReport();
+  const childRow = report.rows.find((row) => row.nodeId === childId);
+  assert.ok(childRow.selfMs >= 10);
+  assert.equal(report.rows[0].nodeId, rootId);
+  assert.ok(report.rows[0].totalMs >= childRow.totalMs);
+  assert.equal(report.running, rootId);
+  await controller.saveSession();
+  await controller.shutdown();
+
+  const resumed = await AppController.create(userDataDir);
+  assert.equal(resumed.selfTimes[childId], controller.selfTimes[childId]);
+  const archived = await resumed.getTimeReport(state.sessionId);
+  assert.equal(archived.rows.find((row) => row.nodeId === childId).title, "a");
+});
+
 await run("initSession archives previous active.json and creates new files", async () => {
   const sessionsDir = await createTempSessionsDir();
   await fs.mkdir(sessionsDir, { recursive: true });
-  await fs.writeFile(path.join(sessionsDir, "active.json"), '{"old":true}', "utf8");
+  await fs.writeFile(path.join(sessionsDir, "active.json"), JSON.stringify(createInitialState("old-session")), "utf8");
   const store = new SessionStore(sessionsDir);
   const state = await store.initSession();
   const files = await fs.readdir(sessionsDir);
@@ -66,33 +342,1175 @@ await run("initSession archives previous active.json and creates new files", asy
   assert.equal(state.sessionId, store.sessionId);
 });
 
-await run("appendEvent writes formatted text events", async () => {
+await run("appendEvent writes versioned JSON events", async () => {
   const sessionsDir = await createTempSessionsDir();
   const store = new SessionStore(sessionsDir);
   const state = await store.initSession();
+  const title = 'Task "A"\nline two \\ end';
   await store.appendEvent("ADD_CHILD", {
     nodeId: "n1",
     parentId: state.rootId,
-    title: "Task A"
+    title,
+    index: 0
   });
-  const lines = await store.readEvents(state.sessionId);
-  assert.ok(lines.some((line) => line.includes("ADD_CHILD")));
-  assert.ok(lines.some((line) => line.includes('title="Task A"')));
+  const raw = await fs.readFile(path.join(sessionsDir, `${state.sessionId}.events.log`), "utf8");
+  assert.equal(raw.trim().split("\n").length, 2);
+  const events = await store.readEvents(state.sessionId);
+  const added = events.find((event) => event.action === "ADD_CHILD");
+  assert.equal(added.v, 1);
+  assert.equal(added.title, title);
+  assert.equal(added.parentId, state.rootId);
+  assert.equal(added.index, 0);
+});
+
+await run("parseEventLog reads legacy text lines", async () => {
+  const events = parseEventLog(
+    [
+      '[2026-01-02T03:04:05.000Z] SESSION_START nodeId=r1 parentId=none title="Session Root"',
+      '[2026-01-02T03:04:06.000Z] ADD_SIBLING nodeId=n2 parentId=r1 title="say \\"hi\\"" from=n1',
+      "garbage"
+    ].join("\n")
+  );
+  assert.equal(events.length, 2);
+  assert.equal(events[0].v, 0);
+  assert.equal(events[0].parentId, null);
+  assert.equal(events[1].title, 'say "hi"');
+  assert.equal(events[1].from, "n1");
+});
+
+await run("replayEvents rebuilds the live tree from the log", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const rootId = (await controller.getState()).rootId;
+  const a = await controller.addChild(rootId, "a");
+  const aId = a.focusedNodeId;
+  const b = await controller.addSibling(aId, "b");
+  const bId = b.focusedNodeId;
+  await controller.addChild(aId, "a1");
+  await controller.renameNode(bId, "b\nrenamed");
+  await controller.moveNode(bId, rootId, 0);
+  await controller.updateNodeDetails(bId, { notes: "n", tags: ["x"], priority: "low" });
+  await controller.completeNode(aId);
+  await controller.deleteNode(bId);
+  await controller.undo();
+  await controller.focusNode(bId);
+  await controller.shutdown();
+  const live = await controller.getState();
+  const replayed = await controller.replayEvents(live.sessionId);
+  assert.equal(replayed.rootId, live.rootId);
+  assert.equal(replayed.focusedNodeId, live.focusedNodeId);
+  assert.deepEqual(Object.keys(replayed.nodes).sort(), Object.keys(live.nodes).sort());
+  for (const [id, node] of Object.entries(live.nodes)) {
+    assert.equal(replayed.nodes[id].title, node.title);
+    assert.equal(replayed.nodes[id].status, node.status);
+    assert.deepEqual(replayed.nodes[id].childrenIds, node.childrenIds);
+  }
+});
+
+await run("EventReplayer seeks forward and back to the state after any event", async () => {
+  const ts = "2026-01-01T10:00:00.000Z";
+  const events = [{ v: 1, ts, action: "SESSION_START", nodeId: "root", parentId: null, title: "start" }];
+  const count = REPLAY_KEYFRAME_INTERVAL * 2 + 20;
+  for (let index = 0; index < count; index += 1) {
+    events.push({ v: 1, ts, action: "ADD_CHILD", nodeId: `n${index}`, parentId: "root", title: `task ${index}` });
+  }
+  events.splice(5, 0, { v: 1, ts, action: "RENAME_NODE", nodeId: "missing", title: "x" });
+  const replayer = new EventReplayer(events, "replayed");
+  const childCount = () => replayer.getState().nodes.root.childrenIds.length;
+
+  assert.equal(replayer.getState(), null);
+  assert.equal(replayer.seek(events.length), events.length);
+  assert.equal(childCount(), count);
+  assert.equal(replayer.skipped, 1);
+  assert.equal(replayer.seek(REPLAY_KEYFRAME_INTERVAL + 3), REPLAY_KEYFRAME_INTERVAL + 3);
+  assert.deepEqual(replayer.getState().nodes, replayEvents(events.slice(0, REPLAY_KEYFRAME_INTERVAL + 3)).state.nodes);
+  replayer.seek(4);
+  assert.equal(childCount(), 3);
+  assert.equal(replayer.skipped, 0);
+  assert.equal(replayer.seek(events.length + 10), events.length);
+  assert.equal(childCount(), count);
+  assert.equal(replayer.getState().sessionId, "replayed");
+  assert.equal(replayer.getState().undoStack, undefined);
+
+  // 从关键帧继续时撤销栈也要恢复，关键帧之后的撤销结果与从头回放相同
+  const undo = { v: 1, ts, action: "UNDO", nodeId: "root", parentId: null, title: "" };
+  const withUndo = [...events.slice(0, REPLAY_KEYFRAME_INTERVAL + 1), undo, undo];
+  const undoReplayer = new EventReplayer(withUndo);
+  undoReplayer.seek(withUndo.length);
+  const expected = undoReplayer.getState();
+  undoReplayer.seek(REPLAY_KEYFRAME_INTERVAL);
+  undoReplayer.seek(withUndo.length);
+  assert.deepEqual(undoReplayer.getState(), expected);
+  assert.equal(undoReplayer.skipped, 1);
+});
+
+await run("branching from a replayed event starts a new session and keeps the old one", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const original = await controller.getState();
+  const a = await controller.addChild(original.rootId, "a");
+  const aId = a.focusedNodeId;
+  const bId = (await controller.addSibling(aId, "b")).focusedNodeId;
+  await controller.renameNode(bId, "b renamed");
+  await controller.completeNode(aId);
+
+  const events = await controller.readEvents(original.sessionId);
+  const branchIndex = events.findIndex((event) => event.action === "ADD_SIBLING") + 1;
+  const { total } = await controller.openReplay(original.sessionId);
+  assert.equal(total, events.length);
+  const frame = await controller.seekReplay(branchIndex);
+  assert.equal(frame.index, branchIndex);
+  assert.equal(frame.event.action, "ADD_SIBLING");
+  assert.equal(frame.state.nodes[bId].title, "b");
+  assert.equal(frame.state.nodes[aId].status, "active");
+
+  const branched = await controller.branchFromReplay(branchIndex);
+  assert.notEqual(branched.sessionId, original.sessionId);
+  assert.equal(branched.nodes[bId].title, "b");
+  assert.equal(branched.nodes[aId].status, "active");
+  assert.equal(branched.focusedNodeId, bId);
+  assert.equal(branched.undoStack, undefined);
+  assert.deepEqual(controller.machine.state.undoStack, []);
+  await assert.rejects(() => controller.seekReplay(1), /No session is being replayed/u);
+
+  // 原会话照常归档，分支会话的日志记录来源并可独立回放
+  const snapshots = await controller.listSnapshots();
+  assert.equal(snapshots.length, 1);
+  const archived = await controller.readSnapshot(snapshots[0]);
+  assert.equal(archived.nodes[bId].title, "b renamed");
+  await controller.addChild(bId, "b1");
+  const [start] = await controller.readEvents(branched.sessionId);
+  assert.equal(start.action, "SESSION_RESTORED_FROM");
+  assert.deepEqual(start.branchedFrom, { sessionId: original.sessionId, eventIndex: branchIndex });
+  const replayed = await controller.replayEvents(branched.sessionId);
+  assert.deepEqual(Object.keys(replayed.nodes).sort(), Object.keys((await controller.getState()).nodes).sort());
 });
 
-await run("scheduleStateWrite flushes state file", async () => {
+await run("writeCheckpoint folds the journal into active.json", async () => {
   const sessionsDir = await createTempSessionsDir();
   const store = new SessionStore(sessionsDir);
   const state = await store.initSession();
-  store.scheduleStateWrite({
-    ...state,
-    focusedNodeId: state.rootId
-  });
-  await store.flushPendingState();
+  await store.appendOperation("focusNode", [state.rootId]);
+  assert.ok((await store.readJournal()).length === 1);
+  await store.writeCheckpoint({ ...state, focusedNodeId: state.rootId });
   const raw = await fs.readFile(path.join(sessionsDir, "active.json"), "utf8");
   const loaded = JSON.parse(raw);
   assert.equal(loaded.sessionId, state.sessionId);
-  assert.equal(loaded.focusedNodeId, state.rootId);
+  assert.equal(loaded.journalSeq, 1);
+  assert.equal((await store.readJournal()).length, 0);
+});
+
+await run("the last good copy is replaced only after active.json reads back valid", async () => {
+  const sessionsDir = await createTempSessionsDir();
+  const store = new SessionStore(sessionsDir);
+  const state = await store.initSession();
+  const machine = new TreeStateMachine(state);
+  machine.addChild(state.rootId, "saved");
+  await store.writeCheckpoint(machine.getPersistedState());
+  const good = await fs.readFile(store.lastGoodPath, "utf8");
+  assert.equal(good, await fs.readFile(store.activePath, "utf8"));
+
+  const broken = machine.getPersistedState();
+  delete broken.nodes[broken.rootId];
+  await assert.rejects(store.writeStateNow(broken), /Invalid state/u);
+  assert.equal(await fs.readFile(store.lastGoodPath, "utf8"), good);
+  const files = await fs.readdir(sessionsDir);
+  assert.ok(!files.some((file) => file.endsWith(".tmp")));
+});
+
+await run("parseStateFile checks the checksum and the tree structure", async () => {
+  const state = createInitialState("session-test");
+  const sealed = withChecksum(state);
+  assert.deepEqual(parseStateFile(JSON.stringify(sealed)), state);
+  assert.deepEqual(parseStateFile(JSON.stringify(state)), state);
+  assert.throws(() => parseStateFile(JSON.stringify({ ...sealed, focusedNodeId: "x" })), /Checksum mismatch/u);
+  assert.throws(() => parseStateFile(JSON.stringify(sealed).slice(0, 40)), /Invalid JSON/u);
+  const orphan = { ...state, nodes: { ...state.nodes, [state.rootId]: { ...state.nodes[state.rootId], childrenIds: ["ghost"] } } };
+  assert.throws(() => parseStateFile(JSON.stringify(orphan)), /Child ghost/u);
+});
+
+await run("a journal entry that cannot be applied keeps the earlier operations", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const rootId = (await controller.getState()).rootId;
+  await controller.saveSession();
+  const kept = await controller.addChild(rootId, "applied");
+  const { store } = controller;
+  // 一条引用不存在节点的操作，以及它之后的一条正常操作
+  const lastSeq = store.journalSeq;
+  const broken = [
+    { seq: lastSeq + 1, ts: new Date().toISOString(), op: "renameNode", args: ["missing", "x"] },
+    { seq: lastSeq + 2, ts: new Date().toISOString(), op: "addChild", args: [rootId, "after", { id: "after" }] }
+  ];
+  await fs.appendFile(store.journalPath, broken.map((entry) => `${JSON.stringify(entry)}\n`).join(""), "utf8");
+
+  const resumed = await AppController.create(userDataDir);
+  const state = await resumed.getState();
+  assert.equal(state.sessionId, kept.sessionId);
+  assert.deepEqual(Object.keys(state.nodes).sort(), Object.keys(kept.nodes).sort());
+  const [report] = await resumed.takeRecoveryReport();
+  assert.equal(report.outcome, "recovered");
+  assert.equal(report.source, "journal");
+  assert.equal(report.skipped, 2);
+  assert.match(report.problem, /journal #\d+ renameNode: Node not found/u);
+  // 跳过的尾部已被新的检查点取代，之后的操作可以正常写入和重放
+  assert.deepEqual(await resumed.store.readJournal(), []);
+  await resumed.addChild(rootId, "next");
+  const reloaded = await resumed.store.loadActiveState();
+  assert.ok(Object.values(reloaded.nodes).some((node) => node.title === "next"));
+});
+
+await run("a truncated active.json is rebuilt from the last good copy and the journal", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const rootId = (await controller.getState()).rootId;
+  await controller.addChild(rootId, "kept in checkpoint");
+  await controller.saveSession();
+  const latest = await controller.addChild(rootId, "only in journal");
+  const { store } = controller;
+  const raw = await fs.readFile(store.activePath, "utf8");
+  await fs.writeFile(store.activePath, raw.slice(0, raw.length / 2), "utf8");
+
+  const resumed = await AppController.create(userDataDir);
+  const state = await resumed.getState();
+  assert.equal(state.sessionId, latest.sessionId);
+  assert.deepEqual(Object.keys(state.nodes).sort(), Object.keys(latest.nodes).sort());
+  const [report] = await resumed.takeRecoveryReport();
+  assert.equal(report.outcome, "recovered");
+  assert.equal(report.source, "last-good");
+  assert.match(report.problem, /active\.json: Invalid JSON/u);
+  assert.deepEqual(await resumed.takeRecoveryReport(), []);
+  // 修复后立即写回完好的检查点
+  assert.equal(parseStateFile(await fs.readFile(resumed.store.activePath, "utf8")).sessionId, latest.sessionId);
+  const events = await resumed.readEvents(latest.sessionId);
+  assert.ok(events.some((event) => event.action === "SESSION_RECOVERED" && event.source === "last-good"));
+});
+
+await run("recovery falls back to the event log and sets aside unrecoverable files", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const rootId = (await controller.getState()).rootId;
+  const latest = await controller.addChild(rootId, "from events");
+  await controller.saveSession();
+  const { store } = controller;
+  await fs.writeFile(store.activePath, "{", "utf8");
+  await fs.writeFile(store.lastGoodPath, "", "utf8");
+
+  const resumed = await AppController.create(userDataDir);
+  const state = await resumed.getState();
+  assert.equal(state.sessionId, latest.sessionId);
+  assert.ok(Object.values(state.nodes).some((node) => node.title === "from events"));
+  const [report] = await resumed.takeRecoveryReport();
+  assert.equal(report.source, "events");
+  assert.equal(report.skipped, 0);
+
+  // 日志也无法使用：不归档损坏的文件，改名保留后开始新会话
+  await resumed.saveSession();
+  await fs.writeFile(resumed.store.activePath, "garbage", "utf8");
+  await fs.rm(resumed.store.lastGoodPath);
+  await fs.writeFile(path.join(resumed.store.baseDir, `${latest.sessionId}.events.log`), "", "utf8");
+  const fresh = await AppController.create(userDataDir);
+  assert.equal(Object.keys((await fresh.getState()).nodes).length, 1);
+  const [lost] = await fresh.takeRecoveryReport();
+  assert.equal(lost.outcome, "lost");
+  const files = await fs.readdir(fresh.store.baseDir);
+  assert.ok(files.some((name) => name.startsWith("active.json.corrupt-")));
+  assert.ok(files.some((name) => name.startsWith(`${latest.sessionId}.events.log.corrupt-`)));
+  assert.deepEqual(await fresh.listSnapshots(), []);
+});
+
+await run("a damaged snapshot is flagged and repaired from its event log", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const first = await AppController.create(userDataDir);
+  const rootId = (await first.getState()).rootId;
+  await first.addChild(rootId, "archived task");
+  const second = await AppController.create(userDataDir);
+  const [snapshotId] = await second.listSnapshots();
+  const snapshotPath = second.store.snapshotPath(snapshotId);
+  const raw = await fs.readFile(snapshotPath, "utf8");
+  await fs.writeFile(snapshotPath, raw.replace("archived task", "tampered"), "utf8");
+  await fs.rm(second.store.snapshotIndexPath);
+
+  await assert.rejects(second.readSnapshot(snapshotId), /is damaged: Checksum mismatch/u);
+  const [entry] = (await second.listSnapshotSummaries(0, 10)).entries;
+  assert.equal(entry.unreadable, true);
+  assert.match(entry.problem, /Checksum mismatch/u);
+
+  const repaired = await second.repairSnapshot(snapshotId);
+  assert.equal(repaired.skipped, 0);
+  assert.equal(repaired.entry.taskCount, 1);
+  assert.ok(!repaired.entry.unreadable);
+  const snapshot = await second.readSnapshot(snapshotId);
+  assert.ok(Object.values(snapshot.nodes).some((node) => node.title === "archived task"));
+  assert.equal(await fs.readFile(`${snapshotPath}.corrupt`, "utf8"), raw.replace("archived task", "tampered"));
+});
+
+await run("repairing a snapshot without a session id uses the session before it, not the newer one", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const first = await AppController.create(userDataDir);
+  const rootId = (await first.getState()).rootId;
+  await first.addChild(rootId, "archived task");
+  const second = await AppController.create(userDataDir);
+  const { baseDir } = second.store;
+  const readLog = (sessionId) => fs.readFile(path.join(baseDir, `${sessionId}.events.log`), "utf8");
+  const firstLog = await readLog((await first.getState()).sessionId);
+  const secondLog = await readLog((await second.getState()).sessionId);
+
+  // 快照 id 是归档时间，与归档时新开始的会话 id 相同；损坏文件里也找不到 sessionId
+  const snapshotId = "2099-01-02_10-00-00";
+  await fs.writeFile(path.join(baseDir, "2099-01-01_10-00-00.events.log"), firstLog, "utf8");
+  await fs.writeFile(path.join(baseDir, `${snapshotId}.events.log`), secondLog, "utf8");
+  await fs.writeFile(second.store.snapshotPath(snapshotId), "{", "utf8");
+
+  const repaired = await second.repairSnapshot(snapshotId);
+  assert.equal(repaired.entry.taskCount, 1);
+  assert.equal(repaired.entry.sessionId, "2099-01-01_10-00-00");
+});
+
+await run("state files from every earlier version migrate to the current schema", async () => {
+  const names = (await fs.readdir(FIXTURES_DIR)).filter((name) => name.startsWith("v0-"));
+  assert.equal(names.length, 5);
+  for (const name of names) {
+    const original = parseStateFile(await readFixture(name));
+    const migrated = migrateState(original);
+    assert.equal(migrated.schemaVersion, CURRENT_SCHEMA_VERSION, name);
+    assert.equal(migrated.sessionId, original.sessionId, name);
+    for (const node of Object.values(migrated.nodes)) {
+      assert.deepEqual([node.notes, node.dueDate, node.priority, node.tags].map((value) => value !== undefined), [true, true, true, true], name);
+    }
+    for (const entry of [...migrated.undoStack, ...migrated.redoStack]) {
+      assert.equal(entry.rootId, undefined, name);
+    }
+
+    // 撤销到底再重做回来，每一步都与旧版本逐条记录的整树一致
+    const machine = new TreeStateMachine(migrated);
+    const depth = migrated.undoStack.length;
+    for (let step = 0; step < depth; step += 1) {
+      const expected = original.undoStack[depth - 1 - step];
+      const state = machine.undo();
+      if (expected.rootId) {
+        assert.deepEqual(Object.keys(state.nodes).sort(), Object.keys(expected.nodes).sort(), name);
+        for (const [id, node] of Object.entries(expected.nodes)) {
+          assert.equal(state.nodes[id].title, node.title, name);
+          assert.equal(state.nodes[id].status, node.status, name);
+          assert.deepEqual(state.nodes[id].childrenIds, node.childrenIds, name);
+        }
+      }
+    }
+    for (let step = 0; step < depth + migrated.redoStack.length; step += 1) {
+      machine.redo();
+    }
+    const redone = machine.getState();
+    assert.deepEqual(Object.keys(redone.nodes).sort(), Object.keys(migrated.nodes).sort(), name);
+  }
+  assert.throws(
+    () => migrateState({ ...createInitialState("future"), schemaVersion: CURRENT_SCHEMA_VERSION + 1 }),
+    /newer than supported/u
+  );
+});
+
+await run("old snapshots and active.json are migrated on read and restore", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const sessionsDir = path.join(userDataDir, "sessions", "default");
+  await fs.mkdir(sessionsDir, { recursive: true });
+  await fs.writeFile(path.join(sessionsDir, "2025-06-01_18-00-00.snapshot.json"), await readFixture("v0-baseline.snapshot.json"));
+  await fs.writeFile(path.join(sessionsDir, "active.json"), await readFixture("v0-mixed-undo.active.json"));
+  await fs.writeFile(path.join(sessionsDir, "continue.flag"), "1");
+
+  const controller = await AppController.create(userDataDir);
+  const resumed = await controller.getState();
+  assert.equal(resumed.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.ok(Object.values(resumed.nodes).some((node) => node.title === "ship release"));
+  // 第一步撤销的是升级后写入的补丁条目，第二步是升级前写入的整树条目
+  const first = await controller.undo();
+  assert.ok(!Object.values(first.nodes).some((node) => node.title === "after upgrade"));
+  const second = await controller.undo();
+  assert.equal(Object.values(second.nodes).find((node) => node.title === "abandoned idea").status, "active");
+  await controller.saveSession();
+  assert.equal(JSON.parse(await fs.readFile(controller.store.activePath, "utf8")).schemaVersion, CURRENT_SCHEMA_VERSION);
+
+  const snapshot = await controller.readSnapshot("2025-06-01_18-00-00");
+  assert.equal(snapshot.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.ok(Object.values(snapshot.nodes).every((node) => Array.isArray(node.tags)));
+  const restored = await controller.restoreSession("2025-06-01_18-00-00");
+  assert.equal(restored.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.ok(Object.values(restored.nodes).some((node) => node.title === "write report"));
+});
+
+await run("an active.json from a newer app version is kept aside, not overwritten", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const sessionsDir = path.join(userDataDir, "sessions", "default");
+  await fs.mkdir(sessionsDir, { recursive: true });
+  const future = JSON.stringify({ ...createInitialState("future-session"), schemaVersion: CURRENT_SCHEMA_VERSION + 1 });
+  await fs.writeFile(path.join(sessionsDir, "active.json"), future);
+
+  const controller = await AppController.create(userDataDir);
+  assert.notEqual((await controller.getState()).sessionId, "future-session");
+  const [report] = await controller.takeRecoveryReport();
+  assert.equal(report.outcome, "newer");
+  const kept = (await fs.readdir(sessionsDir)).find((name) => name.startsWith(`active.json.v${CURRENT_SCHEMA_VERSION + 1}-`));
+  assert.equal(await fs.readFile(path.join(sessionsDir, kept), "utf8"), future);
+  assert.deepEqual(await controller.listSnapshots(), []);
+});
+
+await run("continued session rebuilds from checkpoint plus journal tail", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  controller.store.compactEvery = 3;
+  const rootId = (await controller.getState()).rootId;
+  const a = await controller.addChild(rootId, "a");
+  await controller.addChild(a.focusedNodeId, "a1");
+  await controller.completeNode(a.focusedNodeId);
+  await controller.addChild(rootId, "b");
+  await controller.undo();
+  const live = await controller.getState();
+  const journal = await controller.store.readJournal();
+  assert.equal(journal.length, 2);
+  await controller.store.markContinue();
+
+  const resumed = await AppController.create(userDataDir);
+  const state = await resumed.getState();
+  assert.equal(state.sessionId, live.sessionId);
+  assert.equal(state.focusedNodeId, live.focusedNodeId);
+  assert.deepEqual(state.nodes, live.nodes);
+  assert.equal(resumed.machine.state.undoStack.length, controller.machine.state.undoStack.length);
+  assert.equal(resumed.machine.state.redoStack.length, 1);
+  assert.equal(state.journalSeq, undefined);
+});
+
+await run("checkpoints written by the controller keep a bounded undo history", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  controller.store.compactEvery = 10;
+  const rootId = (await controller.getState()).rootId;
+  const { focusedNodeId: nodeId } = await controller.addChild(rootId, "renamed");
+  for (let i = 0; i < MAX_PERSISTED_HISTORY + 19; i += 1) {
+    await controller.renameNode(nodeId, `renamed ${i}`);
+  }
+  assert.equal((await controller.store.readJournal()).length, 0);
+  const written = JSON.parse(await fs.readFile(path.join(controller.store.baseDir, "active.json"), "utf8"));
+  assert.equal(written.undoStack.length, MAX_PERSISTED_HISTORY);
+  assert.deepEqual(written.redoStack, []);
+  assert.equal(written.nodes[nodeId].title, `renamed ${MAX_PERSISTED_HISTORY + 18}`);
+  assert.equal(controller.machine.state.undoStack.length, MAX_PERSISTED_HISTORY + 20);
+});
+
+await run("a failed journal write is reported and the next operation writes a full checkpoint", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const errors = [];
+  controller.onPersistError = (error) => errors.push(error.message);
+  const rootId = (await controller.getState()).rootId;
+  const appendOperation = controller.store.appendOperation;
+  controller.store.appendOperation = async () => {
+    throw new Error("disk full");
+  };
+  await controller.addChild(rootId, "lost from journal");
+  assert.deepEqual(errors, ["disk full"]);
+  controller.store.appendOperation = appendOperation;
+
+  await controller.addChild(rootId, "next");
+  assert.equal(errors.length, 1);
+  assert.equal((await controller.store.readJournal()).length, 0);
+  const written = JSON.parse(await fs.readFile(path.join(controller.store.baseDir, "active.json"), "utf8"));
+  const titles = Object.values(written.nodes).map((node) => node.title);
+  assert.ok(titles.includes("lost from journal"));
+  assert.ok(titles.includes("next"));
+
+  await controller.addChild(rootId, "journaled");
+  assert.equal((await controller.store.readJournal()).length, 1);
+});
+
+await run("archiving folds pending journal operations into the snapshot", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const rootId = (await controller.getState()).rootId;
+  await controller.addChild(rootId, "unsaved");
+  await AppController.create(userDataDir);
+  const [snapshotId] = await controller.store.listSnapshots();
+  const snapshot = await controller.store.readSnapshot(snapshotId);
+  assert.ok(Object.values(snapshot.nodes).some((node) => node.title === "unsaved"));
+});
+
+await run("snapshot files leave out the undo and redo history", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const rootId = (await controller.getState()).rootId;
+  await controller.addChild(rootId, "kept");
+  await controller.addChild(rootId, "undone");
+  await controller.undo();
+  const checkpoint = await controller.createCheckpoint();
+  await AppController.create(userDataDir);
+  for (const snapshotId of await controller.store.listSnapshots()) {
+    const raw = JSON.parse(await fs.readFile(controller.store.snapshotPath(snapshotId), "utf8"));
+    assert.equal(raw.undoStack, undefined);
+    assert.equal(raw.redoStack, undefined);
+    assert.ok(Object.values(raw.nodes).some((node) => node.title === "kept"));
+  }
+  const restored = await controller.readSnapshot(checkpoint.id);
+  assert.ok(Object.values(restored.nodes).some((node) => node.title === "kept"));
+});
+
+await run("searchEvents filters event hits by their local date", async () => {
+  // 本地时间 2 月 1 日 00:30，在东八区等时区对应的 UTC 日期还是 1 月 31 日
+  const ts = new Date(2026, 1, 1, 0, 30).toISOString();
+  const events = [
+    { v: 1, ts, action: "SESSION_START", nodeId: "root", parentId: null, title: "start" },
+    { v: 1, ts, action: "ADD_CHILD", nodeId: "a", parentId: "root", title: "midnight task" }
+  ];
+  assert.equal(searchEvents(events, ["midnight"], { from: "2026-02-01", to: "2026-02-01" }).length, 1);
+  assert.equal(searchEvents(events, ["midnight"], { to: "2026-01-31" }).length, 0);
+});
+
+await run("searchArchive finds titles in snapshots and event logs", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const first = await AppController.create(userDataDir);
+  const rootId = (await first.getState()).rootId;
+  const project = (await first.addChild(rootId, "Project X")).focusedNodeId;
+  const report = (await first.addChild(project, "Quarterly report")).focusedNodeId;
+  const draft = (await first.addChild(project, "beta draft")).focusedNodeId;
+  await first.renameNode(draft, "final copy");
+
+  const second = await AppController.create(userDataDir);
+  await second.addChild((await second.getState()).rootId, "report for the live session");
+  const [snapshotId] = await second.listSnapshots();
+
+  const { results } = await second.searchArchive("REPORT quarter");
+  assert.equal(results.length, 1);
+  assert.deepEqual(
+    { ...results[0], timestamp: undefined },
+    {
+      source: "snapshot",
+      sessionId: (await first.getState()).sessionId,
+      snapshotId,
+      nodeId: report,
+      title: "Quarterly report",
+      status: "active",
+      path: ["Project X"],
+      timestamp: undefined
+    }
+  );
+
+  const renamed = await second.searchArchive("beta");
+  assert.equal(renamed.results.length, 1);
+  assert.equal(renamed.results[0].source, "events");
+  assert.equal(renamed.results[0].snapshotId, snapshotId);
+  assert.deepEqual(renamed.results[0].path, ["Project X"]);
+
+  assert.equal((await second.searchArchive("report", { from: "2999-01-01" })).results.length, 0);
+  assert.equal((await second.searchArchive("   ")).results.length, 0);
+
+  // 之后的查询复用已解析的文件，只有改动过的快照会重新读取
+  const reads = [];
+  const { readSnapshot, readEvents } = second.store;
+  second.store.readSnapshot = (id) => (reads.push(id), readSnapshot.call(second.store, id));
+  second.store.readEvents = (id) => (reads.push(id), readEvents.call(second.store, id));
+  assert.equal((await second.searchArchive("copy")).results.length, 1);
+  assert.deepEqual(reads, []);
+  await second.annotateSnapshot(snapshotId, { label: "quarter end" });
+  reads.length = 0;
+  assert.equal((await second.searchArchive("report")).results.length, 1);
+  assert.deepEqual(reads, [snapshotId]);
+});
+
+await run("exportTree renders markdown, text and OPML with completion state", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const a = machine.addChild(rootId, "Plan & <ship>").nodeId;
+  const a1 = machine.addChild(a, "write \"docs\"").nodeId;
+  machine.addChild(a, "review");
+  const b = machine.addChild(rootId, "dropped").nodeId;
+  machine.completeNode(a1);
+  machine.deleteNode(b);
+  const state = machine.getState();
+
+  assert.equal(exportTree(state, "markdown"), '- [ ] Plan & <ship>\n  - [x] write "docs"\n  - [ ] review\n');
+  assert.equal(exportTree(state, "text"), 'Plan & <ship>\n\t✓ write "docs"\n\treview\n');
+  const opml = exportTree(state, "opml", { title: "t" });
+  assert.ok(opml.includes('<outline text="Plan &amp; &lt;ship&gt;">'));
+  assert.ok(opml.includes('<outline text="write &quot;docs&quot;" _complete="true"/>'));
+  assert.equal(opml.match(/<\/outline>/gu).length, 1);
+  assert.ok(!opml.includes("dropped"));
+  assert.throws(() => exportTree(state, "pdf"), /Unknown export format/u);
+});
+
+await run("parseOutline reads markdown, indented text and OPML", async () => {
+  const markdown = parseOutline("# Launch\n- [ ] build\n  - [x] tests\n  * docs\n\n- [X] ship\n");
+  assert.equal(markdown.format, "markdown");
+  assert.equal(markdown.count, 5);
+  assert.deepEqual(
+    markdown.items.map((item) => item.title),
+    ["Launch"]
+  );
+  const [build, ship] = markdown.items[0].children;
+  assert.deepEqual(build.children.map((item) => [item.title, item.completed]), [["tests", true], ["docs", false]]);
+  assert.equal(ship.completed, true);
+
+  const text = parseOutline("a\n\tb\n\t\t✓ c\n    d\ne\n");
+  assert.equal(text.format, "text");
+  assert.deepEqual(text.items.map((item) => item.title), ["a", "e"]);
+  assert.deepEqual(text.items[0].children.map((item) => item.title), ["b", "d"]);
+  assert.equal(text.items[0].children[0].children[0].completed, true);
+
+  // 导出结果应能原样导回
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const a = machine.addChild(rootId, "Plan & <ship>").nodeId;
+  machine.completeNode(machine.addChild(a, "write \"docs\"").nodeId);
+  const opml = parseOutline(exportTree(machine.getState(), "opml"));
+  assert.equal(opml.format, "opml");
+  assert.deepEqual(opml.items, [
+    { title: "Plan & <ship>", completed: false, children: [{ title: 'write "docs"', completed: true, children: [] }] }
+  ]);
+  assert.throws(() => parseOutline("x", "csv"), /Unknown import format/u);
+});
+
+await run("importSubtree grafts under the parent as one undo step and replays", async () => {
+  const sessionsDir = await createTempSessionsDir();
+  const store = new SessionStore(sessionsDir);
+  const initial = await store.initSession();
+  const controller = new AppController(store, new TreeStateMachine(initial));
+  const rootId = initial.rootId;
+  const parentId = (await controller.addChild(rootId, "inbox")).focusedNodeId;
+  const { items } = parseOutline("- [ ] a\n  - [x] a1\n- [ ] b\n");
+  const result = await controller.importSubtree(parentId, items);
+  assert.equal(result.createdIds.length, 3);
+  assert.equal(result.state.focusedNodeId, parentId);
+  const inbox = result.state.nodes[parentId];
+  assert.deepEqual(inbox.childrenIds.map((id) => result.state.nodes[id].title), ["a", "b"]);
+  const a1 = result.state.nodes[result.state.nodes[inbox.childrenIds[0]].childrenIds[0]];
+  assert.equal(a1.status, "completed");
+
+  const replayed = await store.replayEvents(store.sessionId);
+  assert.deepEqual(Object.keys(replayed.nodes).sort(), Object.keys(result.state.nodes).sort());
+  const reloaded = await store.loadActiveState();
+  assert.deepEqual(Object.keys(reloaded.nodes).sort(), Object.keys(result.state.nodes).sort());
+
+  const undone = await controller.undo();
+  assert.deepEqual(undone.nodes[parentId].childrenIds, []);
+  assert.equal(Object.keys(undone.nodes).length, 2);
+});
+
+await run("importSubtree completes children of a completed item and rejects bad items before changing anything", async () => {
+  const machine = new TreeStateMachine(createInitialState("import-test"));
+  const rootId = machine.state.rootId;
+  const { items } = parseOutline("- [x] parent\n  - [ ] open child\n    - [ ] grandchild\n- [ ] sibling\n");
+  const { createdIds, state } = machine.importSubtree(rootId, items);
+  const statuses = Object.fromEntries(createdIds.map((id) => [state.nodes[id].title, state.nodes[id].status]));
+  assert.deepEqual(statuses, { parent: "completed", "open child": "completed", grandchild: "completed", sibling: "active" });
+
+  const before = machine.getState();
+  assert.throws(
+    () => machine.importSubtree(rootId, [{ title: "ok", children: [] }, { title: "bad", priority: "urgent", children: [] }]),
+    /Invalid priority/u
+  );
+  assert.deepEqual(machine.getState(), before);
+});
+
+await run("importFromSnapshot copies a subtree with fresh ids as one undo step", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const first = await AppController.create(userDataDir);
+  const oldRoot = (await first.getState()).rootId;
+  const branch = (await first.addChild(oldRoot, "forgotten branch")).focusedNodeId;
+  const leaf = (await first.addChild(branch, "leaf")).focusedNodeId;
+  await first.updateNodeDetails(leaf, { tags: ["keep"] });
+  const dropped = (await first.addChild(branch, "dropped")).focusedNodeId;
+  await first.deleteNode(dropped);
+  await first.completeNode(leaf);
+
+  const second = await AppController.create(userDataDir);
+  const [snapshotId] = await second.listSnapshots();
+  const rootId = (await second.getState()).rootId;
+  const target = (await second.addChild(rootId, "today")).focusedNodeId;
+  const result = await second.importFromSnapshot(snapshotId, branch, target);
+  assert.equal(result.createdIds.length, 2);
+  assert.ok(!result.createdIds.includes(branch) && !result.createdIds.includes(leaf));
+  const copy = result.state.nodes[result.state.nodes[target].childrenIds[0]];
+  assert.equal(copy.title, "forgotten branch");
+  const copiedLeaf = result.state.nodes[copy.childrenIds[0]];
+  assert.equal(copy.childrenIds.length, 1);
+  assert.equal(copiedLeaf.status, "completed");
+  assert.deepEqual(copiedLeaf.tags, ["keep"]);
+
+  const events = await second.readEvents(result.state.sessionId);
+  const imported = events.find((event) => event.action === "IMPORT_SUBTREE");
+  assert.equal(imported.source, "snapshot");
+  assert.equal(imported.snapshotId, snapshotId);
+  assert.equal(imported.sourceNodeId, branch);
+
+  const undone = await second.undo();
+  assert.deepEqual(undone.nodes[target].childrenIds, []);
+  await assert.rejects(second.importFromSnapshot(snapshotId, dropped, target), /Node not found or deleted/u);
+});
+
+await run("diffStates reports added, removed, renamed, moved and completed nodes", async () => {
+  const machine = new TreeStateMachine(createInitialState("session-test"));
+  const rootId = machine.getState().rootId;
+  const a = machine.addChild(rootId, "a").nodeId;
+  const b = machine.addChild(rootId, "b").nodeId;
+  const a1 = machine.addChild(a, "a1").nodeId;
+  const a2 = machine.addChild(a, "a2").nodeId;
+  const gone = machine.addChild(b, "gone").nodeId;
+  const goneChild = machine.addChild(gone, "gone child").nodeId;
+  const before = machine.getState();
+
+  machine.renameNode(a1, "a1 renamed");
+  machine.moveNode(a2, b);
+  machine.completeNode(a1);
+  machine.deleteNode(gone);
+  const fresh = machine.addChild(a, "fresh").nodeId;
+  const after = machine.getState();
+
+  const diff = diffStates(before, after);
+  assert.deepEqual(diff.changes[a1].kinds, ["renamed", "completed"]);
+  assert.deepEqual(diff.changes[a2].kinds, ["moved"]);
+  assert.deepEqual(diff.changes[gone].kinds, ["removed"]);
+  assert.deepEqual(diff.changes[goneChild].kinds, ["removed"]);
+  assert.deepEqual(diff.changes[fresh].kinds, ["added"]);
+  assert.equal(diff.changes[a], undefined);
+  assert.deepEqual(diff.summary, { added: 1, removed: 2, renamed: 1, moved: 1, completed: 1, reopened: 0 });
+
+  const rows = buildDiffRows(before, after, diff);
+  assert.deepEqual(
+    rows.map((row) => [row.title, row.depth]),
+    [["a", 0], ["a1 renamed", 1], ["fresh", 1], ["b", 0], ["a2", 1], ["gone", 1], ["gone child", 2]]
+  );
+  assert.equal(rows.find((row) => row.nodeId === a1).oldTitle, "a1");
+  assert.equal(rows.find((row) => row.nodeId === a2).fromParentTitle, "a");
+
+  // 根节点 id 不同的两棵树：顶层节点不应被当作移动
+  const restored = { ...after, rootId: "other-root", nodes: { ...after.nodes } };
+  restored.nodes["other-root"] = { ...after.nodes[rootId], id: "other-root" };
+  delete restored.nodes[rootId];
+  for (const id of restored.nodes["other-root"].childrenIds) {
+    restored.nodes[id] = { ...restored.nodes[id], parentId: "other-root" };
+  }
+  assert.equal(diffStates(after, restored).summary.moved, 0);
+});
+
+await run("selectSnapshotsToPrune keeps recent, daily, weekly and pinned snapshots", async () => {
+  const snapshots = [
+    "2026-03-10_18-00-00",
+    "2026-03-10_09-00-00",
+    "2026-03-09_12-00-00",
+    "2026-03-04_12-00-00",
+    "2026-03-03_12-00-00",
+    "2026-02-01_12-00-00",
+    "2025-12-01_12-00-00"
+  ].map((id) => ({ id, size: 1024 * 1024 }));
+  const policy = { keepLast: 1, keepDaily: 2, keepWeekly: 2, maxTotalMB: 0 };
+  const { keep, prune } = selectSnapshotsToPrune(snapshots, policy, ["2025-12-01_12-00-00"]);
+  // 03-10 最新 + 03-09 第二天；03-04 是上一周最新的一个
+  assert.deepEqual(keep, ["2026-03-10_18-00-00", "2026-03-09_12-00-00", "2026-03-04_12-00-00", "2025-12-01_12-00-00"]);
+  assert.deepEqual(prune, ["2026-03-10_09-00-00", "2026-03-03_12-00-00", "2026-02-01_12-00-00"]);
+
+  const bySize = selectSnapshotsToPrune(snapshots, { keepLast: 7, keepDaily: 0, keepWeekly: 0, maxTotalMB: 2 }, [
+    "2025-12-01_12-00-00"
+  ]);
+  assert.deepEqual(bySize.keep, ["2026-03-10_18-00-00", "2025-12-01_12-00-00"]);
+  assert.throws(() => selectSnapshotsToPrune(snapshots, { keepLast: -1 }), /Invalid retention value/u);
+});
+
+await run("pruneArchive removes old snapshots and their logs but keeps pinned ones", async () => {
+  const sessionsDir = await createTempSessionsDir();
+  const store = new SessionStore(sessionsDir);
+  await store.ensureDir();
+  const ids = ["2026-01-01_10-00-00", "2026-01-02_10-00-00", "2026-01-03_10-00-00"];
+  for (const id of ids) {
+    const state = createInitialState(`session-${id}`);
+    await fs.writeFile(path.join(sessionsDir, `${id}.snapshot.json`), JSON.stringify(state), "utf8");
+    await fs.writeFile(path.join(sessionsDir, `session-${id}.events.log`), "", "utf8");
+    await fs.writeFile(path.join(sessionsDir, `session-${id}.time.log`), "", "utf8");
+  }
+  // 没有保存过保留策略时不清理任何东西
+  assert.equal((await store.readArchiveConfig()).retentionEnabled, false);
+  assert.deepEqual(await store.pruneArchive(), { prunedSnapshots: [], prunedSessions: [] });
+  assert.equal((await store.listSessions()).length, ids.length);
+
+  await store.setRetention({ keepLast: 1, keepDaily: 0, keepWeekly: 0 });
+  await store.pinSnapshot(ids[0]);
+  assert.equal((await store.readArchiveConfig()).retentionEnabled, true);
+  await assert.rejects(store.deleteSnapshot(ids[0]), /Pinned snapshots cannot be deleted/u);
+
+  // 还不知道当前会话时不清理，以免删掉正在写的会话日志
+  await assert.rejects(store.pruneArchive(), /Live session id is required/u);
+  assert.equal((await store.listSnapshots()).length, ids.length);
+  await fs.writeFile(path.join(sessionsDir, "session-live.events.log"), "", "utf8");
+  const { prunedSnapshots, prunedSessions } = await store.pruneArchive({ keepSessionId: "session-live" });
+  assert.deepEqual(prunedSnapshots, [ids[1]]);
+  assert.deepEqual(prunedSessions, [`session-${ids[1]}`]);
+  assert.deepEqual(await store.listSnapshots(), [ids[2], ids[0]]);
+  const files = await fs.readdir(sessionsDir);
+  assert.ok(!files.includes(`session-${ids[1]}.time.log`));
+
+  store.sessionId = "session-live";
+  await store.deleteSnapshot(ids[2]);
+  assert.deepEqual((await store.listSessions()).sort(), [`session-${ids[0]}`, "session-live"]);
+  assert.throws(() => store.snapshotPath("../escape"), /Invalid snapshot id/u);
+});
+
+await run("orphan log cleanup keeps the logs a damaged snapshot needs for repair", async () => {
+  const sessionsDir = await createTempSessionsDir();
+  const store = new SessionStore(sessionsDir);
+  await store.ensureDir();
+  // 损坏快照的 id 是归档时间，恰好等于下一个会话的 id
+  const damagedId = "2026-01-02_10-00-00";
+  const raw = JSON.stringify(createInitialState("2026-01-01_10-00-00"));
+  await fs.writeFile(path.join(sessionsDir, `${damagedId}.snapshot.json`), raw.slice(0, -20), "utf8");
+  for (const sessionId of ["2026-01-01_10-00-00", damagedId, "2026-01-03_10-00-00"]) {
+    await fs.writeFile(path.join(sessionsDir, `${sessionId}.events.log`), "", "utf8");
+  }
+  store.sessionId = "2026-01-03_10-00-00";
+
+  assert.deepEqual(await store.removeOrphanLogs(), [damagedId]);
+  assert.deepEqual(await store.listSessions(), ["2026-01-03_10-00-00", "2026-01-01_10-00-00"]);
+
+  // 连 sessionId 都找不到时不删除任何日志
+  await fs.writeFile(path.join(sessionsDir, `${damagedId}.snapshot.json`), "{", "utf8");
+  await fs.rm(store.snapshotIndexPath, { force: true });
+  await fs.writeFile(path.join(sessionsDir, "2026-01-02_12-00-00.events.log"), "", "utf8");
+  assert.deepEqual(await store.removeOrphanLogs(), []);
+  assert.equal((await store.listSessions()).length, 3);
+});
+
+await run("snapshot index is kept on archive and rebuilt when missing", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const first = await AppController.create(userDataDir);
+  const rootId = (await first.getState()).rootId;
+  const parent = (await first.addChild(rootId, "parent")).focusedNodeId;
+  for (const title of ["c1", "c2", "c3", "c4", "c5", "c6"]) {
+    await first.addChild(parent, title);
+  }
+  const done = (await first.addChild(rootId, "done")).focusedNodeId;
+  await first.completeNode(done);
+  await AppController.create(userDataDir);
+  const third = await AppController.create(userDataDir);
+
+  const store = third.store;
+  const index = JSON.parse(await fs.readFile(store.snapshotIndexPath, "utf8"));
+  assert.equal(Object.keys(index.entries).length, 2);
+
+  const page = await third.listSnapshotSummaries(1, 1);
+  assert.equal(page.total, 2);
+  assert.equal(page.entries.length, 1);
+  const oldest = page.entries[0];
+  assert.equal(oldest.sessionId, (await first.getState()).sessionId);
+  assert.equal(oldest.taskCount, 7);
+  assert.equal(oldest.doneCount, 1);
+  assert.equal(oldest.rowCount, 7);
+  assert.deepEqual(oldest.preview[1], { title: "c1", depth: 1 });
+  assert.equal(oldest.preview.length, 6);
+  assert.equal(oldest.pinned, false);
+
+  await fs.rm(store.snapshotIndexPath);
+  const rebuilt = await third.listSnapshotSummaries(0, 10);
+  assert.deepEqual(rebuilt.entries.map((entry) => entry.id), await third.listSnapshots());
+  assert.deepEqual(rebuilt.entries[1].preview, oldest.preview);
+
+  await third.deleteSnapshot(oldest.id);
+  assert.equal((await third.listSnapshotSummaries()).total, 1);
+});
+
+await run("manual checkpoints keep the session and can be relabelled", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const before = await controller.getState();
+  await controller.addChild(before.rootId, "ship it");
+  const summary = await controller.createCheckpoint({ label: "  before\nrelease ", description: "all green" });
+  assert.equal(summary.label, "before release");
+  assert.equal(summary.description, "all green");
+  assert.equal(summary.checkpoint, true);
+  assert.equal(summary.taskCount, 1);
+
+  const live = await controller.getState();
+  assert.equal(live.sessionId, before.sessionId);
+  await controller.addChild(live.rootId, "after checkpoint");
+  const snapshot = await controller.readSnapshot(summary.id);
+  assert.equal(snapshot.sessionId, before.sessionId);
+  assert.ok(!Object.values(snapshot.nodes).some((node) => node.title === "after checkpoint"));
+
+  const second = await controller.createCheckpoint();
+  assert.notEqual(second.id, summary.id);
+  assert.equal(second.label, null);
+
+  const renamed = await controller.annotateSnapshot(summary.id, { label: "v1", description: "" });
+  assert.equal(renamed.label, "v1");
+  assert.equal(renamed.description, null);
+  const { entries } = await controller.listSnapshotSummaries(0, 10);
+  assert.equal(entries.find((entry) => entry.id === summary.id).label, "v1");
+
+  const events = await controller.readEvents(before.sessionId);
+  assert.deepEqual(
+    events.filter((event) => event.action === "CHECKPOINT").map((event) => event.snapshotId),
+    [summary.id, second.id]
+  );
+});
+
+await run("computeStats reports daily counts, completion time, depth, abandoned branches and streaks", async () => {
+  const at = (day, hour) => new Date(2026, 0, day, hour).toISOString();
+  const node = (id, parentId, title, fields = {}) => ({
+    id,
+    parentId,
+    title,
+    childrenIds: [],
+    status: "active",
+    createdAt: fields.createdAt,
+    updatedAt: fields.updatedAt ?? fields.completedAt ?? fields.deletedAt ?? fields.createdAt,
+    ...fields
+  });
+  const root = node("r1", null, "Session Root", { createdAt: at(8, 9) });
+  const older = { rootId: "r1", nodes: { r1: root, a: node("a", "r1", "a", { createdAt: at(8, 10) }) } };
+  const snapshot = {
+    rootId: "r1",
+    nodes: {
+      r1: root,
+      a: node("a", "r1", "a", { createdAt: at(8, 10), status: "completed", completedAt: at(9, 10) }),
+      b: node("b", "r1", "b", { createdAt: at(9, 8), status: "deleted", deletedAt: at(9, 12) }),
+      b1: node("b1", "b", "b1", { createdAt: at(9, 9), status: "deleted", deletedAt: at(9, 12) })
+    }
+  };
+  const live = {
+    rootId: "r1",
+    nodes: {
+      r1: root,
+      c: node("c", "r1", "c", { createdAt: at(10, 8) }),
+      d: node("d", "c", "d", { createdAt: at(10, 8), status: "completed", completedAt: at(10, 10) })
+    }
+  };
+  // e 后来被撤销，只出现在事件日志里
+  const events = [
+    { action: "SESSION_START", nodeId: "r1", ts: at(10, 8) },
+    { action: "ADD_CHILD", nodeId: "e", parentId: "d", title: "deep", ts: at(10, 9) },
+    { action: "UNDO", ts: at(10, 9) }
+  ];
+
+  const stats = computeStats({ states: [snapshot, older, live], eventLogs: [events] }, { days: 3, now: new Date(2026, 0, 10, 12).getTime() });
+  assert.deepEqual(stats.totals, { created: 5, completed: 2, deleted: 2, open: 1 });
+  assert.deepEqual(stats.daily, [
+    { day: "2026-01-08", created: 1, completed: 0 },
+    { day: "2026-01-09", created: 2, completed: 1 },
+    { day: "2026-01-10", created: 2, completed: 1 }
+  ]);
+  assert.deepEqual(stats.week, { created: 5, completed: 2 });
+  assert.equal(stats.averageCompletionMs, 13 * 60 * 60 * 1000);
+  assert.deepEqual(stats.deepest, { depth: 3, path: ["c", "d", "deep"], at: at(10, 9) });
+  assert.deepEqual(stats.abandoned, [{ nodeId: "r1", title: null, path: [], branches: 1, tasks: 2 }]);
+  assert.deepEqual(stats.streaks, { current: 2, longest: 2 });
+});
+
+await run("getStats combines archived snapshots with the live tree", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const rootId = (await controller.getState()).rootId;
+  const a = (await controller.addChild(rootId, "a")).focusedNodeId;
+  await controller.addChild(a, "a1");
+  await controller.completeNode(a);
+  await controller.createCheckpoint({ label: "before b" });
+  const b = (await controller.addChild(rootId, "b")).focusedNodeId;
+  await controller.deleteNode(b);
+
+  const stats = await controller.getStats(7);
+  assert.equal(stats.daily.length, 7);
+  assert.deepEqual(stats.totals, { created: 3, completed: 2, deleted: 1, open: 0 });
+  assert.equal(stats.daily.at(-1).completed, 2);
+  assert.equal(stats.deepest.depth, 2);
+  assert.equal(stats.streaks.current, 1);
+  assert.equal(stats.abandoned[0].tasks, 1);
+});
+
+await run("normalizeAccelerator canonicalises aliases and rejects unsafe bindings", async () => {
+  assert.equal(normalizeAccelerator("shift+ctrl+alt+n"), "Control+Alt+Shift+N");
+  assert.equal(normalizeAccelerator("CmdOrCtrl+Option+Return"), "CommandOrControl+Alt+Enter");
+  assert.equal(normalizeAccelerator("Ctrl++"), "Control+Plus");
+  assert.equal(normalizeAccelerator("f13"), "F13");
+  assert.equal(normalizeAccelerator("N"), null);
+  assert.equal(normalizeAccelerator("Shift+N"), null);
+  assert.equal(normalizeAccelerator("Ctrl+Ctrl+N"), null);
+  assert.equal(normalizeAccelerator("Hyper+N"), null);
+  assert.equal(normalizeAccelerator(42), null);
+});
+
+await run("global hotkeys fall back when a binding is taken, reserved or invalid", async () => {
+  const plan = planHotkeys({
+    bindings: {
+      quickAdd: ["Ctrl+Alt+Q", "not a key"],
+      completeFocused: "CommandOrControl+Enter",
+      toggleWindow: "Control+Alt+Q",
+      toggleHistory: null
+    }
+  });
+  assert.deepEqual(plan.actions.find((entry) => entry.action === "toggleHistory").candidates, []);
+  assert.deepEqual(
+    plan.problems.map(({ action, reason }) => `${action}:${reason}`),
+    ["quickAdd:invalid", "completeFocused:reserved"]
+  );
+
+  // 模拟被其他程序占用的快捷键
+  const heldElsewhere = new Set(["CommandOrControl+Alt+Enter"]);
+  const registered = [];
+  const status = applyHotkeys(plan, (accelerator, action) => {
+    if (heldElsewhere.has(accelerator)) {
+      return false;
+    }
+    registered.push(`${action}=${accelerator}`);
+    return true;
+  });
+  assert.deepEqual(registered, [
+    "quickAdd=Control+Alt+Q",
+    "completeFocused=CommandOrControl+Alt+Shift+Enter",
+    "toggleWindow=CommandOrControl+Alt+B",
+    "quickCapture=CommandOrControl+Alt+Space"
+  ]);
+  const byAction = Object.fromEntries(status.bindings.map((binding) => [binding.action, binding]));
+  assert.equal(byAction.quickAdd.fallback, false);
+  assert.equal(byAction.completeFocused.fallback, true);
+  assert.equal(byAction.toggleWindow.fallback, true);
+  assert.equal(byAction.toggleHistory.accelerator, null);
+  assert.ok(status.problems.some((problem) => problem.reason === "conflict" && problem.with === "quickAdd"));
+  assert.ok(status.problems.some((problem) => problem.reason === "unavailable" && problem.accelerator === "CommandOrControl+Alt+Enter"));
+
+  const nothingWorks = applyHotkeys(planHotkeys(defaultHotkeyConfig()), () => {
+    throw new Error("Invalid accelerator");
+  });
+  assert.ok(nothingWorks.bindings.every((binding) => binding.accelerator === null));
+});
+
+await run("readHotkeyConfig writes defaults once and keeps a broken file untouched", async () => {
+  const filePath = path.join(path.dirname(await createTempSessionsDir()), "hotkeys.json");
+  const first = await readHotkeyConfig(filePath);
+  assert.deepEqual(first.config, defaultHotkeyConfig());
+  assert.deepEqual(JSON.parse(await fs.readFile(filePath, "utf8")), defaultHotkeyConfig());
+
+  await fs.writeFile(filePath, "{ broken", "utf8");
+  const broken = await readHotkeyConfig(filePath);
+  assert.deepEqual(broken.config, defaultHotkeyConfig());
+  assert.match(broken.error, /^hotkeys\.json: /u);
+  assert.equal(await fs.readFile(filePath, "utf8"), "{ broken");
+
+  // 默认设置写不进去时（这里父路径是一个文件）仍返回默认设置，不抛出错误
+  const blocked = await readHotkeyConfig(path.join(filePath, "hotkeys.json"));
+  assert.deepEqual(blocked.config, defaultHotkeyConfig());
+  assert.match(blocked.error, /^hotkeys\.json: /u);
+});
+
+await run("resolveCapture follows a parent path by exact title, then unique prefix", async () => {
+  const machine = new TreeStateMachine(createInitialState("capture"));
+  const rootId = machine.state.rootId;
+  const work = machine.addChild(rootId, "Work").nodeId;
+  machine.addChild(rootId, "Workout");
+  const report = machine.addChild(work, "Quarterly report").nodeId;
+  machine.addChild(work, "Quarterly review");
+  machine.focusNode(report);
+
+  assert.deepEqual(parseCapture("  buy milk "), { path: null, title: "buy milk" });
+  assert.deepEqual(parseCapture("> top"), { path: [], title: "top" });
+  assert.deepEqual(parseCapture("a > b\\> c > d"), { path: ["a", "b> c"], title: "d" });
+  assert.throws(() => parseCapture("work > "), /title is empty/u);
+  assert.throws(() => parseCapture("work >> x"), /empty segment/u);
+
+  assert.deepEqual(resolveCapture(machine.state, "draft"), { parentId: report, path: ["Work", "Quarterly report"], title: "draft" });
+  assert.equal(resolveCapture(machine.state, "> idea").parentId, rootId);
+  assert.equal(resolveCapture(machine.state, "work > x").parentId, work);
+  assert.equal(resolveCapture(machine.state, "WORK > quarterly rep > x").parentId, report);
+  assert.throws(() => resolveCapture(machine.state, "work > quarterly > x"), /matches 2 tasks under "Work"/u);
+  assert.throws(() => resolveCapture(machine.state, "home > x"), /No task matching "home" under top level/u);
+});
+
+await run("captureTask adds under the resolved parent without moving focus", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const rootId = (await controller.getState()).rootId;
+  const work = (await controller.addChild(rootId, "Work")).focusedNodeId;
+  const home = (await controller.addChild(rootId, "Home")).focusedNodeId;
+
+  assert.deepEqual(await controller.previewCapture("wo > x"), { path: ["Work"], title: "x", error: null });
+  assert.match((await controller.previewCapture("nope > x")).error, /No task matching/u);
+
+  const captured = await controller.captureTask("work > call bank");
+  assert.deepEqual(captured.path, ["Work"]);
+  assert.equal(captured.state.focusedNodeId, home);
+  assert.equal(captured.state.nodes[captured.nodeId].parentId, work);
+  await controller.captureTask("groceries");
+  await assert.rejects(() => controller.captureTask("nope > x"), /No task matching/u);
+
+  const live = await controller.getState();
+  assert.equal(live.focusedNodeId, home);
+  assert.deepEqual(live.nodes[home].childrenIds.map((id) => live.nodes[id].title), ["groceries"]);
+  const replayed = await controller.replayEvents(live.sessionId);
+  assert.equal(replayed.focusedNodeId, home);
+
+  // 撤销快速记录只移除新任务
+  const undone = await controller.undo();
+  assert.equal(undone.focusedNodeId, home);
+  assert.equal(undone.nodes[home].childrenIds.length, 0);
+});
+
+await run("legacy session files move into the default workspace", async () => {
+  const sessionsDir = await createTempSessionsDir();
+  await fs.mkdir(sessionsDir, { recursive: true });
+  await fs.writeFile(path.join(sessionsDir, "2026-01-01_10-00-00.snapshot.json"), "{}", "utf8");
+  await fs.writeFile(path.join(sessionsDir, "2026-01-01_10-00-00.events.log"), "", "utf8");
+  await fs.writeFile(path.join(sessionsDir, "notes.txt"), "keep", "utf8");
+  const registry = new WorkspaceRegistry(sessionsDir);
+  await registry.init();
+  const moved = await fs.readdir(path.join(sessionsDir, "default"));
+  assert.deepEqual(moved.sort(), ["2026-01-01_10-00-00.events.log", "2026-01-01_10-00-00.snapshot.json"]);
+  assert.ok((await fs.readdir(sessionsDir)).includes("notes.txt"));
+  assert.throws(() => WorkspaceRegistry.sanitizeName(" / "), /Invalid workspace name/u);
+  assert.equal(WorkspaceRegistry.sanitizeName("side/project"), "side project");
+  for (const reserved of ["CON", "nul", "Com1", "lpt9.txt", "AUX "]) {
+    assert.throws(() => WorkspaceRegistry.sanitizeName(reserved), /Invalid workspace name/u);
+  }
+  assert.equal(WorkspaceRegistry.sanitizeName("console"), "console");
+  // Windows 会去掉结尾的点号和空格，"foo." 与 "foo" 必须是同一个工作区
+  assert.equal(WorkspaceRegistry.sanitizeName("foo. . "), "foo");
+  assert.equal(WorkspaceRegistry.sanitizeName("v1.2"), "v1.2");
+  for (const invalid of ["...", " . ", "con."]) {
+    assert.throws(() => WorkspaceRegistry.sanitizeName(invalid), /Invalid workspace name/u);
+  }
+});
+
+await run("switching workspaces keeps each live tree", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const workRoot = (await controller.getState()).rootId;
+  await controller.addChild(workRoot, "work task");
+  const side = await controller.switchWorkspace("side project");
+  assert.equal(side.workspace, "side project");
+  assert.notEqual(side.state.rootId, workRoot);
+  await controller.addChild(side.state.rootId, "side task");
+  const back = await controller.switchWorkspace("default");
+  assert.equal(back.state.rootId, workRoot);
+  assert.ok(Object.values(back.state.nodes).some((node) => node.title === "work task"));
+  const { current, workspaces } = await controller.listWorkspaces();
+  assert.equal(current, "default");
+  assert.deepEqual(workspaces, ["default", "side project"]);
+
+  const relaunched = await AppController.create(userDataDir);
+  assert.equal(relaunched.workspace, "default");
+  const again = await relaunched.switchWorkspace("side project");
+  assert.ok(Object.values(again.state.nodes).some((node) => node.title === "side task"));
+});
+
+await run("a workspace that fails to load leaves the current one live", async () => {
+  const userDataDir = path.dirname(await createTempSessionsDir());
+  const controller = await AppController.create(userDataDir);
+  const rootId = (await controller.getState()).rootId;
+  await controller.addChild(rootId, "work task");
+  // 与工作区同名的普通文件：目录无法创建，载入失败
+  await fs.writeFile(path.join(userDataDir, "sessions", "broken"), "", "utf8");
+  await assert.rejects(() => controller.switchWorkspace("broken"));
+
+  assert.equal(controller.workspace, "default");
+  assert.equal((await controller.listWorkspaces()).current, "default");
+  assert.equal(await controller.store.hasContinueFlag(), false);
+  assert.ok(controller.tracker.isRunning());
+  await controller.addChild(rootId, "after failed switch");
+  const undone = await controller.undo();
+  assert.deepEqual(
+    undone.nodes[rootId].childrenIds.map((id) => undone.nodes[id].title),
+    ["work task"]
+  );
 });
 
 if (process.exitCode) {